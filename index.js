@@ -1,18 +1,51 @@
 import express from 'express';
 import https from 'https';
-import twilio from 'twilio';
-import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
+import twilio from 'twilio';
 import 'dotenv/config'
-import { MongoClient } from 'mongodb';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import nodemailer from 'nodemailer';
+import { initStore, collection } from './lib/store.js';
+import { createAlertDispatcher, alertConfigFromEnv } from './lib/alerts.js';
+import { createLiveRiskMonitor } from './lib/liveMonitor.js';
+import { createTransferService, transferConfigFromEnv, isValidTransferNumber, buildWhisperTwiml } from './lib/transfer.js';
+import { createToolRegistry, createToolEndpoint } from './lib/tools.js';
+import { lookupHelplines } from './lib/helplines.js';
+import { createLexiconManager, readLexiconFile, resolveLexiconPath } from './lib/lexicon.js';
+import { createClassifier, formatTranscript, parseTranscript } from './lib/classifier.js';
+import { createLlmAnalyzer, llmRetryConfigFromEnv } from './lib/llmAnalysis.js';
+import { createLlmProvider, llmProviderConfigFromEnv } from './lib/llmProviders.js';
+import { reconcileConfigFromEnv, counsellingFor, RISK_LEVELS, RECONCILE_POLICIES } from './lib/reconcile.js';
+import { chunkConfigFromEnv } from './lib/chunking.js';
+import { createCallerRegistry, callerConfigFromEnv, localHashSecret, isPhoneNumber } from './lib/callers.js';
+import { buildCallerMemory, callerMemoryConfigFromEnv } from './lib/callerMemory.js';
+import { createPersonaRegistry } from './lib/personas.js';
+import { CONVERSATION_FIELDS, ALERT_FIELDS, CALLER_FIELDS, encryptionConfigFromEnv, createLocalKeyProvider, createFieldCipher, encryptedCollection } from './lib/encryption.js';
+import { redactTurns, redactionConfigFromEnv } from './lib/redaction.js';
+import { createRetentionManager, retentionConfigFromEnv } from './lib/retention.js';
+import { createAuditLog, diffRecords, auditToCsv } from './lib/audit.js';
+import { createTwilioStatusHandler } from './lib/twilioStatus.js';
+import { ROLE_PERMISSIONS, authConfigFromEnv, createAuthMiddleware } from './lib/auth.js';
+import { fallbackConfigFromEnv, createWithRetry, buildFallbackTwiml, buildVoicemailTwiml, buildGoodbyeTwiml, dialConnected } from './lib/fallback.js';
+import { buildConsentTwiml, consentConfigFromEnv, consentDecision } from './lib/consent.js';
+import { LANGUAGES, languageConfigFromEnv, languagePrompt, languageFromAnalysis, buildLanguageMenuTwiml, languageForDigit } from './lib/languages.js';
 
 const app = express();
 const port = Number(process.env.PORT || 5000);
 
-// Add middleware to parse incoming POST and JSON data
+// Add middleware to parse incoming POST and JSON data. The raw JSON body is kept for
+// Ultravox webhook signature checks.
 app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
+app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
+
+// Webhook base URL to receive Ultravox events (set to your public URL)
+const BASE_URL = process.env.BASE_URL || 'https://twilio-incoming-ultravox-agent.onrender.com';
+
+// Webhook signatures and role-based access for every route (see lib/auth.js). Twilio
+// signatures are checked against the same BASE_URL the webhooks are registered with.
+const AUTH_CONFIG = authConfigFromEnv({ ...process.env, BASE_URL });
+if (AUTH_CONFIG.errors.length > 0) throw new Error(AUTH_CONFIG.errors.join('; '));
+app.use(createAuthMiddleware(AUTH_CONFIG));
 
 // Configuration
 const ULTRAVOX_API_KEY = process.env.ULTRAVOX_API_KEY;
@@ -22,15 +55,10 @@ const ULTRAVOX_VOICE_ID = process.env.ULTRAVOX_VOICE_ID || '9f6262e3-1b03-4a0b-9
 const ULTRAVOX_TEMPERATURE = Number(process.env.ULTRAVOX_TEMPERATURE || '0.7');
 const FIRST_SPEAKER = process.env.FIRST_SPEAKER || 'FIRST_SPEAKER_AGENT';
 
-// Webhook base URL to receive Ultravox events (set to your public URL)
-const BASE_URL = process.env.BASE_URL || 'https://twilio-incoming-ultravox-agent.onrender.com';
-
-// Ultravox configuration
-const SYSTEM_PROMPT = process.env.SYSTEM_PROMPT || `Your name is Arjun and you're a good friend who's always there to listen and chat. You have a calm and supportive personality, but you're casual and down-to-earth rather than clinical.
-
-IMPORTANT: You must speak in Hindi throughout the entire conversation. Only use English if the caller specifically requests it.
-
-हिंदी में अपना परिचय दें: "नमस्ते, मैं अर्जुन हूँ। आज आप कैसे हैं? आप किस बारे में बात करना चाहेंगे?"
+// Ultravox configuration. The prompt is language-neutral: the language block for the
+// caller's language (see lib/languages.js) is appended per call.
+const AGENT_NAME = process.env.AGENT_NAME || 'Arjun';
+const SYSTEM_PROMPT = process.env.SYSTEM_PROMPT || `Your name is ${AGENT_NAME} and you're a good friend who's always there to listen and chat. You have a calm and supportive personality, but you're casual and down-to-earth rather than clinical.
 
 Remember these important guidelines:
 - LISTEN MORE THAN YOU SPEAK - this is the most important rule
@@ -38,7 +66,6 @@ Remember these important guidelines:
 - Ask thoughtful follow-up questions to show you're engaged
 - Don't rush to offer solutions unless specifically asked
 - Be patient with silences - they're a natural part of conversation
-- Use a casual, friendly tone in Hindi
 - Share occasional brief personal perspectives if relevant
 - Be authentic and genuine in your responses
 
@@ -50,7 +77,11 @@ You can help with:
 - General life concerns and decisions
 - Whatever is on their mind
 
-Avoid sounding like a professional therapist - you're just a good friend who happens to be a great listener. Always respond in Hindi unless specifically asked to speak English.`;
+Avoid sounding like a professional therapist - you're just a good friend who happens to be a great listener.`;
+
+// Human counsellor transfer (number or Twilio queue)
+const TRANSFER_CONFIG = transferConfigFromEnv();
+const TRANSFER_ENABLED = !!(TRANSFER_CONFIG.number || TRANSFER_CONFIG.queue);
 
 const ULTRAVOX_CALL_CONFIG = {
     systemPrompt: SYSTEM_PROMPT,
@@ -63,67 +94,74 @@ const ULTRAVOX_CALL_CONFIG = {
     transcriptOptional: false,
 };
 
+// Call languages offered in the IVR menu, with optional per-language voices and lexicons
+const LANGUAGE_CONFIG = languageConfigFromEnv();
+
+// Optional AI/recording disclosure with a keypress consent before connecting
+const CONSENT_CONFIG = consentConfigFromEnv();
+
+// What callers get when the agent call can't be created: retry, helpline, voicemail
+const FALLBACK_CONFIG = fallbackConfigFromEnv();
+
+// Agent tools to register on each call (comma-separated names; empty = all registered tools)
+const ULTRAVOX_TOOLS = (process.env.ULTRAVOX_TOOLS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// The environment-configured persona; answers every number no stored persona claims
+const DEFAULT_PERSONA = {
+    id: 'default',
+    name: process.env.DEFAULT_PERSONA_NAME || 'Default',
+    numbers: [],
+    systemPrompt: SYSTEM_PROMPT,
+    agentName: AGENT_NAME,
+    voice: ULTRAVOX_VOICE_ID,
+    model: ULTRAVOX_MODEL,
+    temperature: ULTRAVOX_TEMPERATURE,
+    firstSpeaker: FIRST_SPEAKER,
+    lexiconPath: null,
+    tools: ULTRAVOX_TOOLS.length ? ULTRAVOX_TOOLS : null,
+    alerts: null,
+};
+
 // MongoDB configuration
 const MONGODB_URI = process.env.MONGODB_URI || '';
 const MONGODB_DB = process.env.MONGODB_DB || 'ultravox';
 const MONGODB_COLLECTION = process.env.MONGODB_COLLECTION || 'conversations';
 
-let mongoClient;
-let conversationsCol;
+// Sensitive conversation, alert and caller profile fields are encrypted at rest when ENCRYPTION_KEY_FILE
+// is set (see lib/encryption.js). Records are decrypted as they're read by the app, which
+// only serves them to signed-in users.
+const ENCRYPTION_CONFIG = encryptionConfigFromEnv();
+const keyProvider = ENCRYPTION_CONFIG.keyFile ? createLocalKeyProvider({ file: ENCRYPTION_CONFIG.keyFile }) : null;
+const cipherFor = fields => (keyProvider ? createFieldCipher({ keyProvider, fields }) : null);
 
-async function initMongo() {
-    if (!MONGODB_URI) {
-        console.warn('MONGODB_URI not set; falling back to local JSON file storage.');
-        return;
-    }
-    try {
-        mongoClient = new MongoClient(MONGODB_URI);
-        await mongoClient.connect();
-        const db = mongoClient.db(MONGODB_DB);
-        conversationsCol = db.collection(MONGODB_COLLECTION);
-        await conversationsCol.createIndex({ id: 1 }, { unique: true });
-        console.log('MongoDB connected successfully');
-    } catch (error) {
-        console.error('MongoDB connection failed:', error);
-        mongoClient = null;
-        conversationsCol = null;
-    }
-}
+// Conversations keep their configurable Mongo collection name; the JSON fallback
+// stays at data/conversations.json.
+const conversationsStore = encryptedCollection(collection('conversations', { mongoName: MONGODB_COLLECTION, indexes: ['callerId'] }), cipherFor(CONVERSATION_FIELDS));
+const alertsStore = encryptedCollection(collection('alerts'), cipherFor(ALERT_FIELDS));
 
-// Fallback JSON file store
-const DATA_DIR = path.resolve(process.cwd(), 'data');
-const CONV_FILE = path.join(DATA_DIR, 'conversations.json');
-function ensureJsonStore() {
-    if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-    if (!fs.existsSync(CONV_FILE)) fs.writeFileSync(CONV_FILE, JSON.stringify([]), 'utf-8');
-}
+// Per-helpline personas keyed by the dialed number (see lib/personas.js)
+const personasStore = collection('personas');
+const personaRegistry = createPersonaRegistry({ personasStore, defaultPersona: DEFAULT_PERSONA });
+const personaFor = conversation => personaRegistry.get(conversation?.personaId) || DEFAULT_PERSONA;
 
-async function upsertConversation(record) {
+/**
+ * Every conversation write goes through here and is audited. `action` names the change;
+ * request handlers pass `req` so the signed-in user is the actor, and background writers
+ * (webhooks, the live monitor, agent tools) are recorded as `system`.
+ */
+async function upsertConversation(record, { action = 'update', req = null, actor: by = null, before = null, detail = null } = {}) {
     try {
-        if (conversationsCol) {
-            await conversationsCol.updateOne({ id: record.id }, { $set: record }, { upsert: true });
-        } else {
-            ensureJsonStore();
-            const raw = fs.readFileSync(CONV_FILE, 'utf-8');
-            const list = JSON.parse(raw);
-            const idx = list.findIndex(x => x.id === record.id);
-            if (idx >= 0) list[idx] = record; else list.push(record);
-            fs.writeFileSync(CONV_FILE, JSON.stringify(list, null, 2), 'utf-8');
-        }
+        await conversationsStore.upsert(record);
     } catch (error) {
         console.error('Failed to upsert conversation:', error);
+        return;
     }
+    await audit(req, action, { conversationId: record.id, before, after: record, detail, actor: by || (req ? null : 'system') });
 }
 
 async function getConversations() {
     try {
-        if (conversationsCol) {
-            return await conversationsCol.find({}).sort({ updatedAt: -1 }).toArray();
-        }
-        ensureJsonStore();
-        const raw = fs.readFileSync(CONV_FILE, 'utf-8');
-        const list = JSON.parse(raw);
-        return list.sort((a, b) => new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime());
+        return await conversationsStore.find();
     } catch (error) {
         console.error('Failed to get conversations:', error);
         return [];
@@ -132,114 +170,196 @@ async function getConversations() {
 
 async function getConversationById(id) {
     try {
-        if (conversationsCol) {
-            return await conversationsCol.findOne({ id });
-        }
-        const list = await getConversations();
-        return list.find(x => x.id === id);
+        return await conversationsStore.findOne({ id });
     } catch (error) {
         console.error('Failed to get conversation by ID:', error);
         return null;
     }
 }
 
-// Gemini configuration
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY || '';
-const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
-let gemini;
-if (GEMINI_API_KEY) {
+// Read-modify-write helper so concurrent updates (alerts, audit entries) don't clobber
+// each other with stale copies of the record.
+async function updateConversation(id, mutate, change = {}) {
+    const existing = await getConversationById(id);
+    if (!existing) return null;
+    const updated = { ...existing, ...(await mutate(existing)), updatedAt: new Date().toISOString() };
+    await upsertConversation(updated, { ...change, before: existing });
+    return updated;
+}
+
+// Appends a step of the alert workflow to the conversation's audit trail
+async function recordAlertEvent(alert, event) {
+    await updateConversation(alert.conversationId, existing => ({
+        alertStatus: alert.status,
+        alertAudit: [...(existing.alertAudit || []), event],
+    }), { action: 'alert_event' });
+}
+
+// Post-call LLM analysis: Gemini, an OpenAI-compatible endpoint or an Ollama-style
+// local model server, chosen with LLM_PROVIDER (see lib/llmProviders.js)
+const LLM_CONFIG = llmProviderConfigFromEnv();
+const llmProvider = createLlmProvider(LLM_CONFIG);
+if (llmProvider) console.log(`LLM analysis provider initialized: ${llmProvider.name} (${LLM_CONFIG.model})`);
+
+// Twilio REST client (outbound alert SMS/calls, live call transfers)
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || '';
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || '';
+const twilioClient = TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN ? twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN) : null;
+
+// SMTP transport for alert emails (point SMTP_HOST at a local catcher for testing)
+const SMTP_HOST = process.env.SMTP_HOST || '';
+const mailer = SMTP_HOST ? nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } : undefined,
+}) : null;
+
+const alertDispatcher = createAlertDispatcher({
+    config: alertConfigFromEnv(),
+    twilioClient,
+    mailer,
+    alertsStore,
+    onEvent: recordAlertEvent,
+});
+const ALERT_ESCALATION_CHECK_MS = Number(process.env.ALERT_ESCALATION_CHECK_SECONDS || '60') * 1000;
+
+const transferService = createTransferService({ twilioClient, config: TRANSFER_CONFIG });
+
+// Live (in-call) risk detection
+const LIVE_RISK_ENABLED = process.env.LIVE_RISK_ENABLED !== 'false';
+const LIVE_RISK_POLL_MS = Number(process.env.LIVE_RISK_POLL_SECONDS || '15') * 1000;
+
+// Risk lexicon (keyword terms, weights, thresholds), hot-reloaded from disk. Every
+// version of every lexicon file that becomes active is archived under its source (the
+// file's path) and version, so old analyses can be traced back to it.
+const RISK_LEXICON_PATH = path.resolve(process.env.RISK_LEXICON_PATH || 'config/risk-lexicon.json');
+// Persona lexicons come in through the admin API, so they may only be read from here
+const LEXICON_DIR = path.resolve('config');
+const lexiconSourceOf = file => path.relative(process.cwd(), file);
+const DEFAULT_LEXICON_SOURCE = lexiconSourceOf(RISK_LEXICON_PATH);
+const lexiconVersionsStore = collection('lexiconVersions');
+const riskLexicon = createLexiconManager({ file: RISK_LEXICON_PATH, onChange: lexicon => archiveLexiconVersion(lexicon) });
+
+async function archivedLexicon(version, source = DEFAULT_LEXICON_SOURCE) {
+    // Versions archived before sources were recorded belong to the default lexicon
+    return await lexiconVersionsStore.findOne({ id: `${source}@${version}` })
+        || (source === DEFAULT_LEXICON_SOURCE ? lexiconVersionsStore.findOne({ id: version }) : null);
+}
+
+async function archiveLexiconVersion(lexicon, source = DEFAULT_LEXICON_SOURCE) {
     try {
-        gemini = new GoogleGenerativeAI(GEMINI_API_KEY);
-        console.log('Gemini AI initialized successfully');
-    } catch (e) {
-        console.warn('Failed to init Gemini SDK:', e);
+        if (await archivedLexicon(lexicon.version, source)) return;
+        const now = new Date().toISOString();
+        await lexiconVersionsStore.upsert({ id: `${source}@${lexicon.version}`, source, version: lexicon.version, lexicon: lexicon.raw, createdAt: now, updatedAt: now });
+    } catch (error) {
+        console.error(`Failed to archive lexicon ${source} version ${lexicon.version}:`, error);
     }
 }
 
-// Small helper to render colored badges in the dashboard
-function badge(label) {
-    const safe = String(label || '').toLowerCase();
-    const classes = ['no','low','medium','high','severe','yes','advised','active','completed','unknown', 'imported', 'imported_updated', 'no_transcript'];
-    const cls = classes.includes(safe) ? safe : 'unknown';
-    return `<span class="badge ${cls}">${safe || 'unknown'}</span>`;
+// How keyword and LLM tiers combine into the stored risk level (see lib/reconcile.js)
+const RECONCILE_CONFIG = reconcileConfigFromEnv();
+if (!RECONCILE_POLICIES.includes(RECONCILE_CONFIG.policy)) {
+    throw new Error(`RISK_RECONCILE_POLICY must be one of: ${RECONCILE_POLICIES.join(', ')}`);
 }
 
-// Enhanced Risk Classification with Gemini
-async function classifyRiskAndCounselling(transcriptText) {
-    const text = (transcriptText || '').toLowerCase();
-    let score = 0;
-    let detectedTerms = [];
-    
-    // --- Keyword detection logic remains the same ---
-    const criticalSevereTerms = ['suicide', 'kill myself', 'end my life', 'i want to die', 'hang myself', 'take my own life', 'marna chahta hun', 'jaan dena', 'suicide karna'];
-    const severePlanTerms = ['jump off', 'overdose', 'self harm', 'self-harm', 'cut myself', 'razor blade', 'poison myself', 'gun to my head', 'bought a rope', 'bought pills', 'wrote a note'];
-    const highTerms = ['i am going to', 'i have a plan', 'goodbye forever', 'can\'t go on', 'hopeless', 'life is meaningless', 'nothing matters', 'give up completely', 'no way out', 'trapped forever', 'can\'t escape', 'ready to go', 'final decision', 'said goodbye', 'planning to end', 'going to jump', 'no reason to live', 'better off dead', 'koi raah nahi', 'umeed khatam', 'plan bana liya', 'alvida keh diya', 'bass khatam', 'zindagi khatam'];
-    const mediumTerms = ['depressed', 'depression', 'anxious', 'panic', 'can\'t sleep', 'lost interest', 'crying a lot', 'worthless', 'feeling empty', 'numb inside', 'constant pain', 'overwhelming sadness', 'can\'t cope', 'breaking down', 'lost control', 'spiraling', 'dark thoughts', 'intrusive thoughts', 'mental breakdown', 'emotional pain', 'pareshan hun', 'depression hai', 'udaas hun', 'ro raha hun', 'kuch samajh nahi aa raha', 'pareshani hai', 'anxiety hai', 'ghabrat hai', 'dukh hai'];
-    const lowTerms = ['stressed', 'sad', 'lonely', 'down', 'upset', 'tired of everything', 'frustrated', 'annoyed', 'irritated', 'fed up', 'overwhelmed', 'exhausted', 'burned out', 'bothered', 'disappointed', 'discouraged', 'moody', 'grumpy', 'pareshaan', 'gussa', 'tension', 'thak gaya', 'bore ho gaya', 'irritate ho raha', 'tang aa gaya', 'dimag kharab', 'stress hai'];
-    criticalSevereTerms.forEach(term => { if (text.includes(term)) { score += 8; detectedTerms.push({ term, category: 'critical_severe' }); } });
-    severePlanTerms.forEach(term => { if (text.includes(term)) { score += 6; detectedTerms.push({ term, category: 'severe_plan' }); } });
-    highTerms.forEach(term => { if (text.includes(term)) { score += 3; detectedTerms.push({ term, category: 'high' }); } });
-    mediumTerms.forEach(term => { if (text.includes(term)) { score += 2; detectedTerms.push({ term, category: 'medium' }); } });
-    lowTerms.forEach(term => { if (text.includes(term)) { score += 1; detectedTerms.push({ term, category: 'low' }); } });
-    const immediateRiskPatterns = [/i\s+(am|will|going to)\s+(kill|end|hurt|harm)\s+(my)/i, /tonight\s+(i|will|going)/i, /(plan|planning)\s+to\s+(die|kill|end)/i, /(ready|prepared)\s+to\s+(die|go|leave)/i, /going\s+to\s+(jump|hang)/i];
-    immediateRiskPatterns.forEach(pattern => { if (pattern.test(text)) { score += 10; detectedTerms.push({ term: 'immediate_risk_pattern', category: 'critical_severe' }); } });
-    
-    let tendency = 'no';
-    if (score >= 10) tendency = 'severe'; else if (score >= 6) tendency = 'high'; else if (score >= 4) tendency = 'medium'; else if (score >= 1) tendency = 'low';
-    
-    let needsCounselling = 'no';
-    if (tendency === 'severe' || tendency === 'high') needsCounselling = 'yes'; else if (tendency === 'medium') needsCounselling = 'advised';
+const llmAnalyzer = llmProvider ? createLlmAnalyzer({ provider: llmProvider, config: { ...LLM_CONFIG, ...llmRetryConfigFromEnv() } }) : null;
+
+// One classifier per lexicon file: a persona's own `lexiconPath`, else the lexicon for the
+// call's language (RISK_LEXICON_PATH_<CODE>), else the default lexicon above. A persona
+// that sets a lexicon is scored with it whatever language the caller picks.
+// A lexicon that fails to load falls back to the default. Each one is archived like the
+// default lexicon; `lexiconSourceFor` names the file a call is scored with.
+// A persona lexicon outside LEXICON_DIR is ignored.
+const classifiers = new Map();
+const rejectedLexiconPaths = new Set();
+
+function lexiconFileFor(persona, language) {
+    if (persona?.lexiconPath) {
+        const file = resolveLexiconPath(persona.lexiconPath, LEXICON_DIR);
+        if (file) return file;
+        if (!rejectedLexiconPaths.has(persona.lexiconPath)) {
+            rejectedLexiconPaths.add(persona.lexiconPath);
+            console.warn(`Ignoring lexicon ${persona.lexiconPath} of persona ${persona.id}: it is outside ${lexiconSourceOf(LEXICON_DIR)}/`);
+        }
+    }
+    const custom = LANGUAGE_CONFIG.lexicons[language];
+    return custom ? path.resolve(custom) : RISK_LEXICON_PATH;
+}
 
-    let geminiAnalysis = null;
-    // --- ✅ Gemini Analysis Logic ---
-    if (gemini && transcriptText && transcriptText.trim().length > 50) { // Only run for reasonably long transcripts
+function classifierFor(persona, language) {
+    let file = lexiconFileFor(persona, language);
+    if (!classifiers.has(file) && file !== RISK_LEXICON_PATH) {
         try {
-            console.log('🤖 Starting Gemini analysis...');
-            const model = gemini.getGenerativeModel({ model: GEMINI_MODEL });
-            const prompt = `
-                Analyze the following conversation transcript for mental health risks. The user is talking to a supportive friend AI named Arjun.
-                The conversation is primarily in Hindi.
-                Provide your analysis ONLY in a valid JSON format. Do not include any text before or after the JSON object.
-                
-                The JSON object must have these exact keys:
-                - "risk_level": (string) Classify the risk as "no", "low", "medium", "high", or "severe".
-                - "counseling_needed": (string) Recommend counseling as "no", "advised", or "yes".
-                - "immediate_intervention": (string) State "yes" if there are signs of immediate self-harm plans, otherwise "no".
-                - "emotional_state": (string) A brief description of the user's likely emotional state (e.g., "Stressed and overwhelmed", "Feeling lonely and sad", "Exhibiting signs of severe depression").
-                - "concerning_phrases": (array of strings) Extract up to 5 direct quotes from the user that are most concerning.
-                - "assessment_summary": (string) A concise one-paragraph summary of your analysis and the reasoning for the risk level.
-                - "confidence_level": (string) Your confidence in this analysis ("low", "medium", "high").
-                - "language_used": (string) The primary language detected ("hindi", "english", "hinglish").
-                - "support_recommendations": (string) Suggest one brief, actionable step for the support agent (e.g., "Advise professional help", "Continue to listen and provide support", "Gently probe about their support system").
-                
-                Transcript:
-                ---
-                ${transcriptText}
-                ---
-            `;
-            const result = await model.generateContent(prompt);
-            const responseText = result.response.text().trim().replace(/^```json\n?/, '').replace(/\n?```$/, '');
-            geminiAnalysis = JSON.parse(responseText);
-            console.log('✅ Gemini analysis successful.');
-        } catch (e) {
-            console.warn('Gemini classification failed:', e);
-            geminiAnalysis = { error: e.message };
+            const source = lexiconSourceOf(file);
+            const lexicon = createLexiconManager({ file, onChange: changed => archiveLexiconVersion(changed, source) });
+            lexicon.watch();
+            archiveLexiconVersion(lexicon.get(), source);
+            classifiers.set(file, createClassifier({ getLexicon: lexicon.get, analyzer: llmAnalyzer, reconcile: RECONCILE_CONFIG, chunking: chunkConfigFromEnv() }));
+        } catch (error) {
+            console.error(`Failed to load lexicon ${file} for persona ${persona?.id} (${language || 'no language'}); using the default lexicon:`, error.message);
+            file = RISK_LEXICON_PATH;
         }
     }
-    
-    const review = (() => { if (tendency === 'severe') return `🚨 SEVERE RISK DETECTED...`; if (tendency === 'high') return `⚠️ HIGH RISK...`; if (tendency === 'medium') return `⚡ MODERATE CONCERN...`; if (tendency === 'low') return `💭 MILD DISTRESS...`; return 'No significant risk indicators detected.'; })();
-    
+    if (!classifiers.has(file)) {
+        classifiers.set(file, createClassifier({ getLexicon: riskLexicon.get, analyzer: llmAnalyzer, reconcile: RECONCILE_CONFIG, chunking: chunkConfigFromEnv() }));
+    }
+    return classifiers.get(file);
+}
+
+// Lexicons that failed to load were replaced by the default one
+function lexiconSourceFor(persona, language) {
+    const file = lexiconFileFor(persona, language);
+    return lexiconSourceOf(classifiers.has(file) ? file : RISK_LEXICON_PATH);
+}
+
+// Full analysis of a stored conversation with its persona's and language's lexicon
+async function classifyConversation(conversation, turns) {
+    const persona = personaFor(conversation);
+    const analysis = await classifierFor(persona, conversation?.language).classifyRiskAndCounselling(turns, { language: conversation?.language });
+    return { ...analysis, lexiconSource: lexiconSourceFor(persona, conversation?.language) };
+}
+
+// Conversation fields written by every (re-)analysis. Keyword/LLM disagreements are
+// queued for human review; a reviewer's verdict keeps overriding the tier for as long as
+// re-analysis still produces the same disagreement.
+function analysisFields(analysis, existing) {
+    const decision = analysis.riskDecision;
+    const previous = existing?.humanReview || null;
+    let humanReview = previous?.status === 'resolved' ? previous : null;
+    if (decision.needsReview && previous?.reason !== decision.reviewReason) {
+        humanReview = { status: 'pending', reason: decision.reviewReason, flaggedAt: new Date().toISOString() };
+    } else if (decision.needsReview) {
+        humanReview = previous;
+    }
+    const override = humanReview?.status === 'resolved' && humanReview.reason === decision.reviewReason ? humanReview.tendency : null;
     return {
-        tendency,
-        needsCounselling,
-        review,
-        score,
-        detectedTerms,
-        geminiAnalysis,
-        immediateIntervention: tendency === 'severe' || detectedTerms.some(t => t.category === 'critical_severe') || (geminiAnalysis?.immediate_intervention === 'yes')
+        summary: analysis.review,
+        tendency: override || analysis.tendency,
+        needsCounselling: override ? counsellingFor(override) : analysis.needsCounselling,
+        keywordTendency: analysis.keywordTendency,
+        riskDecision: decision,
+        humanReview,
+        score: analysis.score,
+        detectedTerms: analysis.detectedTerms,
+        negatedTerms: analysis.negatedTerms,
+        lexiconVersion: analysis.lexiconVersion,
+        lexiconSource: analysis.lexiconSource,
+        immediateIntervention: analysis.immediateIntervention,
+        geminiAnalysis: analysis.geminiAnalysis,
+        detectedLanguage: languageFromAnalysis(analysis.geminiAnalysis?.language_used),
+        riskTimeline: analysis.riskTimeline,
     };
 }
 
+// Small helper to render colored badges in the dashboard
+function badge(label) {
+    const safe = String(label || '').toLowerCase();
+    const classes = ['no','low','medium','high','severe','yes','advised','active','completed','unknown', 'imported', 'imported_updated', 'no_transcript', 'failed_connect'];
+    const cls = classes.includes(safe) ? safe : 'unknown';
+    return `<span class="badge ${cls}">${safe || 'unknown'}</span>`;
+}
+
 // --- Corrected Ultravox API Functions ---
 
 /**
@@ -316,9 +436,22 @@ async function getUltravoxCall(callId) {
 }
 
 /**
- * Retrieves messages for a call and formats them into a transcript.
+ * Deletes a call, with its messages and recording, from Ultravox.
  */
-async function getUltravoxTranscriptFromMessages(callId) {
+async function deleteUltravoxCall(callId) {
+    if (!ULTRAVOX_API_KEY) throw new Error('ULTRAVOX_API_KEY is required');
+    const options = {
+        method: 'DELETE',
+        headers: { 'X-API-Key': ULTRAVOX_API_KEY },
+        timeout: 15000,
+    };
+    return requestUltravoxAPI(`${ULTRAVOX_API_URL}/${callId}`, options);
+}
+
+/**
+ * Retrieves the raw message list for a call.
+ */
+async function getUltravoxMessages(callId) {
     if (!ULTRAVOX_API_KEY) throw new Error('ULTRAVOX_API_KEY is required');
     const url = `${ULTRAVOX_API_URL}/${callId}/messages`;
     console.log(`Fetching messages for transcript from: ${url}`);
@@ -328,166 +461,1142 @@ async function getUltravoxTranscriptFromMessages(callId) {
         timeout: 15000,
     };
     const messagesResponse = await requestUltravoxAPI(url, options);
-    if (messagesResponse.results && Array.isArray(messagesResponse.results)) {
-        return messagesResponse.results
-            .filter(msg => msg.text && msg.text.trim())
-            .map(msg => `${msg.role === 'MESSAGE_ROLE_USER' ? 'User' : 'Agent'}: ${msg.text}`)
-            .join('\n');
+    return Array.isArray(messagesResponse.results) ? messagesResponse.results : [];
+}
+
+/**
+ * Converts Ultravox messages into `{ role: 'user' | 'agent', text, startSeconds? }` turns,
+ * dropping empty ones. `startSeconds` comes from the message timespan ("12.5s") when present.
+ */
+function toConversationMessages(ultravoxMessages) {
+    return ultravoxMessages
+        .filter(msg => msg.text && msg.text.trim())
+        .map(msg => {
+            const startSeconds = parseFloat(msg.timespan?.start);
+            return {
+                role: msg.role === 'MESSAGE_ROLE_USER' ? 'user' : 'agent',
+                text: msg.text,
+                ...(Number.isFinite(startSeconds) ? { startSeconds } : {}),
+            };
+        });
+}
+
+/**
+ * Retrieves messages for a call as a transcript plus each turn's start time in seconds
+ * (null where Ultravox gave none).
+ */
+async function getUltravoxTranscriptFromMessages(callId) {
+    const turns = toConversationMessages(await getUltravoxMessages(callId));
+    return { transcript: formatTranscript(turns), turnStartSeconds: turns.map(turn => turn.startSeconds ?? null) };
+}
+
+// Stored transcripts are plain text, so per-turn start times are kept beside them and
+// re-attached here; that lets a re-analysis still place chunked segments on the call's timeline.
+function transcriptTurns(transcript, turnStartSeconds = []) {
+    return parseTranscript(transcript).map((turn, i) => (turnStartSeconds[i] != null ? { ...turn, startSeconds: turnStartSeconds[i] } : turn));
+}
+
+// PII in transcripts is masked before analysis and storage (see lib/redaction.js)
+const REDACTION_CONFIG = redactionConfigFromEnv();
+
+/**
+ * Redacts a fetched transcript and analyzes the redacted turns, so the LLM never sees the
+ * masked PII. Returns the analysis and the transcript fields to store; the unredacted
+ * text is kept as `originalTranscript` for privileged roles.
+ */
+async function analyzeTranscript(conversation, transcript, turnStartSeconds = []) {
+    const { turns, findings, redacted } = redactTurns(transcriptTurns(transcript, turnStartSeconds), REDACTION_CONFIG);
+    const analysis = await classifyConversation(conversation, turns);
+    return {
+        analysis,
+        transcriptFields: {
+            transcript: redacted ? formatTranscript(turns) : transcript,
+            originalTranscript: redacted ? transcript : null,
+            turnStartSeconds,
+            redaction: REDACTION_CONFIG.enabled ? { findings, at: new Date().toISOString() } : null,
+        },
+    };
+}
+
+// Helper to find our conversation record using Twilio's CallSid
+async function findConversationByTwilioSid(twilioCallSid) {
+    try {
+        return await conversationsStore.findOne({ twilioCallSid });
+    } catch (error) {
+        console.error('Failed to get conversation by Twilio SID:', error);
+        return null;
+    }
+}
+
+// --- Express Endpoints ---
+
+// Handle incoming calls
+app.post('/incoming', async (req, res) => {
+    console.log('=== INCOMING CALL ===', req.body);
+    try {
+        const callerNumber = req.body.From;
+        if (!callerNumber) throw new Error('No caller number found in request');
+
+        const persona = personaRegistry.resolve(req.body.To);
+        console.log(`🎭 Persona for ${req.body.To || 'unknown number'}: ${persona.name} (${persona.id})`);
+        const offered = languagesFor(persona);
+        const preferred = await preferredLanguageFor(callerNumber);
+        const known = offered.includes(preferred) ? preferred : null;
+        const menuMode = LANGUAGE_CONFIG.menuMode;
+        if (offered.length > 1 && (menuMode === 'always' || (menuMode === 'new' && !known))) {
+            console.log(`🌐 Offering language menu: ${offered.join(', ')}`);
+            return res.type('text/xml').send(buildLanguageMenuTwiml(offered, { action: '/incoming/language', timeoutSeconds: LANGUAGE_CONFIG.menuTimeoutSeconds }));
+        }
+        await proceedToCall(req, res, { persona, language: known || defaultLanguageFor(persona), languageSource: known ? 'history' : 'default' });
+    } catch (error) {
+        console.error('Error handling incoming call:', error);
+        await sendConnectError(req, res, error);
+    }
+});
+
+// Language menu keypress (or the menu timing out without one)
+app.post('/incoming/language', async (req, res) => {
+    try {
+        const callerNumber = req.body.From;
+        if (!callerNumber) throw new Error('No caller number found in request');
+
+        const persona = personaRegistry.resolve(req.body.To);
+        const picked = languageForDigit(languagesFor(persona), req.body.Digits);
+        const language = picked || defaultLanguageFor(persona);
+        const languageSource = picked ? 'menu' : (req.body.Digits ? 'default' : 'timeout');
+        console.log(`🌐 Language for call ${req.body.CallSid}: ${LANGUAGES[language].name} (${languageSource})`);
+        await proceedToCall(req, res, { persona, language, languageSource });
+        if (picked) await rememberLanguage(callerNumber, picked);
+    } catch (error) {
+        console.error('Error handling language selection:', error);
+        await sendConnectError(req, res, error);
+    }
+});
+
+// Consent keypress (or no keypress) after the disclosure. The language travels in the
+// action URL's query string.
+app.post('/incoming/consent', async (req, res) => {
+    try {
+        if (!req.body.From) throw new Error('No caller number found in request');
+
+        const persona = personaRegistry.resolve(req.body.To);
+        const language = LANGUAGES[req.query.language] ? req.query.language : defaultLanguageFor(persona);
+        const consent = { ...consentDecision(req.body.Digits, CONSENT_CONFIG), language };
+        console.log(`📝 Recording consent for call ${req.body.CallSid}: ${consent.status}${consent.recordingEnabled ? '' : ' (recording off)'}`);
+        await connectCall(req, res, { persona, language, languageSource: req.query.languageSource || 'default', consent });
+    } catch (error) {
+        console.error('Error handling consent:', error);
+        await sendConnectError(req, res, error);
+    }
+});
+
+// Reads the disclosure and asks for consent when CONSENT_ENABLED, otherwise connects
+async function proceedToCall(req, res, { persona, language, languageSource }) {
+    if (!CONSENT_CONFIG.enabled) return connectCall(req, res, { persona, language, languageSource });
+    const action = `/incoming/consent?${new URLSearchParams({ language, languageSource })}`;
+    res.type('text/xml').send(buildConsentTwiml(language, { action, timeoutSeconds: CONSENT_CONFIG.timeoutSeconds }));
+}
+
+// Unexpected errors before the call was connected still go down the fallback chain
+async function sendConnectError(req, res, error) {
+    if (res.headersSent) return;
+    const persona = personaRegistry.resolve(req.body?.To);
+    await connectFailed(req, res, { persona, language: defaultLanguageFor(persona), languageSource: 'default' }, error);
+}
+
+// Stores the attempt as a `failed_connect` conversation, so it shows on the dashboard
+// for a call back, and answers Twilio with the fallback chain (see lib/fallback.js)
+async function connectFailed(req, res, { persona, language, languageSource, consent = null }, error) {
+    console.error(`📵 Could not connect call ${req.body?.CallSid || 'unknown'} to the agent:`, error.message);
+    res.type('text/xml').send(buildFallbackTwiml(language, FALLBACK_CONFIG, {
+        dialAction: '/incoming/fallback/dial',
+        voicemailAction: '/incoming/fallback/voicemail',
+    }));
+
+    const callerNumber = req.body?.From || '';
+    const now = new Date().toISOString();
+    await upsertConversation({
+        id: `failed_${req.body?.CallSid || crypto.randomUUID()}`,
+        twilioCallSid: req.body?.CallSid || '',
+        from: callerNumber,
+        to: req.body?.To || '',
+        personaId: persona.id,
+        language,
+        languageSource,
+        consent,
+        callerId: callerRegistry.callerIdFor(callerNumber),
+        createdAt: now,
+        updatedAt: now,
+        status: 'failed_connect',
+        connectError: { message: error.message, attempts: error.attempts || 1, at: now },
+        fallback: {
+            chain: FALLBACK_CONFIG.chain,
+            dial: null,
+            voicemail: null,
+        },
+        raw: { twilioRequest: req.body },
+    }, { action: 'create' });
+}
+
+// Outcome of the fallback <Dial> to the human helpline; voicemail if nobody answered
+app.post('/incoming/fallback/dial', async (req, res) => {
+    const conversation = await findConversationByTwilioSid(req.body.CallSid);
+    const language = conversation?.language || LANGUAGE_CONFIG.defaultLanguage;
+    const connected = dialConnected(req.body.DialCallStatus);
+    console.log(`📵 Fallback dial for call ${req.body.CallSid}: ${req.body.DialCallStatus || 'unknown'}`);
+    if (!connected && FALLBACK_CONFIG.chain.includes('voicemail')) {
+        res.type('text/xml').send(buildVoicemailTwiml(language, FALLBACK_CONFIG, { action: '/incoming/fallback/voicemail' }));
+    } else {
+        res.type('text/xml').send(buildGoodbyeTwiml(language, { voicemailLeft: false }));
+    }
+    if (conversation) {
+        await updateConversation(conversation.id, existing => ({
+            fallback: {
+                ...existing.fallback,
+                dial: { number: FALLBACK_CONFIG.dialNumber, status: req.body.DialCallStatus || 'unknown', durationSeconds: Number(req.body.DialCallDuration || 0), at: new Date().toISOString() },
+            },
+        }), { action: 'fallback_dial' });
+    }
+});
+
+// Voicemail recorded after the fallback chain
+app.post('/incoming/fallback/voicemail', async (req, res) => {
+    const conversation = await findConversationByTwilioSid(req.body.CallSid);
+    res.type('text/xml').send(buildGoodbyeTwiml(conversation?.language || LANGUAGE_CONFIG.defaultLanguage));
+    console.log(`📼 Voicemail for call ${req.body.CallSid}: ${req.body.RecordingDuration || 0}s`);
+    if (conversation && req.body.RecordingUrl) {
+        await updateConversation(conversation.id, existing => ({
+            fallback: {
+                ...existing.fallback,
+                voicemail: { recordingUrl: req.body.RecordingUrl, durationSeconds: Number(req.body.RecordingDuration || 0), at: new Date().toISOString() },
+            },
+        }), { action: 'voicemail' });
+    }
+});
+
+// Creates the Ultravox call and pulls the join URL and call id out of the response
+async function createAgentCall(callConfig) {
+    const uvxResponse = await createUltravoxCall(callConfig);
+    console.log('Ultravox response structure:', JSON.stringify(uvxResponse, null, 2));
+
+    // ✅ FIX: Handle different possible response structures
+    let joinUrl, callId;
+    
+    if (uvxResponse.call) {
+        // If response has nested 'call' object (webhook structure)
+        joinUrl = uvxResponse.call.joinUrl;
+        callId = uvxResponse.call.callId;
+    } else if (uvxResponse.joinUrl) {
+        // If response has direct properties (API response structure)
+        joinUrl = uvxResponse.joinUrl;
+        callId = uvxResponse.callId;
+    } else {
+        console.error('Unexpected response structure from Ultravox:', uvxResponse);
+        throw new Error('Invalid response structure from Ultravox API');
+    }
+
+    if (!joinUrl || !callId) {
+        console.error('Missing joinUrl or callId in response:', { joinUrl, callId, uvxResponse });
+        throw new Error('Missing required fields (joinUrl, callId) in Ultravox response');
+    }
+    return { uvxResponse, joinUrl, callId };
+}
+
+// Creates the Ultravox call for the chosen persona and language, answers Twilio with the
+// stream TwiML and stores the conversation record. Recording stays off when the caller
+// didn't consent to it.
+async function connectCall(req, res, { persona, language, languageSource, consent = null }) {
+    const callerNumber = req.body.From;
+    const callSid = req.body.CallSid;
+    const memory = await callerMemoryFor(callerNumber, persona);
+    if (memory) console.log(`🧠 Returning caller: adding context from ${memory.conversationIds.length} earlier call(s)`);
+    const recordingEnabled = consent ? consent.recordingEnabled : true;
+    const callConfig = buildCallConfig({ persona, memory, language, recordingEnabled });
+    let created;
+    try {
+        created = await createWithRetry(() => createAgentCall(callConfig), FALLBACK_CONFIG);
+    } catch (error) {
+        return connectFailed(req, res, { persona, language, languageSource, consent }, error);
+    }
+    const { uvxResponse, joinUrl, callId } = created.result;
+
+    console.log(`Connecting call ${callSid} to Ultravox call ${callId}${created.attempts > 1 ? ` (attempt ${created.attempts})` : ''}`);
+    const twiml = new twilio.twiml.VoiceResponse();
+    twiml.connect().stream({ url: joinUrl });
+    res.type('text/xml').send(twiml.toString());
+
+    // Store the conversation record
+    await upsertConversation({
+        id: callId,
+        twilioCallSid: callSid,
+        from: callerNumber,
+        to: req.body.To || '',
+        personaId: persona.id,
+        language,
+        languageSource,
+        consent,
+        recordingEnabled,
+        callerId: callerRegistry.callerIdFor(callerNumber),
+        callerMemory: memory ? { conversationIds: memory.conversationIds, followUps: memory.followUps, chars: memory.text.length } : null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        status: 'active',
+        raw: { uvxResponse, twilioRequest: req.body }
+    }, { action: 'create', detail: { personaId: persona.id } });
+    if (LIVE_RISK_ENABLED) liveRiskMonitor.start(callId, { persona, language });
+}
+
+// Emergency alert function. One alert per call: the call is marked in flight before
+// dispatching, so live updates, agent flags and the end event arriving while an alert is
+// still being sent share it instead of each sending their own. Once the dispatch is done,
+// `lastAlertId` on the stored conversation takes over.
+const alertsInFlight = new Map();
+
+function sendEmergencyAlert(record, { reason } = {}) {
+    if (alertsInFlight.has(record.id)) return alertsInFlight.get(record.id);
+    const sending = dispatchEmergencyAlert(record, { reason }).finally(() => alertsInFlight.delete(record.id));
+    alertsInFlight.set(record.id, sending);
+    return sending;
+}
+
+async function dispatchEmergencyAlert(record, { reason }) {
+    try {
+        // Callers checked a copy read before the previous alert was recorded
+        const current = await getConversationById(record.id);
+        if (current?.lastAlertId) return null;
+        console.log(`🚨 EMERGENCY ALERT TRIGGERED for call ${record.id}`);
+        const alert = await alertDispatcher.dispatch(record, { reason, routing: personaFor(record).alerts });
+        await updateConversation(record.id, () => ({ lastAlertId: alert.id, alertStatus: alert.status }), { action: 'emergency_alert', detail: { reason: reason || null } });
+        return alert;
+    } catch (error) {
+        console.error(`Failed to dispatch emergency alert for call ${record.id}:`, error);
+        return null;
+    }
+}
+
+// Caller history: profiles keyed by a hash of the caller's number, with an alert when a
+// caller's risk keeps rising across calls (see lib/callers.js). Local JSON storage gets a
+// generated hashing secret when CALLER_HASH_SECRET isn't set.
+const CALLER_CONFIG = callerConfigFromEnv();
+if (CALLER_CONFIG.errors.length > 0) throw new Error(CALLER_CONFIG.errors.join('; '));
+if (!CALLER_CONFIG.hashSecret) {
+    CALLER_CONFIG.hashSecret = localHashSecret(path.resolve(process.cwd(), 'data', 'caller-hash-secret'));
+    console.warn('CALLER_HASH_SECRET not set; using the generated secret in data/caller-hash-secret.');
+}
+const callersStore = encryptedCollection(collection('callers'), cipherFor(CALLER_FIELDS));
+const callerRegistry = createCallerRegistry({
+    callersStore,
+    conversationsStore,
+    config: CALLER_CONFIG,
+    onEscalation: async (conversation, trend) => {
+        try {
+            return await alertDispatcher.dispatch(conversation, { reason: 'worsening_trend', detail: trend.summary, routing: personaFor(conversation).alerts });
+        } catch (error) {
+            console.error(`Failed to dispatch trend alert for call ${conversation.id}:`, error);
+            return null;
+        }
+    },
+});
+
+// Audit log of who viewed or changed conversations (see lib/audit.js). Diffs only note
+// that encrypted fields changed, so the log holds no transcripts or numbers.
+const auditLog = createAuditLog({ auditStore: collection('auditLog') });
+
+async function audit(req, action, { conversationId = null, before, after, detail = null, actor: by } = {}) {
+    try {
+        await auditLog.append({
+            actor: by || (req ? actor(req) : '') || 'anonymous',
+            role: req?.user?.role || null,
+            action,
+            conversationId,
+            changes: before || after ? diffRecords(before, after, { sensitiveFields: CONVERSATION_FIELDS }) : null,
+            detail,
+        });
+    } catch (error) {
+        console.error(`🧾 Failed to write audit entry for ${action}:`, error);
+    }
+}
+
+// Retention windows and caller erasure (see lib/retention.js). Erasure receipts hold no
+// phone numbers, so they are stored unencrypted.
+const retentionManager = createRetentionManager({
+    conversationsStore,
+    alertsStore,
+    callersStore,
+    receiptsStore: collection('deletionReceipts'),
+    callerIdOf: conversation => conversation.callerId || callerRegistry.callerIdFor(conversation.from),
+    deleteRemoteCall: deleteUltravoxCall,
+    onPurge: (before, after) => audit(null, 'retention_purge', { conversationId: before.id, before, after, actor: 'retention-policy' }),
+    config: retentionConfigFromEnv(),
+});
+
+// Returning-caller memory for the system prompt, unless the caller opted out. Only calls
+// to the same persona are remembered, so helplines don't see each other's conversations.
+const CALLER_MEMORY_CONFIG = callerMemoryConfigFromEnv();
+
+async function callerMemoryFor(callerNumber, persona) {
+    if (!CALLER_MEMORY_CONFIG.enabled) return null;
+    try {
+        const callerId = callerRegistry.callerIdFor(callerNumber);
+        if (!callerId) return null;
+        const profile = await callersStore.findOne({ id: callerId });
+        if (profile?.memoryOptOut) return null;
+        const { lookupLimit } = callerRegistry.config;
+        const conversations = (await callerRegistry.conversationsFor(callerId, { limit: lookupLimit })).filter(c => personaFor(c).id === persona.id);
+        return buildCallerMemory(conversations, CALLER_MEMORY_CONFIG);
+    } catch (error) {
+        console.warn('Failed to build caller memory; continuing without it:', error.message);
+        return null;
+    }
+}
+
+// Call language: a persona may narrow the menu (`languages`) and set its own default
+// (`language`). A returning caller's earlier choice, or the language their last call was
+// analyzed in, skips the menu when LANGUAGE_MENU_MODE is "new".
+const languagesFor = persona => persona.languages?.length ? persona.languages : LANGUAGE_CONFIG.menu;
+const defaultLanguageFor = persona => persona.language || LANGUAGE_CONFIG.defaultLanguage;
+
+async function preferredLanguageFor(callerNumber) {
+    try {
+        const callerId = callerRegistry.callerIdFor(callerNumber);
+        if (!callerId) return null;
+        const profile = await callersStore.findOne({ id: callerId });
+        if (profile?.preferredLanguage) return profile.preferredLanguage;
+        const latest = (await callerRegistry.conversationsFor(callerId, { limit: callerRegistry.config.lookupLimit }))
+            .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())
+            .find(c => c.language || c.geminiAnalysis?.language_used);
+        return latest ? latest.language || languageFromAnalysis(latest.geminiAnalysis.language_used) : null;
+    } catch (error) {
+        console.warn('Failed to look up the caller\'s language; offering the menu:', error.message);
+        return null;
+    }
+}
+
+async function rememberLanguage(callerNumber, language) {
+    try {
+        const callerId = callerRegistry.callerIdFor(callerNumber);
+        if (callerId) await callerRegistry.setPreferredLanguage(callerId, language);
+    } catch (error) {
+        console.error('Failed to save the caller\'s language:', error);
+    }
+}
+
+// Adds an analyzed call to its caller's profile; `alert: false` for re-analysis and imports
+async function updateCallerHistory(record, { alert = true } = {}) {
+    try {
+        await callerRegistry.recordCall(record, { alert });
+    } catch (error) {
+        console.error(`Failed to update caller history for call ${record.id}:`, error);
+    }
+}
+
+// Live risk detection: re-score the partial transcript whenever new messages arrive
+// and raise the alert mid-call instead of waiting for the end event.
+async function handleLiveRiskUpdate(callId, result, { messagesProcessed }) {
+    const now = new Date().toISOString();
+    const updated = await updateConversation(callId, existing => ({
+        liveRisk: {
+            tendency: result.tendency,
+            score: result.score,
+            detectedTerms: result.detectedTerms,
+            lexiconVersion: result.lexiconVersion,
+            lexiconSource: result.lexiconSource,
+            immediateIntervention: result.immediateIntervention,
+            messagesProcessed,
+            updatedAt: now,
+        },
+        ...(result.immediateIntervention ? { immediateIntervention: true, liveFlaggedAt: existing.liveFlaggedAt || now } : {}),
+    }), { action: 'live_risk' });
+    if (!updated) return;
+    console.log(`👂 Live risk for ${callId}: ${result.tendency} (score ${result.score}, ${messagesProcessed} messages)`);
+}
+
+// Raised once per call by the monitor; sendEmergencyAlert skips calls already alerted on
+async function handleLiveRiskAlert(callId) {
+    const conversation = await getConversationById(callId);
+    if (conversation) await sendEmergencyAlert(conversation, { reason: 'live_detection' });
+}
+
+const liveRiskMonitor = createLiveRiskMonitor({
+    fetchMessages: getUltravoxMessages,
+    score: (messages, { persona, language }) => ({
+        ...classifierFor(persona, language).scoreTranscriptKeywords(toConversationMessages(messages)),
+        lexiconSource: lexiconSourceFor(persona, language),
+    }),
+    onUpdate: handleLiveRiskUpdate,
+    onAlert: handleLiveRiskAlert,
+    intervalMs: LIVE_RISK_POLL_MS,
+});
+
+// Warm transfer helper shared by the dashboard, the API and the agent's tool call.
+// The outcome is appended to the conversation's `transfers` list; a second request for
+// the same call, even one racing the first, gets a 409.
+async function transferConversation(conversation, { target, reason, initiatedBy, req = null }) {
+    const { transfer, inProgress } = await transferService.transferOnce(conversation, { target, reason, initiatedBy }, {
+        load: getConversationById,
+        persist: attempt => updateConversation(conversation.id, existing => ({
+            transferStatus: attempt.status,
+            transfers: [...(existing.transfers || []), attempt],
+        }), { action: 'transfer', req, detail: { target: attempt.target || null, status: attempt.status, initiatedBy } }),
+    });
+    if (inProgress) {
+        return { ok: false, code: 409, error: 'A transfer is already in progress for this call', transfer: inProgress };
+    }
+    if (transfer.status === 'failed') return { ok: false, code: 502, error: transfer.error, transfer };
+    return { ok: true, transfer };
+}
+
+// --- Agent tools ---
+
+const toolRegistry = createToolRegistry({ baseUrl: BASE_URL, secret: AUTH_CONFIG.toolSecret });
+
+// Appends a tool invocation to the conversation record
+async function recordToolCall(conversationId, entry) {
+    await updateConversation(conversationId, existing => ({
+        toolCalls: [...(existing.toolCalls || []), entry],
+    }), { action: 'tool_call', detail: { tool: entry.tool, ok: entry.ok } });
+}
+
+toolRegistry.register({
+    name: 'lookupHelplines',
+    description: 'Look up crisis and mental health helpline numbers for a region in India so you can share them with the caller.',
+    parameters: [
+        { name: 'region', type: 'string', description: 'State or city the caller is in, e.g. "Maharashtra" or "Chennai". Use "national" if unknown.', required: true, maxLength: 100 },
+    ],
+    async handler({ region }) {
+        const result = lookupHelplines(region);
+        const list = result.helplines.map(h => `${h.name}: ${h.phone} (${h.hours})`).join('; ');
+        return { message: `Helplines for ${result.region}: ${list}`, data: result };
+    },
+});
+
+toolRegistry.register({
+    name: 'scheduleCallback',
+    description: 'Schedule a follow-up call from a counsellor at a time the caller agreed to.',
+    parameters: [
+        {
+            name: 'time',
+            type: 'string',
+            description: 'Agreed callback time as an ISO 8601 date-time with timezone offset, e.g. 2025-01-05T18:30:00+05:30',
+            required: true,
+            validate: value => {
+                const at = new Date(value);
+                if (Number.isNaN(at.getTime())) return 'must be an ISO 8601 date-time';
+                if (at.getTime() < Date.now()) return 'must be in the future';
+                return null;
+            },
+        },
+        { name: 'note', type: 'string', description: 'Anything the counsellor should know before calling back', maxLength: 500 },
+    ],
+    async handler({ time, note }, conversation) {
+        const callback = {
+            id: crypto.randomUUID(),
+            requestedFor: new Date(time).toISOString(),
+            note: note || '',
+            status: 'scheduled',
+            createdAt: new Date().toISOString(),
+        };
+        await updateConversation(conversation.id, existing => ({
+            callbacks: [...(existing.callbacks || []), callback],
+        }), { action: 'schedule_callback' });
+        return { message: `Callback scheduled for ${callback.requestedFor}.`, data: callback };
+    },
+});
+
+toolRegistry.register({
+    name: 'flagRisk',
+    description: 'Flag that the caller may be at risk so the care team is informed. Use "severe" when the caller has a plan or intent to harm themselves.',
+    parameters: [
+        { name: 'level', type: 'string', description: 'Risk level you observed', required: true, enum: ['low', 'medium', 'high', 'severe'] },
+        { name: 'reason', type: 'string', description: 'Short explanation of what the caller said', required: true, maxLength: 500 },
+    ],
+    async handler({ level, reason }, conversation) {
+        const flag = { level, reason, at: new Date().toISOString() };
+        const severe = level === 'severe';
+        const updated = await updateConversation(conversation.id, existing => ({
+            agentRiskFlags: [...(existing.agentRiskFlags || []), flag],
+            ...(severe ? { immediateIntervention: true } : {}),
+        }), { action: 'agent_flag', detail: { level } });
+        if (severe && updated && !updated.lastAlertId) await sendEmergencyAlert(updated, { reason: 'agent_flag' });
+        return { message: severe ? 'Risk flagged and the care team has been alerted. Stay with the caller.' : 'Risk flagged for the care team.', data: flag };
+    },
+});
+
+toolRegistry.register({
+    name: 'forgetPreviousCalls',
+    description: 'Stop remembering this caller between calls. Use this when the caller asks you not to remember or bring up their earlier calls.',
+    parameters: [],
+    async handler(_args, conversation) {
+        const callerId = conversation.callerId || callerRegistry.callerIdFor(conversation.from);
+        const profile = callerId ? await callerRegistry.setMemoryOptOut(callerId, true, { by: 'caller' }) : null;
+        if (!profile) return { ok: false, message: 'Could not update the preference. Reassure the caller that nothing they share is read back to them.' };
+        return { message: 'Done. Earlier calls will not be brought up in future calls.', data: { callerId } };
+    },
+});
+
+if (TRANSFER_ENABLED) {
+    toolRegistry.register({
+        name: 'transferToHuman',
+        description: 'Transfer the caller to a human counsellor. Use this when the caller may harm themselves, is in crisis, or asks to speak to a real person. Tell the caller you are connecting them before calling this tool.',
+        parameters: [
+            { name: 'reason', type: 'string', description: 'Brief reason for the transfer', required: true, maxLength: 500 },
+        ],
+        async handler({ reason }, conversation) {
+            const result = await transferConversation(conversation, { reason, initiatedBy: 'agent' });
+            if (!result.ok) return { ok: false, message: 'The transfer could not be started. Stay with the caller and keep supporting them.' };
+            return { message: 'Transfer started. The caller will hear a hold message and then be connected to a counsellor.', data: result.transfer };
+        },
+    });
+}
+
+// Per-call Ultravox config with the agent's tools attached
+// `persona` supplies the prompt, voice and tools; `language` adds the language block and
+// picks a voice for it; `memory` is the returning-caller context appended to the prompt;
+// `recordingEnabled` is false when the caller declined recording
+function buildCallConfig({ persona = DEFAULT_PERSONA, memory = null, language = defaultLanguageFor(persona), recordingEnabled = true } = {}) {
+    const systemPrompt = languagePrompt(persona.systemPrompt, language, { agentName: persona.agentName || AGENT_NAME });
+    return {
+        ...ULTRAVOX_CALL_CONFIG,
+        systemPrompt: memory ? `${systemPrompt}${memory.text}` : systemPrompt,
+        model: persona.model || ULTRAVOX_MODEL,
+        voice: persona.voices?.[language] || LANGUAGE_CONFIG.voices[language] || persona.voice || ULTRAVOX_VOICE_ID,
+        languageHint: language,
+        recordingEnabled,
+        temperature: persona.temperature ?? ULTRAVOX_TEMPERATURE,
+        firstSpeaker: persona.firstSpeaker || FIRST_SPEAKER,
+        selectedTools: toolRegistry.selectedTools(persona.tools?.length ? persona.tools : undefined),
+    };
+}
+
+/**
+ * Post-call processing once a call has ended: fetch the transcript and recording, run
+ * the analysis, send the end-of-call alert and update the caller's history. `callId` is
+ * the Ultravox call id or the Twilio CallSid.
+ */
+async function processCallEnded(callId, event) {
+    console.log(`📞 Call ended for ${callId} - processing transcript and recording.`);
+    liveRiskMonitor.stop(callId);
+    try {
+        const existing = (await getConversationById(callId)) || (await findConversationByTwilioSid(callId));
+        if (!existing) {
+            console.error(`Could not find a record for call ${callId}`);
+            return;
+        }
+
+        const ultravoxCallId = existing.id;
+        liveRiskMonitor.stop(ultravoxCallId);
+
+        const [transcriptResult, callDetailsResult] = await Promise.allSettled([
+            getUltravoxTranscriptFromMessages(ultravoxCallId),
+            getUltravoxCall(ultravoxCallId),
+        ]);
+        
+        const { transcript = '', turnStartSeconds = [] } = transcriptResult.status === 'fulfilled' ? transcriptResult.value : {};
+        const callDetails = callDetailsResult.status === 'fulfilled' ? callDetailsResult.value : null;
+
+        if (transcriptResult.status === 'rejected') console.warn(`Failed to fetch transcript for ${callId}:`, transcriptResult.reason.message);
+        if (callDetailsResult.status === 'rejected') console.warn(`Failed to fetch call details for ${callId}:`, callDetailsResult.reason.message);
+
+        const { analysis, transcriptFields } = await analyzeTranscript(existing, transcript, turnStartSeconds);
+        
+        // Merged into the stored record, so an alert raised while the analysis ran is kept
+        const record = await updateConversation(ultravoxCallId, current => ({
+            ...transcriptFields,
+            recordingUrl: callDetails?.recordingUrl || current.recordingUrl || '',
+            ...analysisFields(analysis, current),
+            status: 'completed',
+            raw: { ...(current.raw || {}), endEvent: event, finalDetails: callDetails }
+        }), { action: 'call_ended' });
+        if (!record) return;
+        // Skip if live detection already raised an alert during the call
+        if (record.immediateIntervention && !record.lastAlertId) await sendEmergencyAlert(record);
+        await updateCallerHistory(record);
+        console.log(`✅ Final processing complete for call ${callId}.`);
+    } catch (error) {
+        console.error(`Error processing call_ended event for ${callId}:`, error);
+    }
+}
+
+// Handle Ultravox event webhooks
+app.post('/ultravox/events', async (req, res) => {
+    console.log('Received Webhook Event:', JSON.stringify(req.body, null, 2));
+    const event = req.body || {};
+
+    const callId = event.call?.callId;
+    const eventType = event.event;
+
+    if (!callId) {
+        console.warn('Webhook event received without a call.callId.');
+        return res.status(200).json({ ok: true, message: 'Event acknowledged, no Call ID found.' });
+    }
+    
+    // Acknowledge the webhook immediately
+    res.status(200).json({ ok: true, message: `Event '${eventType}' acknowledged.` });
+
+    // Transcript pushes for an in-progress call are scored straight away
+    if (Array.isArray(event.messages)) {
+        liveRiskMonitor.ingest(callId, event.messages).catch(error => console.warn(`Live transcript ingest failed for ${callId}:`, error.message));
+    }
+
+    if (eventType === 'call.ended') await processCallEnded(callId, event);
+});
+
+// Twilio status callbacks for the helpline number; 'completed' starts post-call processing
+app.post('/twilio/status', createTwilioStatusHandler({
+    onCallEnded: (callSid, params) => processCallEnded(params.ParentCallSid || callSid, params),
+}));
+
+// Ultravox HTTP tools: validate, run, and log every call on the conversation
+app.post('/tools/:name', createToolEndpoint({ registry: toolRegistry, getConversation: getConversationById, recordToolCall }));
+
+// Briefing played to the counsellor before the caller is bridged in
+app.post('/twilio/transfer-whisper', async (req, res) => {
+    const { conversationId, transferId } = req.query;
+    const conversation = await getConversationById(conversationId);
+    const transfer = conversation?.transfers?.find(t => t.id === transferId);
+    res.type('text/xml').send(buildWhisperTwiml(conversation, transfer));
+});
+
+// <Dial>/<Enqueue> action callback with the transfer outcome
+app.post('/twilio/transfer-status', async (req, res) => {
+    const { conversationId, transferId } = req.query;
+    const outcome = req.body.DialCallStatus || req.body.QueueResult || 'unknown';
+    const connected = ['completed', 'answered', 'bridged'].includes(outcome);
+    console.log(`📞 Transfer ${transferId} for ${conversationId} finished: ${outcome}`);
+
+    await updateConversation(conversationId, existing => ({
+        transferStatus: connected ? 'completed' : 'failed',
+        transfers: (existing.transfers || []).map(t => t.id === transferId ? {
+            ...t,
+            status: connected ? 'completed' : 'failed',
+            outcome,
+            durationSeconds: Number(req.body.DialCallDuration || req.body.QueueTime || 0),
+            completedAt: new Date().toISOString(),
+        } : t),
+    }), { action: 'transfer_status', detail: { transferId, outcome } });
+
+    const twiml = new twilio.twiml.VoiceResponse();
+    if (!connected) {
+        twiml.say({ voice: 'alice', language: 'en-IN' }, 'We could not reach a counsellor right now. Please call back, or contact your local emergency number if you are in danger.');
+    }
+    twiml.hangup();
+    res.type('text/xml').send(twiml.toString());
+});
+
+// Who is acting: the signed-in user, or the "by" field when authentication is disabled
+function actor(req) {
+    return req.user?.name || String(req.body?.by || '').trim();
+}
+
+// Signed-in user's name as a script literal for the pages, so they only ask for a name
+// when authentication is disabled
+function signedInName(req) {
+    return JSON.stringify(req.user?.name || null).replace(/</g, '\\u003c');
+}
+
+// Conversations as returned by the API: the unredacted transcript has its own endpoint
+const withoutOriginal = ({ originalTranscript, ...conversation }) => conversation;
+
+// API to fetch all conversations
+app.get('/api/conversations', async (req, res) => {
+    try {
+        const convs = await getConversations();
+        await audit(req, 'list', { detail: { via: 'api', count: convs.length } });
+        res.json({ ok: true, conversations: convs.map(withoutOriginal) });
+    } catch (error) {
+        res.status(500).json({ ok: false, error: 'Internal server error' });
+    }
+});
+
+// API returning the transcript as it was before PII redaction (admins and counsellors only)
+app.get('/api/conversations/:id/original-transcript', async (req, res) => {
+    try {
+        const conversation = await getConversationById(req.params.id);
+        if (!conversation) return res.status(404).json({ ok: false, error: 'Conversation not found' });
+        console.log(`🔓 ${actor(req) || 'Unknown user'} viewed the original transcript of ${req.params.id}`);
+        await audit(req, 'view_original_transcript', { conversationId: req.params.id });
+        res.json({
+            ok: true,
+            redacted: Boolean(conversation.originalTranscript),
+            transcript: conversation.originalTranscript || conversation.transcript || '',
+        });
+    } catch (error) {
+        res.status(500).json({ ok: false, error: 'Internal server error' });
+    }
+});
+
+// API to list emergency alerts raised for a conversation
+app.get('/api/conversations/:id/alerts', async (req, res) => {
+    try {
+        const alerts = await alertsStore.find({ conversationId: req.params.id });
+        await audit(req, 'view_alerts', { conversationId: req.params.id });
+        res.json({ ok: true, alerts });
+    } catch (error) {
+        console.error('Error fetching alerts:', error);
+        res.status(500).json({ ok: false, error: 'Internal server error' });
+    }
+});
+
+// Acknowledge every open alert for a conversation, stopping further escalation
+app.post('/api/conversations/:id/acknowledge', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const by = actor(req);
+        const note = String(req.body.note || '').trim();
+        if (!by) return res.status(400).json({ ok: false, error: 'Field "by" (who is acknowledging) is required' });
+
+        const existing = await getConversationById(id);
+        if (!existing) return res.status(404).json({ ok: false, error: 'Conversation not found' });
+
+        const alerts = await alertsStore.find({ conversationId: id });
+        const open = alerts.filter(a => a.status !== 'acknowledged');
+        if (open.length === 0) return res.status(409).json({ ok: false, error: 'No open alerts for this conversation' });
+
+        const acknowledged = [];
+        for (const alert of open) {
+            acknowledged.push(await alertDispatcher.acknowledge(alert, { by, note }));
+        }
+        console.log(`✅ ${acknowledged.length} alert(s) for ${id} acknowledged by ${by}`);
+        await audit(req, 'acknowledge_alerts', { conversationId: id, detail: { alertIds: acknowledged.map(a => a.id), note } });
+        res.json({ ok: true, alerts: acknowledged, message: `Acknowledged ${acknowledged.length} alert(s)` });
+    } catch (error) {
+        console.error('Error acknowledging alerts:', error);
+        res.status(500).json({ ok: false, error: 'Internal server error' });
+    }
+});
+
+// Conversations whose keyword and LLM verdicts disagree and still await a reviewer
+app.get('/api/review-queue', async (req, res) => {
+    try {
+        const pending = (await getConversations()).filter(c => c.humanReview?.status === 'pending');
+        await audit(req, 'list', { detail: { via: 'review_queue', count: pending.length } });
+        res.json({
+            ok: true,
+            count: pending.length,
+            conversations: pending.map(c => ({
+                id: c.id,
+                from: c.from,
+                createdAt: c.createdAt,
+                tendency: c.tendency,
+                keywordTendency: c.riskDecision?.keywordTendency,
+                geminiTendency: c.riskDecision?.geminiTendency,
+                reason: c.humanReview.reason,
+                flaggedAt: c.humanReview.flaggedAt,
+            })),
+        });
+    } catch (error) {
+        console.error('Error fetching review queue:', error);
+        res.status(500).json({ ok: false, error: 'Internal server error' });
+    }
+});
+
+// Caller profile by caller id (the hashed number) or by the phone number itself
+app.get('/api/callers/:id', async (req, res) => {
+    try {
+        const callerId = isPhoneNumber(req.params.id) ? callerRegistry.callerIdFor(req.params.id) : req.params.id;
+        const caller = callerId ? await callerRegistry.get(callerId) : null;
+        if (!caller) return res.status(404).json({ ok: false, error: 'Caller not found' });
+        await audit(req, 'view_caller', { detail: { callerId } });
+        res.json({ ok: true, caller });
+    } catch (error) {
+        console.error('Error fetching caller profile:', error);
+        res.status(500).json({ ok: false, error: 'Internal server error' });
     }
-    return '';
-}
+});
 
-// Helper to find our conversation record using Twilio's CallSid
-async function findConversationByTwilioSid(twilioCallSid) {
+// Turn returning-caller memory off or back on (body: { "optOut": true, "by": "name" })
+app.put('/api/callers/:id/memory', async (req, res) => {
     try {
-        if (conversationsCol) {
-            return await conversationsCol.findOne({ twilioCallSid: twilioCallSid });
-        }
-        const list = await getConversations();
-        return list.find(x => x.twilioCallSid === twilioCallSid);
+        if (typeof req.body.optOut !== 'boolean') return res.status(400).json({ ok: false, error: '"optOut" must be true or false' });
+        const callerId = isPhoneNumber(req.params.id) ? callerRegistry.callerIdFor(req.params.id) : req.params.id;
+        const by = actor(req) || 'unknown';
+        const caller = callerId ? await callerRegistry.setMemoryOptOut(callerId, req.body.optOut, { by }) : null;
+        if (!caller) return res.status(404).json({ ok: false, error: 'Caller not found' });
+        console.log(`🧠 Caller memory for ${callerId} ${caller.memoryOptOut ? 'disabled' : 'enabled'} by ${by}`);
+        await audit(req, 'caller_memory', { detail: { callerId, optOut: caller.memoryOptOut } });
+        res.json({ ok: true, caller, message: caller.memoryOptOut ? 'Caller memory disabled for this caller' : 'Caller memory enabled for this caller' });
     } catch (error) {
-        console.error('Failed to get conversation by Twilio SID:', error);
-        return null;
+        console.error('Error updating caller memory preference:', error);
+        res.status(500).json({ ok: false, error: 'Internal server error' });
     }
-}
+});
 
-// --- Express Endpoints ---
+// Right to erasure: delete every record for a caller (admins only). `:id` is the phone
+// number or the caller id; the response is the signed deletion receipt.
+app.delete('/api/callers/:id', async (req, res) => {
+    try {
+        const callerId = isPhoneNumber(req.params.id) ? callerRegistry.callerIdFor(req.params.id) : req.params.id;
+        if (!callerId) return res.status(400).json({ ok: false, error: 'Not a phone number or caller id' });
+        if (!retentionManager.config.receiptSecret) {
+            return res.status(409).json({ ok: false, error: 'Erasure needs a receipt signing secret (set ERASURE_RECEIPT_SECRET)' });
+        }
+        const receipt = await retentionManager.erase(callerId, { by: actor(req) || 'unknown' });
+        console.log(`🗑️ Erased caller ${callerId} for ${receipt.requestedBy}: ${receipt.deleted.conversations} conversation(s), ${receipt.deleted.alerts} alert(s); receipt ${receipt.id}`);
+        for (const conversationId of receipt.deleted.conversationIds.length ? receipt.deleted.conversationIds : [null]) {
+            await audit(req, 'erase', { conversationId, detail: { callerId, receiptId: receipt.id } });
+        }
+        res.status(receipt.complete ? 200 : 207).json({
+            ok: receipt.complete,
+            receipt,
+            message: receipt.deleted.conversations || receipt.deleted.callerProfile ? 'Caller records erased' : 'No records found for this caller',
+        });
+    } catch (error) {
+        console.error('Error erasing caller records:', error);
+        res.status(500).json({ ok: false, error: 'Internal server error' });
+    }
+});
 
-// Handle incoming calls
-app.post('/incoming', async (req, res) => {
-    console.log('=== INCOMING CALL ===', req.body);
+// Resolve a queued review, optionally setting the final risk level
+app.post('/api/conversations/:id/review', async (req, res) => {
     try {
-        const callerNumber = req.body.From;
-        const callSid = req.body.CallSid;
-        if (!callerNumber) throw new Error('No caller number found in request');
-        
-        const uvxResponse = await createUltravoxCall(ULTRAVOX_CALL_CONFIG);
-        console.log('Ultravox response structure:', JSON.stringify(uvxResponse, null, 2));
+        const { id } = req.params;
+        const by = actor(req);
+        const note = String(req.body.note || '').trim();
+        const tendency = String(req.body.tendency || '').trim().toLowerCase();
+        if (!by) return res.status(400).json({ ok: false, error: 'Field "by" (who is reviewing) is required' });
+        if (tendency && !RISK_LEVELS.includes(tendency)) {
+            return res.status(400).json({ ok: false, error: `"tendency" must be one of: ${RISK_LEVELS.join(', ')}` });
+        }
 
-        // ✅ FIX: Handle different possible response structures
-        let joinUrl, callId;
-        
-        if (uvxResponse.call) {
-            // If response has nested 'call' object (webhook structure)
-            joinUrl = uvxResponse.call.joinUrl;
-            callId = uvxResponse.call.callId;
-        } else if (uvxResponse.joinUrl) {
-            // If response has direct properties (API response structure)
-            joinUrl = uvxResponse.joinUrl;
-            callId = uvxResponse.callId;
-        } else {
-            console.error('Unexpected response structure from Ultravox:', uvxResponse);
-            throw new Error('Invalid response structure from Ultravox API');
+        const existing = await getConversationById(id);
+        if (!existing) return res.status(404).json({ ok: false, error: 'Conversation not found' });
+        if (existing.humanReview?.status !== 'pending') return res.status(409).json({ ok: false, error: 'Conversation is not awaiting review' });
+
+        const updated = await updateConversation(id, c => ({
+            tendency: tendency || c.tendency,
+            needsCounselling: tendency ? counsellingFor(tendency) : c.needsCounselling,
+            humanReview: {
+                ...c.humanReview,
+                status: 'resolved',
+                tendency: tendency || c.tendency,
+                resolvedBy: by,
+                resolvedAt: new Date().toISOString(),
+                note,
+            },
+        }), { action: 'resolve_review', req });
+        console.log(`🧑‍⚖️ Review for ${id} resolved by ${by}: ${updated.tendency}`);
+        res.json({ ok: true, conversation: withoutOriginal(updated), message: `Review resolved; final risk level ${updated.tendency}` });
+    } catch (error) {
+        console.error('Error resolving review:', error);
+        res.status(500).json({ ok: false, error: 'Internal server error' });
+    }
+});
+
+// Transfer an active call to a human counsellor (dashboard / API)
+app.post('/api/conversations/:id/transfer', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const target = String(req.body.target || '').trim();
+        if (target && !isValidTransferNumber(target)) {
+            return res.status(400).json({ ok: false, error: 'Target must be an E.164 phone number (e.g. +919876543210)' });
         }
+        const existing = await getConversationById(id);
+        if (!existing) return res.status(404).json({ ok: false, error: 'Conversation not found' });
+        if (existing.status !== 'active') return res.status(409).json({ ok: false, error: 'Call is not active' });
+
+        const result = await transferConversation(existing, {
+            target: target || undefined,
+            reason: String(req.body.reason || '').trim(),
+            initiatedBy: actor(req) || 'dashboard',
+            req,
+        });
+        if (!result.ok) return res.status(result.code).json({ ok: false, error: result.error, transfer: result.transfer });
+        res.json({ ok: true, transfer: result.transfer, message: `Transfer to ${result.transfer.target} initiated` });
+    } catch (error) {
+        console.error('Error transferring call:', error);
+        res.status(500).json({ ok: false, error: 'Internal server error' });
+    }
+});
 
-        if (!joinUrl || !callId) {
-            console.error('Missing joinUrl or callId in response:', { joinUrl, callId, uvxResponse });
-            throw new Error('Missing required fields (joinUrl, callId) in Ultravox response');
+// Risk lexicon admin API
+app.get('/api/admin/lexicon', (_req, res) => {
+    res.json({ ok: true, path: RISK_LEXICON_PATH, lexicon: riskLexicon.get().raw });
+});
+
+app.put('/api/admin/lexicon', async (req, res) => {
+    try {
+        const archived = req.body?.version ? await archivedLexicon(req.body.version) : null;
+        if (archived && JSON.stringify(archived.lexicon) !== JSON.stringify(req.body)) {
+            return res.status(409).json({ ok: false, error: `Version ${req.body.version} was already used for different rules; choose a new version` });
         }
+        const result = riskLexicon.update(req.body);
+        if (!result.ok) return res.status(400).json({ ok: false, error: 'Invalid lexicon', details: result.errors || [result.error] });
+        await archiveLexiconVersion(result.lexicon);
+        console.log(`📚 Risk lexicon updated to version ${result.lexicon.version} via admin API`);
+        res.json({ ok: true, version: result.lexicon.version, message: `Lexicon ${result.lexicon.version} is now active` });
+    } catch (error) {
+        console.error('Error updating lexicon:', error);
+        res.status(500).json({ ok: false, error: 'Internal server error' });
+    }
+});
 
-        console.log(`Connecting call ${callSid} to Ultravox call ${callId}`);
-        const twiml = new twilio.twiml.VoiceResponse();
-        twiml.connect().stream({ url: joinUrl });
-        res.type('text/xml').send(twiml.toString());
+// Persona registry: one agent configuration per dialed helpline number
+app.get('/api/admin/personas', (_req, res) => {
+    res.json({ ok: true, personas: personaRegistry.list() });
+});
 
-        // Store the conversation record
-        upsertConversation({
-            id: callId,
-            twilioCallSid: callSid,
-            from: callerNumber,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
-            status: 'active',
-            raw: { uvxResponse, twilioRequest: req.body }
-        });
+app.get('/api/admin/personas/:id', (req, res) => {
+    const persona = personaRegistry.get(req.params.id);
+    if (!persona) return res.status(404).json({ ok: false, error: 'Persona not found' });
+    res.json({ ok: true, persona });
+});
+
+// Create or replace a persona (body: the full persona; `id` comes from the URL)
+app.put('/api/admin/personas/:id', async (req, res) => {
+    try {
+        const { createdAt, updatedAt, _id, ...fields } = req.body || {};
+        const input = { ...fields, id: req.params.id };
+        if (typeof input.lexiconPath === 'string' && input.lexiconPath) {
+            const file = resolveLexiconPath(input.lexiconPath, LEXICON_DIR);
+            if (!file) {
+                return res.status(400).json({ ok: false, error: 'Invalid persona', details: [`"lexiconPath" must be a file in ${lexiconSourceOf(LEXICON_DIR)}/`] });
+            }
+            try {
+                readLexiconFile(file);
+            } catch (error) {
+                return res.status(400).json({ ok: false, error: 'Invalid persona', details: [`"lexiconPath" could not be loaded: ${error.message}`] });
+            }
+        }
+        const result = await personaRegistry.save(input);
+        if (!result.ok) return res.status(400).json({ ok: false, error: 'Invalid persona', details: result.errors });
+        console.log(`🎭 Persona ${result.persona.id} ${result.created ? 'created' : 'updated'} (${result.persona.numbers.join(', ')})`);
+        res.status(result.created ? 201 : 200).json({ ok: true, persona: result.persona });
     } catch (error) {
-        console.error('Error handling incoming call:', error);
-        const twiml = new twilio.twiml.VoiceResponse();
-        twiml.say({ voice: 'alice', language: 'en-IN' }, 'We are experiencing difficulty connecting your call. Please try again shortly.');
-        twiml.hangup();
-        res.type('text/xml').send(twiml.toString());
+        console.error('Error saving persona:', error);
+        res.status(500).json({ ok: false, error: 'Internal server error' });
     }
 });
 
-// Emergency alert function
-async function sendEmergencyAlert(alertData) {
-    console.log(`🚨 EMERGENCY ALERT TRIGGERED for call ${alertData.callId}`);
-    // Placeholder for actual alert integrations (email, SMS, etc.)
-}
+app.delete('/api/admin/personas/:id', async (req, res) => {
+    try {
+        if (req.params.id === DEFAULT_PERSONA.id) return res.status(400).json({ ok: false, error: 'The default persona is configured through environment variables' });
+        if (!(await personaRegistry.remove(req.params.id))) return res.status(404).json({ ok: false, error: 'Persona not found' });
+        console.log(`🎭 Persona ${req.params.id} deleted; its numbers now get the default persona`);
+        res.json({ ok: true, message: `Persona ${req.params.id} deleted` });
+    } catch (error) {
+        console.error('Error deleting persona:', error);
+        res.status(500).json({ ok: false, error: 'Internal server error' });
+    }
+});
 
-// Handle Ultravox event webhooks
-app.post('/ultravox/events', async (req, res) => {
-    console.log('Received Webhook Event:', JSON.stringify(req.body, null, 2));
-    const event = req.body || {};
+app.post('/api/admin/lexicon/reload', (_req, res) => {
+    const result = riskLexicon.reload();
+    if (!result.ok) return res.status(400).json({ ok: false, error: result.error, version: result.lexicon.version });
+    res.json({ ok: true, version: result.lexicon.version });
+});
 
-    const callId = event.call?.callId || req.body.ParentCallSid || req.body.CallSid;
-    const eventType = event.event || req.body.CallStatus; // 'call.ended' or 'completed'
+// Key rotation: re-reads the key file (with a new `current` key added) and re-wraps every
+// stored conversation and alert under it; plaintext records are encrypted on the way
+app.post('/api/admin/encryption/rotate', async (_req, res) => {
+    if (!keyProvider) return res.status(409).json({ ok: false, error: 'Encryption is not enabled (set ENCRYPTION_KEY_FILE)' });
+    try {
+        keyProvider.reload();
+        const conversations = await conversationsStore.rotate();
+        const alerts = await alertsStore.rotate();
+        const callers = await callersStore.rotate();
+        console.log(`🔐 Rotated to key ${conversations.keyId}: ${conversations.rotated} conversation(s), ${alerts.rotated} alert(s), ${callers.rotated} caller profile(s) re-wrapped`);
+        const failed = conversations.failed + alerts.failed + callers.failed;
+        res.status(failed ? 207 : 200).json({ ok: failed === 0, keyId: conversations.keyId, conversations, alerts, callers });
+    } catch (error) {
+        console.error('Error rotating encryption keys:', error);
+        res.status(500).json({ ok: false, error: error.message });
+    }
+});
 
-    if (!callId) {
-        console.warn('Webhook event received without a CallSid or call.callId.');
-        return res.status(200).json({ ok: true, message: 'Event acknowledged, no Call ID found.' });
+// Run the retention purge now instead of waiting for the schedule
+app.post('/api/admin/retention/purge', async (_req, res) => {
+    try {
+        const summary = await retentionManager.purge();
+        console.log(`🗑️ Retention purge: ${summary.purged} of ${summary.checked} conversation(s) purged`);
+        res.status(summary.failed ? 207 : 200).json({ ok: summary.failed === 0, summary });
+    } catch (error) {
+        console.error('Error running retention purge:', error);
+        res.status(500).json({ ok: false, error: error.message });
     }
-    
-    // Acknowledge the webhook immediately
-    res.status(200).json({ ok: true, message: `Event '${eventType}' acknowledged.` });
+});
 
-    // For Twilio, the final status is 'completed'. For Ultravox, it's 'call.ended'.
-    if (eventType === 'completed' || eventType === 'call.ended') {
-        console.log(`📞 Call ended for ${callId} - processing transcript and recording.`);
-        try {
-            // We need to look up our record by Twilio's SID to get the Ultravox Call ID.
-            const existing = await findConversationByTwilioSid(callId);
-            if (!existing) {
-                console.error(`Could not find a record for Twilio CallSid: ${callId}`);
-                return;
-            }
+// A deletion receipt, with whether its signature still matches and the records are still gone
+app.get('/api/admin/erasure-receipts/:id', async (req, res) => {
+    try {
+        const verification = await retentionManager.verify(req.params.id);
+        if (!verification) return res.status(404).json({ ok: false, error: 'Receipt not found' });
+        res.json({ ok: true, ...verification });
+    } catch (error) {
+        console.error('Error verifying erasure receipt:', error);
+        res.status(500).json({ ok: false, error: 'Internal server error' });
+    }
+});
 
-            const ultravoxCallId = existing.id;
+// Audit log (admins and auditors). Filters: conversationId, actor, action, since, until, limit
+function auditFilters(query) {
+    const limit = Number(query.limit);
+    return {
+        conversationId: query.conversationId || undefined,
+        actor: query.actor || undefined,
+        action: query.action || undefined,
+        since: query.since || undefined,
+        until: query.until || undefined,
+        limit: Number.isInteger(limit) && limit > 0 ? limit : undefined,
+    };
+}
 
-            const [transcriptResult, callDetailsResult] = await Promise.allSettled([
-                getUltravoxTranscriptFromMessages(ultravoxCallId),
-                getUltravoxCall(ultravoxCallId),
-            ]);
-            
-            const transcript = transcriptResult.status === 'fulfilled' ? transcriptResult.value : '';
-            const callDetails = callDetailsResult.status === 'fulfilled' ? callDetailsResult.value : null;
+app.get('/api/audit', async (req, res) => {
+    try {
+        const filters = auditFilters(req.query);
+        const entries = await auditLog.query({ ...filters, limit: filters.limit || 500 });
+        res.json({ ok: true, entries });
+    } catch (error) {
+        console.error('Error querying audit log:', error);
+        res.status(500).json({ ok: false, error: 'Internal server error' });
+    }
+});
 
-            if (transcriptResult.status === 'rejected') console.warn(`Failed to fetch transcript for ${callId}:`, transcriptResult.reason.message);
-            if (callDetailsResult.status === 'rejected') console.warn(`Failed to fetch call details for ${callId}:`, callDetailsResult.reason.message);
+// CSV export for compliance reviews (same filters, no default limit)
+app.get('/api/audit/export', async (req, res) => {
+    try {
+        const entries = await auditLog.query(auditFilters(req.query));
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.send(auditToCsv(entries));
+    } catch (error) {
+        console.error('Error exporting audit log:', error);
+        res.status(500).json({ ok: false, error: 'Internal server error' });
+    }
+});
 
-            const analysis = await classifyRiskAndCounselling(transcript || 'No transcript available');
-            
-            const record = {
-                ...existing,
-                updatedAt: new Date().toISOString(),
-                transcript,
-                recordingUrl: callDetails?.recordingUrl || existing.recordingUrl || '',
-                summary: analysis.review,
-                tendency: analysis.tendency,
-                needsCounselling: analysis.needsCounselling,
-                score: analysis.score,
-                detectedTerms: analysis.detectedTerms,
-                immediateIntervention: analysis.immediateIntervention,
-                geminiAnalysis: analysis.geminiAnalysis,
-                status: 'completed',
-                raw: { ...(existing.raw || {}), endEvent: event, finalDetails: callDetails }
-            };
-            
-            await upsertConversation(record);
-            if (record.immediateIntervention) await sendEmergencyAlert(record);
-            console.log(`✅ Final processing complete for call ${callId}.`);
-        } catch (error) {
-            console.error(`Error processing call_ended event for ${callId}:`, error);
-        }
+// Checks the hash chain for edited or missing entries
+app.get('/api/audit/verify', async (_req, res) => {
+    try {
+        const result = await auditLog.verify();
+        res.status(result.ok ? 200 : 409).json(result);
+    } catch (error) {
+        console.error('Error verifying audit log:', error);
+        res.status(500).json({ ok: false, error: 'Internal server error' });
     }
 });
 
-// API to fetch all conversations
-app.get('/api/conversations', async (_req, res) => {
+app.get('/api/admin/lexicon/versions', async (_req, res) => {
     try {
-        const convs = await getConversations();
-        res.json({ ok: true, conversations: convs });
+        const versions = await lexiconVersionsStore.find();
+        res.json({
+            ok: true,
+            active: riskLexicon.get().version,
+            source: DEFAULT_LEXICON_SOURCE,
+            versions: versions.map(v => ({ source: v.source || DEFAULT_LEXICON_SOURCE, version: v.version, createdAt: v.createdAt })),
+        });
+    } catch (error) {
+        console.error('Error listing lexicon versions:', error);
+        res.status(500).json({ ok: false, error: 'Internal server error' });
+    }
+});
+
+app.get('/api/admin/lexicon/versions/:version', async (req, res) => {
+    try {
+        const archived = await archivedLexicon(req.params.version, req.query.source || DEFAULT_LEXICON_SOURCE);
+        if (!archived) return res.status(404).json({ ok: false, error: 'Lexicon version not found' });
+        res.json({ ok: true, source: archived.source || DEFAULT_LEXICON_SOURCE, version: archived.version, createdAt: archived.createdAt, lexicon: archived.lexicon });
     } catch (error) {
+        console.error('Error fetching lexicon version:', error);
         res.status(500).json({ ok: false, error: 'Internal server error' });
     }
 });
@@ -500,36 +1609,37 @@ app.post('/api/conversations/:id/refresh', async (req, res) => {
         const existing = await getConversationById(callId);
         if (!existing) return res.status(404).json({ ok: false, error: 'Conversation not found' });
 
+        if (existing.purged?.transcript) {
+            return res.status(409).json({ ok: false, error: 'The transcript was purged under the retention policy and is not fetched again' });
+        }
+
         const [transcriptResult, callDetailsResult] = await Promise.allSettled([
             getUltravoxTranscriptFromMessages(callId),
             getUltravoxCall(callId),
         ]);
 
-        const transcript = transcriptResult.status === 'fulfilled' ? transcriptResult.value : existing.transcript || '';
+        const fetched = transcriptResult.status === 'fulfilled' ? transcriptResult.value : null;
+        const transcript = fetched ? fetched.transcript : existing.originalTranscript || existing.transcript || '';
+        const turnStartSeconds = fetched ? fetched.turnStartSeconds : existing.turnStartSeconds || [];
         const callDetails = callDetailsResult.status === 'fulfilled' ? callDetailsResult.value : null;
-        const transcriptUpdated = transcriptResult.status === 'fulfilled' && !!transcriptResult.value;
+        const transcriptUpdated = !!fetched?.transcript;
 
-        const analysis = await classifyRiskAndCounselling(transcript || 'No transcript available');
+        const { analysis, transcriptFields } = await analyzeTranscript(existing, transcript, turnStartSeconds);
         const updatedRecord = {
             ...existing,
             updatedAt: new Date().toISOString(),
-            transcript,
-            summary: analysis.review,
-            tendency: analysis.tendency,
-            needsCounselling: analysis.needsCounselling,
-            score: analysis.score,
-            detectedTerms: analysis.detectedTerms,
-            immediateIntervention: analysis.immediateIntervention,
-            geminiAnalysis: analysis.geminiAnalysis,
-            recordingUrl: callDetails?.recordingUrl || existing.recordingUrl || '',
+            ...transcriptFields,
+            ...analysisFields(analysis, existing),
+            recordingUrl: existing.purged?.recording ? '' : callDetails?.recordingUrl || existing.recordingUrl || '',
             status: transcript ? 'completed' : 'no_transcript'
         };
-        await upsertConversation(updatedRecord);
+        await upsertConversation(updatedRecord, { action: 'refresh', req, before: existing });
+        await updateCallerHistory(updatedRecord, { alert: false });
         
         console.log(`✅ Conversation refresh complete for ${callId}`);
         res.json({ 
             ok: true, 
-            conversation: updatedRecord, 
+            conversation: withoutOriginal(updatedRecord), 
             message: transcriptUpdated ? 'Transcript fetched and analysis updated' : 'Analysis updated with existing data'
         });
     } catch (error) {
@@ -553,27 +1663,24 @@ app.post('/api/conversations/:id/regenerate-analysis', async (req, res) => {
             return res.status(400).json({ ok: false, error: 'Cannot regenerate analysis without a transcript.' });
         }
 
-        // Re-run the full analysis, which includes the Gemini call
-        const analysis = await classifyRiskAndCounselling(existing.transcript);
+        // Re-run the full analysis, which includes the LLM call; redaction starts again from
+        // the original so changes to REDACTION_TYPES apply
+        const { analysis, transcriptFields } = await analyzeTranscript(existing, existing.originalTranscript || existing.transcript, existing.turnStartSeconds);
 
         const updatedRecord = {
             ...existing,
             updatedAt: new Date().toISOString(),
-            summary: analysis.review,
-            tendency: analysis.tendency,
-            needsCounselling: analysis.needsCounselling,
-            score: analysis.score,
-            detectedTerms: analysis.detectedTerms,
-            immediateIntervention: analysis.immediateIntervention,
-            geminiAnalysis: analysis.geminiAnalysis,
+            ...transcriptFields,
+            ...analysisFields(analysis, existing),
         };
         
-        await upsertConversation(updatedRecord);
+        await upsertConversation(updatedRecord, { action: 'regenerate_analysis', req, before: existing });
+        await updateCallerHistory(updatedRecord, { alert: false });
         
         console.log(`✅ AI Analysis regeneration complete for ${callId}`);
         res.json({ 
             ok: true, 
-            conversation: updatedRecord, 
+            conversation: withoutOriginal(updatedRecord), 
             message: 'AI analysis has been successfully regenerated.' 
         });
     } catch (error) {
@@ -590,6 +1697,9 @@ app.post('/api/conversations/refresh-all', async (req, res) => {
         const results = [];
         
         for (const conv of conversations) {
+            // Failed connects never reached Ultravox, so there is nothing to fetch; purged
+            // transcripts stay purged
+            if (conv.status === 'failed_connect' || conv.purged?.transcript) continue;
             if (!conv.transcript || conv.transcript.trim().length === 0) {
                 console.log(`🔄 Refreshing conversation ${conv.id}...`);
                 try {
@@ -598,25 +1708,20 @@ app.post('/api/conversations/refresh-all', async (req, res) => {
                         getUltravoxCall(conv.id),
                     ]);
 
-                    const transcript = transcriptResult.status === 'fulfilled' ? transcriptResult.value : '';
+                    const { transcript = '', turnStartSeconds = [] } = transcriptResult.status === 'fulfilled' ? transcriptResult.value : {};
                     const callDetails = callDetailsResult.status === 'fulfilled' ? callDetailsResult.value : null;
 
-                    const analysis = await classifyRiskAndCounselling(transcript || 'No transcript available');
+                    const { analysis, transcriptFields } = await analyzeTranscript(conv, transcript, turnStartSeconds);
                     const updatedRecord = {
                         ...conv,
                         updatedAt: new Date().toISOString(),
-                        transcript,
+                        ...transcriptFields,
                         recordingUrl: callDetails?.recordingUrl || conv.recordingUrl || '',
-                        summary: analysis.review,
-                        tendency: analysis.tendency,
-                        needsCounselling: analysis.needsCounselling,
-                        score: analysis.score,
-                        detectedTerms: analysis.detectedTerms,
-                        immediateIntervention: analysis.immediateIntervention,
-                        geminiAnalysis: analysis.geminiAnalysis
+                        ...analysisFields(analysis, conv),
                     };
 
-                    await upsertConversation(updatedRecord);
+                    await upsertConversation(updatedRecord, { action: 'refresh', req, before: conv, detail: { batch: true } });
+                    await updateCallerHistory(updatedRecord, { alert: false });
                     results.push({ id: conv.id, status: 'updated', transcriptLength: transcript.length });
                 } catch (error) {
                     console.error(`Failed to refresh conversation ${conv.id}:`, error);
@@ -656,6 +1761,7 @@ app.post('/api/conversations/import-from-ultravox', async (req, res) => {
         const calls = callsResponse.results || [];
         console.log(`📋 Fetched ${calls.length} calls from Ultravox`);
         const results = [];
+        const erased = await retentionManager.erasedCallIds();
         
         for (const call of calls) {
             try {
@@ -664,38 +1770,43 @@ app.post('/api/conversations/import-from-ultravox', async (req, res) => {
                     results.push({ id: 'unknown', status: 'skipped', message: 'No call ID found' });
                     continue;
                 }
+                if (erased.has(callId)) {
+                    results.push({ id: callId, status: 'skipped', message: 'Erased on request; not imported again' });
+                    continue;
+                }
+                const existing = await getConversationById(callId);
+                if (existing?.purged) {
+                    results.push({ id: callId, status: 'skipped', message: 'Purged under the retention policy' });
+                    continue;
+                }
                 
                 const [transcriptResult, callDetailsResult] = await Promise.allSettled([
                     getUltravoxTranscriptFromMessages(callId),
                     getUltravoxCall(callId),
                 ]);
 
-                const transcript = transcriptResult.status === 'fulfilled' ? transcriptResult.value : '';
+                const { transcript = '', turnStartSeconds = [] } = transcriptResult.status === 'fulfilled' ? transcriptResult.value : {};
                 const callDetails = callDetailsResult.status === 'fulfilled' ? callDetailsResult.value : null;
 
-                const analysis = await classifyRiskAndCounselling(transcript || 'Imported call - no transcript');
-                const existing = await getConversationById(callId);
+                const { analysis, transcriptFields } = await analyzeTranscript(existing, transcript, turnStartSeconds);
                 
+                const from = callDetails?.from || call.from || 'unknown';
                 const record = {
                     ...(existing || {}),
                     id: callId,
-                    from: callDetails?.from || call.from || 'unknown',
+                    from,
+                    callerId: existing?.callerId || callerRegistry.callerIdFor(from),
                     createdAt: call.createdAt || call.created_at || new Date().toISOString(),
                     updatedAt: new Date().toISOString(),
-                    transcript,
+                    ...transcriptFields,
                     recordingUrl: callDetails?.recordingUrl || '',
-                    summary: analysis.review,
-                    tendency: analysis.tendency,
-                    needsCounselling: analysis.needsCounselling,
-                    score: analysis.score,
-                    detectedTerms: analysis.detectedTerms,
-                    immediateIntervention: analysis.immediateIntervention,
-                    geminiAnalysis: analysis.geminiAnalysis,
+                    ...analysisFields(analysis, existing),
                     status: existing ? 'imported_updated' : 'imported',
                     raw: { ...(existing?.raw || {}), importedCall: call, importedDetails: callDetails }
                 };
                 
-                await upsertConversation(record);
+                await upsertConversation(record, { action: 'import', req, before: existing });
+                await updateCallerHistory(record, { alert: false });
                 results.push({ id: callId, status: existing ? 'updated' : 'created', message: 'Call data processed' });
             } catch (callError) {
                 console.error(`Error processing call ${call.id}:`, callError);
@@ -720,7 +1831,7 @@ app.post('/api/conversations/cleanup-invalid', async (req, res) => {
         const conversations = await getConversations();
         const results = [];
         
-        for (const conv of conversations) {
+        for (const conv of conversations.filter(c => c.status !== 'failed_connect')) {
             try {
                 await getUltravoxCall(conv.id);
                 results.push({ id: conv.id, status: 'valid' });
@@ -748,9 +1859,10 @@ app.get('/health', (req, res) => {
 });
 
 // Enhanced dashboard with detailed risk analysis
-app.get('/dashboard', async (_req, res) => {
+app.get('/dashboard', async (req, res) => {
     try {
         const convs = await getConversations();
+        await audit(req, 'list', { detail: { via: 'dashboard', count: convs.length } });
 
         const rows = convs.map(c => {
             const hasTranscript = c.transcript && c.transcript.trim().length > 0;
@@ -766,16 +1878,16 @@ app.get('/dashboard', async (_req, res) => {
             return `
             <tr ${c.immediateIntervention ? 'style="background-color:#fef2f2;border-left:4px solid #dc2626;"' : ''}>
                 <td style="font-family:sans-serif;padding:8px;font-size:12px;">${c.id.substring(0, 8)}...</td>
-                <td style="font-family:sans-serif;padding:8px;">${c.from}</td>
+                <td style="font-family:sans-serif;padding:8px;">${c.callerId ? `<a href="/callers/${c.callerId}" title="Caller history">${c.from}</a>` : c.from}</td>
                 <td style="font-family:sans-serif;padding:8px;font-size:12px;">${new Date(c.createdAt).toLocaleString()}</td>
                 <td style="font-family:sans-serif;padding:8px;font-size:12px;">${new Date(c.updatedAt).toLocaleString()}</td>
                 <td style="font-family:sans-serif;padding:8px;">${badge(c.status || 'unknown')}</td>
                 <td style="font-family:sans-serif;padding:8px;">${transcriptStatus}</td>
                 <td style="font-family:sans-serif;padding:8px;">${recordingStatus}</td>
-                <td style="font-family:sans-serif;padding:8px;">${badge(c.tendency)}</td>
+                <td style="font-family:sans-serif;padding:8px;">${c.tendency ? badge(c.tendency) : c.liveRisk ? `${badge(c.liveRisk.tendency)} <small>(live)</small>` : badge(c.tendency)}</td>
                 <td style="font-family:sans-serif;padding:8px;">${badge(c.needsCounselling)}</td>
-                <td style="font-family:sans-serif;padding:8px;text-align:center;">${c.score || 0}</td>
-                <td style="font-family:sans-serif;padding:8px;text-align:center;">${c.immediateIntervention ? '🚨' : '-'}</td>
+                <td style="font-family:sans-serif;padding:8px;text-align:center;">${c.score || c.liveRisk?.score || 0}</td>
+                <td style="font-family:sans-serif;padding:8px;text-align:center;">${c.immediateIntervention ? '🚨' : '-'}${c.humanReview?.status === 'pending' ? ' 🧑‍⚖️' : ''}</td>
                 <td style="font-family:sans-serif;padding:8px;text-align:center;">${c.geminiAnalysis ? '✅' : '❌'}</td>
                 <td style="font-family:sans-serif;padding:8px;">
                     <a href="/conversations/${encodeURIComponent(c.id)}">View</a> | 
@@ -786,8 +1898,10 @@ app.get('/dashboard', async (_req, res) => {
 
         const emergencyCount = convs.filter(c => c.immediateIntervention || c.tendency === 'severe').length;
         const highRiskCount = convs.filter(c => c.tendency === 'high').length;
-        const missingTranscripts = convs.filter(c => !c.transcript || c.transcript.trim().length === 0).length;
+        const missingTranscripts = convs.filter(c => c.status !== 'failed_connect' && (!c.transcript || c.transcript.trim().length === 0)).length;
+        const failedConnects = convs.filter(c => c.status === 'failed_connect').length;
         const withGeminiAnalysis = convs.filter(c => c.geminiAnalysis).length;
+        const pendingReviews = convs.filter(c => c.humanReview?.status === 'pending').length;
         const withRecordings = convs.filter(c => c.recordingUrl && c.recordingUrl.trim().length > 0).length;
 
         const html = `<!doctype html>
@@ -809,6 +1923,7 @@ app.get('/dashboard', async (_req, res) => {
                 .completed{background:#10b981}
                 .unknown{background:#6b7280}
                 .no_transcript{background:#7c2d12}
+                .failed_connect{background:#b91c1c}
                 .stats{display:flex;gap:20px;margin:20px 0;flex-wrap:wrap;}
                 .stat-card{background:#f8f9fa;padding:15px;border-radius:8px;text-align:center;min-width:120px;}
                 .stat-number{font-size:24px;font-weight:bold;color:#333;}
@@ -854,6 +1969,14 @@ app.get('/dashboard', async (_req, res) => {
                     <div class="stat-number">${missingTranscripts}</div>
                     <div class="stat-label">📝 No Transcript</div>
                 </div>
+                <div class="stat-card" style="background:#fecaca;">
+                    <div class="stat-number">${failedConnects}</div>
+                    <div class="stat-label">📵 Failed to Connect</div>
+                </div>
+                <div class="stat-card" style="background:#ffedd5;">
+                    <div class="stat-number">${pendingReviews}</div>
+                    <div class="stat-label"><a href="/api/review-queue" style="color:inherit;">🧑‍⚖️ Needs Review</a></div>
+                </div>
                 <div class="stat-card" style="background:#dcfce7;">
                     <div class="stat-number">${withGeminiAnalysis}</div>
                     <div class="stat-label">🤖 AI Analyzed</div>
@@ -891,7 +2014,7 @@ app.get('/dashboard', async (_req, res) => {
                 <h4>Legend:</h4>
                 <p><strong>Risk Levels:</strong> ${badge('no')} No Risk | ${badge('low')} Low | ${badge('medium')} Medium | ${badge('high')} High | ${badge('severe')} Severe</p>
                 <p><strong>Counselling:</strong> ${badge('no')} Not Needed | ${badge('advised')} Recommended | ${badge('yes')} Urgent</p>
-                <p><strong>🚨 Alert:</strong> Immediate intervention may be needed | <strong>🤖 AI:</strong> Gemini analysis available</p>
+                <p><strong>🚨 Alert:</strong> Immediate intervention may be needed | <strong>🧑‍⚖️</strong> Keyword and AI verdicts disagree; awaiting human review | <strong>🤖 AI:</strong> AI analysis available</p>
             </div>
             
             <script>
@@ -1003,11 +2126,21 @@ app.get('/dashboard', async (_req, res) => {
 // Conversation detail page
 app.get('/conversations/:id', (req, res) => {
     const id = req.params.id;
-    getConversationById(id).then(c => {
+    Promise.all([getConversationById(id), alertsStore.find({ conversationId: id })]).then(async ([c, alerts]) => {
         if (!c) return res.status(404).send('Not found');
-
-        const geminiSection = c.geminiAnalysis ? `
-        <h3>🤖 AI Analysis (Gemini)</h3>
+        await audit(req, 'view', { conversationId: id });
+        const callerId = c.callerId || callerRegistry.callerIdFor(c.from);
+        const canSeeOriginal = Boolean(c.originalTranscript) && (AUTH_CONFIG.disabled || ROLE_PERMISSIONS[req.user?.role]?.includes('pii'));
+        const redactionFindings = Object.entries(c.redaction?.findings || {});
+        const canAudit = AUTH_CONFIG.disabled || ROLE_PERMISSIONS[req.user?.role]?.includes('audit');
+
+        const geminiSection = c.geminiAnalysis?.error ? `
+        <h3>🤖 AI Analysis (${c.geminiAnalysis.provider || 'gemini'})</h3>
+        <div style="background:#fef2f2;padding:15px;border-radius:8px;margin:10px 0;">
+            <p><strong>Analysis failed:</strong> ${String(c.geminiAnalysis.error).replace(/</g, '&lt;')}</p>
+            ${(c.geminiAnalysis.failures || []).length > 0 ? `<p style="color:#6b7280;font-size:12px;">${c.geminiAnalysis.failures.map(f => `Attempt ${f.attempt} (${f.model}): ${String(f.error).replace(/</g, '&lt;')}`).join('<br>')}</p>` : ''}
+        </div>` : c.geminiAnalysis ? `
+        <h3>🤖 AI Analysis (${c.geminiAnalysis.provider || 'gemini'})</h3>
         <div style="background:#f0fdf4;padding:15px;border-radius:8px;margin:10px 0;">
             <p><strong>Risk Level:</strong> <span class="badge ${c.geminiAnalysis.risk_level}">${c.geminiAnalysis.risk_level}</span></p>
             <p><strong>Counseling Needed:</strong> <span class="badge ${c.geminiAnalysis.counseling_needed}">${c.geminiAnalysis.counseling_needed}</span></p>
@@ -1020,18 +2153,89 @@ app.get('/conversations/:id', (req, res) => {
             ` : ''}
             ${c.geminiAnalysis.support_recommendations ? `<p><strong>Support Recommendations:</strong> ${c.geminiAnalysis.support_recommendations}</p>` : ''}
             ${c.geminiAnalysis.confidence_level ? `<p><strong>Confidence Level:</strong> ${c.geminiAnalysis.confidence_level}</p>` : ''}
+            ${c.geminiAnalysis.model ? `<p style="color:#6b7280;font-size:12px;">Produced by ${c.geminiAnalysis.provider || 'gemini'} / ${c.geminiAnalysis.model}${c.geminiAnalysis.segmentCount ? ` from ${c.geminiAnalysis.segmentCount} transcript parts${c.geminiAnalysis.failedSegments ? ` (${c.geminiAnalysis.failedSegments} failed)` : ''}` : ` on attempt ${c.geminiAnalysis.attempt}`}${(c.geminiAnalysis.failures || []).length > 0 ? ` after ${c.geminiAnalysis.failures.length} failed attempt(s)` : ''}</p>` : ''}
         </div>` : '<h3>🤖 AI Analysis</h3><p style="color:#6b7280;">No AI analysis available</p>';
 
+        const clock = seconds => (seconds == null ? null : `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`);
+        const segmentTime = seg => (seg.startSeconds != null ? `${clock(seg.startSeconds)}–${clock(seg.endSeconds) || '?'}` : `turns ${seg.startTurn}–${seg.endTurn}`);
+        const riskTimelineSection = c.riskTimeline && c.riskTimeline.length > 0 ? `
+        <h3>🕒 Risk Timeline (${c.riskTimeline.length} parts)</h3>
+        <div style="background:#f8fafc;padding:15px;border-radius:8px;margin:10px 0;">
+            <div style="display:flex;gap:2px;margin-bottom:10px;">
+                ${c.riskTimeline.map(seg => `<div class="badge ${seg.riskLevel || seg.keywordTendency}" style="flex:1;border-radius:4px;text-align:center;" title="${segmentTime(seg)}">${seg.index}</div>`).join('')}
+            </div>
+            <table style="border-collapse:collapse;width:100%;font-size:13px;">
+                <tr><th style="text-align:left;padding:4px;">Part</th><th style="text-align:left;padding:4px;">Time</th><th style="text-align:left;padding:4px;">Keyword</th><th style="text-align:left;padding:4px;">AI</th><th style="text-align:left;padding:4px;">Emotional state / phrases</th></tr>
+                ${c.riskTimeline.map(seg => `<tr>
+                    <td style="padding:4px;">${seg.index}${seg.immediateIntervention ? ' 🚨' : ''}</td>
+                    <td style="padding:4px;">${segmentTime(seg)}${seg.startSeconds != null ? ` <small style="color:#6b7280;">(turns ${seg.startTurn}–${seg.endTurn})</small>` : ''}</td>
+                    <td style="padding:4px;">${badge(seg.keywordTendency)} <small>${seg.keywordScore}</small></td>
+                    <td style="padding:4px;">${seg.riskLevel ? badge(seg.riskLevel) : seg.error ? `<em style="color:#b91c1c;">${String(seg.error).replace(/</g, '&lt;')}</em>` : 'n/a'}</td>
+                    <td style="padding:4px;">${String(seg.emotionalState || '').replace(/</g, '&lt;')}${seg.concerningPhrases.length > 0 ? `<br><small>${seg.concerningPhrases.map(p => `“${String(p).replace(/</g, '&lt;')}”`).join(', ')}</small>` : ''}</td>
+                </tr>`).join('')}
+            </table>
+        </div>` : '';
+
         const detectedTermsSection = c.detectedTerms && c.detectedTerms.length > 0 ? `
         <h3>🔍 Detected Terms</h3>
         <div style="margin:10px 0;">
             ${c.detectedTerms.map(term => `
                 <span style="background:#${term.category === 'severe' ? 'fee2e2' : term.category === 'high' ? 'fef3c7' : term.category === 'medium' ? 'ddd6fe' : 'e5e7eb'};padding:4px 8px;border-radius:6px;margin:3px;display:inline-block;font-size:12px;">
-                    ${term.term} <em>(${term.category})</em>
+                    ${term.term} <em>(${term.category}${term.turn ? `, turn ${term.turns && term.turns.length > 1 ? term.turns.join(', ') : term.turn}` : ''})</em>
+                </span>
+            `).join('')}
+        </div>` : '';
+
+        const negatedTermsSection = c.negatedTerms && c.negatedTerms.length > 0 ? `
+        <h3>🚫 Negated Terms (not scored)</h3>
+        <div style="margin:10px 0;">
+            ${c.negatedTerms.map(term => `
+                <span style="background:#f3f4f6;color:#6b7280;padding:4px 8px;border-radius:6px;margin:3px;display:inline-block;font-size:12px;text-decoration:line-through;">
+                    ${term.term} <em>(${term.category}, turn ${term.turns.join(', ')})</em>
                 </span>
             `).join('')}
         </div>` : '';
 
+        const transfersSection = c.transfers && c.transfers.length > 0 ? `
+        <h3>📞 Counsellor Transfers</h3>
+        <div style="background:#eff6ff;padding:15px;border-radius:8px;margin:10px 0;">
+            <ul style="margin:0;">
+                ${c.transfers.map(t => `<li>${new Date(t.requestedAt).toLocaleString()} — ${t.mode || 'n/a'} ${String(t.target || '').replace(/</g, '&lt;')} by ${String(t.initiatedBy).replace(/</g, '&lt;')}: <strong>${t.status}</strong>${t.outcome ? ` (${t.outcome})` : ''}${t.reason ? ` — ${String(t.reason).replace(/</g, '&lt;')}` : ''}${t.error ? ` — <em>${String(t.error).replace(/</g, '&lt;')}</em>` : ''}</li>`).join('')}
+            </ul>
+        </div>` : '';
+
+        const toolCallsSection = c.toolCalls && c.toolCalls.length > 0 ? `
+        <h3>🛠️ Agent Tool Calls</h3>
+        <div style="background:#f5f3ff;padding:15px;border-radius:8px;margin:10px 0;">
+            <ul style="margin:0;">
+                ${c.toolCalls.map(t => `<li>${new Date(t.at).toLocaleString()} — <strong>${t.tool}</strong>(${JSON.stringify(t.args || {}).replace(/</g, '&lt;')}) ${t.ok ? '✅' : '❌'} ${String(t.result || t.error || '').replace(/</g, '&lt;')}</li>`).join('')}
+            </ul>
+            ${c.callbacks && c.callbacks.length > 0 ? `<p><strong>Scheduled callbacks:</strong> ${c.callbacks.map(cb => `${new Date(cb.requestedFor).toLocaleString()} (${cb.status})${cb.note ? ` — ${String(cb.note).replace(/</g, '&lt;')}` : ''}`).join('; ')}</p>` : ''}
+            ${c.agentRiskFlags && c.agentRiskFlags.length > 0 ? `<p><strong>Agent risk flags:</strong> ${c.agentRiskFlags.map(f => `<span class="badge ${f.level}">${f.level}</span> ${String(f.reason).replace(/</g, '&lt;')}`).join('; ')}</p>` : ''}
+        </div>` : '';
+
+        const openAlerts = alerts.filter(a => a.status !== 'acknowledged');
+        const alertsSection = alerts.length > 0 ? `
+        <h3>🚨 Emergency Alerts</h3>
+        <div style="background:#fef2f2;padding:15px;border-radius:8px;margin:10px 0;">
+            ${openAlerts.length > 0 ? `<button class="btn btn-primary" style="background:#dc2626;" onclick="acknowledgeAlerts()">✋ Acknowledge Alert${openAlerts.length === 1 ? '' : 's'}</button>` : ''}
+            ${alerts.map(a => `
+                <p><strong>${new Date(a.createdAt).toLocaleString()}</strong>${a.reason === 'worsening_trend' ? ' 📈 worsening trend' : ''} — status: <strong>${a.status}</strong>, tier ${a.tier ?? 0}
+                    ${a.acknowledgedBy ? ` — acknowledged by ${String(a.acknowledgedBy).replace(/</g, '&lt;')} at ${new Date(a.acknowledgedAt).toLocaleString()}` : ''}
+                    ${a.nextEscalationAt ? ` — escalates at ${new Date(a.nextEscalationAt).toLocaleString()} if not acknowledged` : ''}</p>
+                <ul style="margin:0 0 10px 0;">
+                    ${a.deliveries.map(d => `<li>[tier ${d.tier ?? 0}] ${d.channel} → ${String(d.target).replace(/</g, '&lt;')}: ${d.status} (${d.attempts} attempt${d.attempts === 1 ? '' : 's'})${d.lastError ? ` — <em>${String(d.lastError).replace(/</g, '&lt;')}</em>` : ''}</li>`).join('') || '<li><em>No channels configured</em></li>'}
+                </ul>
+            `).join('')}
+            ${c.alertAudit && c.alertAudit.length > 0 ? `
+            <details>
+                <summary style="cursor:pointer;">Audit trail (${c.alertAudit.length} steps)</summary>
+                <ul>
+                    ${c.alertAudit.map(e => `<li>${new Date(e.at).toLocaleString()} — <strong>${e.action}</strong> (tier ${e.tier ?? 0})${e.by ? ` by ${String(e.by).replace(/</g, '&lt;')}` : ''}${e.detail ? `: ${String(e.detail).replace(/</g, '&lt;')}` : ''}</li>`).join('')}
+                </ul>
+            </details>` : ''}
+        </div>` : '';
+
     const html = `<!doctype html>
     <html>
     <head>
@@ -1058,6 +2262,7 @@ app.get('/conversations/:id', (req, res) => {
             <div style="float:right;">
                 <button class="btn btn-primary" onclick="refreshConversation()">🔄 Refresh Transcript</button>
                 <button class="btn btn-secondary" onclick="regenerateAIAnalysis()">🤖 Regenerate AI Analysis</button>
+                ${c.status === 'active' ? '<button class="btn btn-primary" style="background:#7c3aed;" onclick="transferCall()">📞 Transfer to Counsellor</button>' : ''}
             </div>
         </div>
         
@@ -1067,33 +2272,60 @@ app.get('/conversations/:id', (req, res) => {
             <h3>📋 Basic Information</h3>
             <p><strong>Call ID:</strong> ${c.id}</p>
             <p><strong>From:</strong> ${c.from}</p>
+            <p><strong>Helpline:</strong> ${String(personaFor(c).name).replace(/</g, '&lt;')}${c.to ? ` (${c.to})` : ''}</p>
+            ${callerId ? `<p><strong>Caller History:</strong> <a href="/callers/${callerId}">👤 All calls from this number</a></p>` : ''}
+            ${c.language ? `<p><strong>Language:</strong> ${LANGUAGES[c.language]?.name || String(c.language).replace(/</g, '&lt;')} (${{ menu: 'chosen in menu', history: 'from earlier calls', default: 'default', timeout: 'default, no menu choice' }[c.languageSource] || 'unknown source'})${c.detectedLanguage && c.detectedLanguage !== c.language ? ` · analysis heard ${LANGUAGES[c.detectedLanguage].name}` : ''}</p>` : ''}
+            ${c.callerMemory ? `<p><strong>Caller Memory:</strong> 🧠 agent was given context from ${c.callerMemory.conversationIds.length} earlier call(s)${c.callerMemory.followUps ? ` and ${c.callerMemory.followUps} agreed follow-up(s)` : ''}</p>` : ''}
             <p><strong>Created:</strong> ${new Date(c.createdAt).toLocaleString()}</p>
             <p><strong>Updated:</strong> ${new Date(c.updatedAt).toLocaleString()}</p>
             <p><strong>Status:</strong> <span class="badge ${c.status || 'unknown'}">${c.status || 'unknown'}</span></p>
-            ${c.recordingUrl ? `<p><strong>Recording:</strong> <a href="${c.recordingUrl}" target="_blank" style="color:#059669;text-decoration:none;">🎵 Play Audio Recording</a></p>` : '<p><strong>Recording:</strong> <span style="color:#6b7280;">No recording available</span></p>'}
+            ${canAudit ? `<p><strong>Audit Trail:</strong> <a href="/api/audit?conversationId=${encodeURIComponent(c.id)}">🧾 who viewed or changed this</a> · <a href="/api/audit/export?conversationId=${encodeURIComponent(c.id)}">CSV</a></p>` : ''}
+            ${c.purged ? `<p><strong>Purged:</strong> 🗑️ ${Object.entries(c.purged).map(([kind, at]) => `${kind} on ${new Date(at).toLocaleDateString()}`).join(', ')} (retention policy)</p>` : ''}
+            ${c.encryptionLocked ? `<p style="color:#b91c1c;"><strong>Encrypted fields unavailable:</strong> 🔐 ${String(c.encryptionError).replace(/</g, '&lt;')}. Restore the missing key to the key file.</p>` : ''}
+            ${c.status === 'failed_connect' ? `<p><strong>Failed to connect:</strong> 📵 the agent call could not be created after ${c.connectError?.attempts || 1} attempt(s) (${String(c.connectError?.message || 'unknown error').replace(/</g, '&lt;')}). Please call the caller back.</p>
+            <p><strong>Fallback:</strong> ${c.fallback?.dial ? `helpline dial ${c.fallback.dial.status}${c.fallback.dial.durationSeconds ? ` (${c.fallback.dial.durationSeconds}s)` : ''}` : 'no helpline dial'}${c.fallback?.voicemail ? ` · <a href="${c.fallback.voicemail.recordingUrl}" target="_blank" style="color:#059669;">📼 voicemail (${c.fallback.voicemail.durationSeconds}s)</a>` : ' · no voicemail'}</p>` : ''}
+            ${c.recordingUrl ? `<p><strong>Recording:</strong> <a href="${c.recordingUrl}" target="_blank" style="color:#059669;text-decoration:none;">🎵 Play Audio Recording</a></p>` : `<p><strong>Recording:</strong> <span style="color:#6b7280;">${c.recordingEnabled === false ? 'Not recorded (no recording consent)' : 'No recording available'}</span></p>`}
+            ${c.consent ? `<p><strong>Consent:</strong> ${{ granted: '✅ agreed to recording', declined: '🚫 declined recording', no_response: '⏳ no answer to the disclosure' }[c.consent.status] || 'unknown'} at ${new Date(c.consent.decidedAt).toLocaleString()} (disclosure in ${LANGUAGES[c.consent.language]?.name || 'unknown language'})</p>` : ''}
         </div>
         
         <div style="background:#f0f9ff;padding:20px;border-radius:8px;margin:20px 0;">
             <h3>🎯 Risk Assessment</h3>
             <p><strong>Risk Level:</strong> <span class="badge ${c.tendency}">${c.tendency}</span></p>
             <p><strong>Counselling Needed:</strong> <span class="badge ${c.needsCounselling}">${c.needsCounselling}</span></p>
-            <p><strong>Risk Score:</strong> ${c.score || 0}</p>
+            <p><strong>Risk Score:</strong> ${c.score || 0}${c.lexiconVersion ? ` <small style="color:#6b7280;">(lexicon ${c.lexiconSource && c.lexiconSource !== DEFAULT_LEXICON_SOURCE ? `${c.lexiconSource.replace(/</g, '&lt;')} ` : ''}${c.lexiconVersion})</small>` : ''}</p>
             <p><strong>Immediate Intervention:</strong> ${c.immediateIntervention ? '🚨 <span style="color:red;font-weight:bold;">YES</span>' : 'No'}</p>
+            ${c.riskDecision ? `<p><strong>Decision:</strong> keyword <span class="badge ${c.riskDecision.keywordTendency}">${c.riskDecision.keywordTendency}</span> · AI ${c.riskDecision.geminiTendency ? `<span class="badge ${c.riskDecision.geminiTendency}">${c.riskDecision.geminiTendency}</span>` : 'n/a'} · policy <code>${c.riskDecision.policy}</code><br><small style="color:#6b7280;">${String(c.riskDecision.explanation).replace(/</g, '&lt;')}</small></p>` : ''}
+            ${c.humanReview ? `<p><strong>Human Review:</strong> ${c.humanReview.status === 'pending'
+                ? `🧑‍⚖️ <span style="color:#b45309;font-weight:bold;">pending</span> — ${String(c.humanReview.reason).replace(/</g, '&lt;')} <button class="btn btn-primary" style="background:#b45309;" onclick="resolveReview()">Resolve Review</button>`
+                : `resolved by ${String(c.humanReview.resolvedBy).replace(/</g, '&lt;')} at ${new Date(c.humanReview.resolvedAt).toLocaleString()} as <span class="badge ${c.humanReview.tendency}">${c.humanReview.tendency}</span>${c.humanReview.note ? ` — ${String(c.humanReview.note).replace(/</g, '&lt;')}` : ''}`}</p>` : ''}
+            ${c.liveRisk ? `<p><strong>Live Detection:</strong> <span class="badge ${c.liveRisk.tendency}">${c.liveRisk.tendency}</span> (score ${c.liveRisk.score}, ${c.liveRisk.messagesProcessed} messages, ${new Date(c.liveRisk.updatedAt).toLocaleString()})${c.liveFlaggedAt ? ` — 🚨 flagged mid-call at ${new Date(c.liveFlaggedAt).toLocaleString()}` : ''}</p>` : ''}
         </div>
         
+        ${alertsSection}
+        
+        ${transfersSection}
+        
+        ${toolCallsSection}
+        
         ${geminiSection}
         
+        ${riskTimelineSection}
+        
         ${detectedTermsSection}
         
+        ${negatedTermsSection}
+        
         <h3>📋 System Review</h3>
         <div style="background:#fffbeb;padding:15px;border-radius:8px;border-left:4px solid #f59e0b;">
             <p>${(c.summary || 'No system review available').replace(/</g, '&lt;')}</p>
         </div>
         
         <h3>📝 Transcript</h3>
+        ${c.redaction ? `<p style="font-size:13px;color:#6b7280;">🛡️ ${redactionFindings.length ? `PII redacted: ${redactionFindings.map(([type, n]) => `${n} ${type}`).join(', ')}` : 'No PII found to redact'}
+            ${canSeeOriginal ? '<button class="btn btn-secondary" style="font-size:12px;padding:4px 10px;" onclick="showOriginalTranscript()">🔓 Show original</button>' : ''}</p>` : ''}
         <div style="background:#f9fafb;padding:15px;border-radius:8px;border:1px solid #e5e7eb;">
             ${c.transcript && c.transcript.trim() ? 
-                `<pre style="white-space:pre-wrap;margin:0;">${c.transcript.replace(/</g, '&lt;')}</pre>` :
+                `<pre id="transcript" style="white-space:pre-wrap;margin:0;">${c.transcript.replace(/</g, '&lt;')}</pre>` :
                 '<p style="color:#6b7280;font-style:italic;">No transcript available</p>'
             }
         </div>
@@ -1147,6 +2379,89 @@ app.get('/conversations/:id', (req, res) => {
                 }
             }
 
+            async function acknowledgeAlerts() {
+                const by = ${signedInName(req)} || prompt('Your name (recorded in the audit trail):');
+                if (!by) return;
+                const note = prompt('Action taken (optional):') || '';
+                try {
+                    const response = await fetch(\`/api/conversations/${encodeURIComponent(c.id)}/acknowledge\`, { 
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ by, note })
+                    });
+                    const result = await response.json();
+                    
+                    if (result.ok) {
+                        document.getElementById('result').innerHTML = \`<div style="color:green;padding:10px;background:#f0fdf4;border-radius:4px;">✅ \${result.message}</div>\`;
+                        setTimeout(() => location.reload(), 1500);
+                    } else {
+                        document.getElementById('result').innerHTML = \`<div style="color:red;padding:10px;background:#fef2f2;border-radius:4px;">❌ \${result.error}</div>\`;
+                    }
+                } catch (error) {
+                    document.getElementById('result').innerHTML = \`<div style="color:red;padding:10px;background:#fef2f2;border-radius:4px;">❌ Error: \${error.message}</div>\`;
+                }
+            }
+
+            async function resolveReview() {
+                const by = ${signedInName(req)} || prompt('Your name (recorded with the review):');
+                if (!by) return;
+                const tendency = prompt('Final risk level (no, low, medium, high, severe); leave empty to keep ${c.tendency}:');
+                if (tendency === null) return;
+                const note = prompt('Reasoning (optional):') || '';
+                try {
+                    const response = await fetch(\`/api/conversations/${encodeURIComponent(c.id)}/review\`, { 
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ by, tendency, note })
+                    });
+                    const result = await response.json();
+                    
+                    if (result.ok) {
+                        document.getElementById('result').innerHTML = \`<div style="color:green;padding:10px;background:#f0fdf4;border-radius:4px;">✅ \${result.message}</div>\`;
+                        setTimeout(() => location.reload(), 1500);
+                    } else {
+                        document.getElementById('result').innerHTML = \`<div style="color:red;padding:10px;background:#fef2f2;border-radius:4px;">❌ \${result.error}</div>\`;
+                    }
+                } catch (error) {
+                    document.getElementById('result').innerHTML = \`<div style="color:red;padding:10px;background:#fef2f2;border-radius:4px;">❌ Error: \${error.message}</div>\`;
+                }
+            }
+
+            async function showOriginalTranscript() {
+                try {
+                    const response = await fetch(\`/api/conversations/${encodeURIComponent(c.id)}/original-transcript\`);
+                    const result = await response.json();
+                    if (!result.ok) throw new Error(result.error);
+                    document.getElementById('transcript').textContent = result.transcript;
+                } catch (error) {
+                    document.getElementById('result').innerHTML = \`<div style="color:red;padding:10px;background:#fef2f2;border-radius:4px;">❌ Error: \${error.message}</div>\`;
+                }
+            }
+
+            async function transferCall() {
+                const target = prompt('Counsellor number in E.164 format (leave empty for the default counsellor line/queue):');
+                if (target === null) return;
+                const reason = prompt('Reason for transfer (optional):') || '';
+                try {
+                    document.getElementById('result').innerHTML = '<div style="color:#3b82f6;">📞 Starting transfer...</div>';
+                    const response = await fetch(\`/api/conversations/${encodeURIComponent(c.id)}/transfer\`, { 
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ target, reason })
+                    });
+                    const result = await response.json();
+                    
+                    if (result.ok) {
+                        document.getElementById('result').innerHTML = \`<div style="color:green;padding:10px;background:#f0fdf4;border-radius:4px;">✅ \${result.message}</div>\`;
+                        setTimeout(() => location.reload(), 2000);
+                    } else {
+                        document.getElementById('result').innerHTML = \`<div style="color:red;padding:10px;background:#fef2f2;border-radius:4px;">❌ \${result.error}</div>\`;
+                    }
+                } catch (error) {
+                    document.getElementById('result').innerHTML = \`<div style="color:red;padding:10px;background:#fef2f2;border-radius:4px;">❌ Error: \${error.message}</div>\`;
+                }
+            }
+
             async function regenerateAIAnalysis() {
                 try {
                     document.getElementById('result').innerHTML = '<div style="color:#3b82f6;">🤖 Regenerating AI analysis... This may take a moment.</div>';
@@ -1176,6 +2491,95 @@ app.get('/conversations/:id', (req, res) => {
     });
 });
 
+// Caller timeline: every call from one number with its risk tier over time
+app.get('/callers/:id', async (req, res) => {
+    try {
+        const caller = await callerRegistry.get(req.params.id);
+        if (!caller) return res.status(404).send('Not found');
+        await audit(req, 'view_caller', { detail: { callerId: caller.id } });
+
+        const trend = caller.trend.escalating ? `
+        <div style="background:#fef2f2;padding:15px;border-radius:8px;margin:20px 0;border-left:4px solid #ef4444;">
+            <strong>📈 Worsening trend:</strong> ${caller.trend.summary}
+        </div>` : '';
+        const trendAlerts = caller.trendAlerts.length > 0 ? `
+        <h3>🚨 Trend Alerts</h3>
+        <ul>
+            ${caller.trendAlerts.map(a => `<li>${new Date(a.at).toLocaleString()} — ${a.summary} (<a href="/conversations/${encodeURIComponent(a.conversationId)}">call</a>)</li>`).join('')}
+        </ul>` : '';
+        const rows = caller.calls.slice().reverse().map(call => `
+            <tr>
+                <td style="padding:8px;"><a href="/conversations/${encodeURIComponent(call.conversationId)}">${new Date(call.at).toLocaleString()}</a></td>
+                <td style="padding:8px;">${call.tendency ? badge(call.tendency) : badge(call.status)}${call.immediateIntervention ? ' 🚨' : ''}</td>
+                <td style="padding:8px;">${call.score ?? ''}</td>
+                <td style="padding:8px;">${call.needsCounselling ? badge(call.needsCounselling) : ''}</td>
+                <td style="padding:8px;">${String(call.emotionalState || '').replace(/</g, '&lt;')}</td>
+            </tr>`).join('');
+
+        res.type('html').send(`<!doctype html>
+    <html>
+    <head>
+        <meta charset="utf-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <title>Caller ${caller.id}</title>
+        <style>
+            .badge{display:inline-block;padding:2px 8px;border-radius:12px;color:#fff;font-size:12px}
+            .no{background:#64748b}
+            .low{background:#22c55e}
+            .medium{background:#f59e0b}
+            .high{background:#ef4444}
+            .severe{background:#7f1d1d}
+            .yes{background:#ef4444}
+            .advised{background:#f59e0b}
+            .active{background:#3b82f6}
+            .completed{background:#10b981}
+            .unknown{background:#6b7280}
+            .no_transcript{background:#7c2d12}
+            .failed_connect{background:#b91c1c}
+        </style>
+    </head>
+    <body style="margin:24px;font-family:sans-serif;">
+        <a href="/dashboard">← Back to Dashboard</a>
+        <h2>👤 Caller History</h2>
+        <div style="background:#f8f9fa;padding:20px;border-radius:8px;margin:20px 0;">
+            <p><strong>Caller ID:</strong> <code>${caller.id}</code></p>
+            <p><strong>Calls:</strong> ${caller.callCount} (first ${new Date(caller.firstCallAt).toLocaleString()}, last ${new Date(caller.lastCallAt).toLocaleString()})</p>
+            <p><strong>Highest Risk:</strong> ${badge(caller.highestTendency)}</p>
+            <p><strong>Caller Memory:</strong> ${caller.memoryOptOut
+                ? `🚫 off${caller.memoryOptOutChangedBy ? ` (by ${String(caller.memoryOptOutChangedBy).replace(/</g, '&lt;')}, ${new Date(caller.memoryOptOutChangedAt).toLocaleString()})` : ''} <button onclick="setMemory(false)">Turn on</button>`
+                : `🧠 on — earlier calls are summarized for the agent <button onclick="setMemory(true)">Opt out</button>`}</p>
+        </div>
+        ${trend}
+        <h3>🕒 Risk Over Time</h3>
+        <div style="display:flex;gap:2px;align-items:flex-end;height:60px;margin:10px 0 20px;">
+            ${caller.calls.filter(call => call.tendency).map(call => `<div class="badge ${call.tendency}" style="flex:1;max-width:40px;border-radius:4px;height:${12 + 12 * RISK_LEVELS.indexOf(call.tendency)}px;" title="${new Date(call.at).toLocaleString()}: ${call.tendency}"></div>`).join('')}
+        </div>
+        <table style="border-collapse:collapse;width:100%;">
+            <tr style="background:#f1f5f9;"><th style="text-align:left;padding:8px;">Call</th><th style="text-align:left;padding:8px;">Risk</th><th style="text-align:left;padding:8px;">Score</th><th style="text-align:left;padding:8px;">Counselling</th><th style="text-align:left;padding:8px;">Emotional State</th></tr>
+            ${rows}
+        </table>
+        ${trendAlerts}
+        <script>
+            async function setMemory(optOut) {
+                const by = ${signedInName(req)} || prompt('Your name (recorded with the change):');
+                if (!by) return;
+                const response = await fetch(\`/api/callers/${encodeURIComponent(caller.id)}/memory\`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ optOut, by })
+                });
+                const result = await response.json();
+                if (result.ok) location.reload(); else alert(result.error);
+            }
+        </script>
+    </body>
+    </html>`);
+    } catch (error) {
+        console.error('Error loading caller:', error);
+        res.status(500).send('Error loading caller');
+    }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error('Unhandled error:', err);
@@ -1199,7 +2603,20 @@ app.listen(port, async () => {
     console.log(`Environment variables check:`);
     console.log(`- ULTRAVOX_API_KEY: ${ULTRAVOX_API_KEY ? 'SET' : 'MISSING'}`);
     console.log(`- MONGODB_URI: ${MONGODB_URI ? 'SET' : 'NOT SET (using JSON file)'}`);
-    console.log(`- GEMINI_API_KEY: ${GEMINI_API_KEY ? 'SET' : 'NOT SET'}`);
+    console.log(`- LLM_PROVIDER: ${llmProvider ? `${llmProvider.name} (${LLM_CONFIG.model}${LLM_CONFIG.fallbackModel ? `, fallback ${LLM_CONFIG.fallbackModel}` : ''})` : `${LLM_CONFIG.provider} (disabled: no API key)`}`);
+    console.log(`- RISK LEXICON: ${riskLexicon.get().version} (${RISK_LEXICON_PATH})`);
+    console.log(`- LIVE_RISK_ENABLED: ${LIVE_RISK_ENABLED ? `YES (every ${LIVE_RISK_POLL_MS / 1000}s)` : 'NO'}`);
+    console.log(`- LANGUAGES: ${LANGUAGE_CONFIG.menu.join(', ')} (menu: ${LANGUAGE_CONFIG.menuMode}, default ${LANGUAGE_CONFIG.defaultLanguage})`);
+    console.log(`- FALLBACK_CHAIN: ${FALLBACK_CONFIG.chain.join(' → ') || 'NONE (callers hear an error and are hung up on)'}${FALLBACK_CONFIG.chain.includes('dial') && !FALLBACK_CONFIG.dialNumber ? ' (dial skipped: no FALLBACK_DIAL_NUMBER)' : ''}`);
+    console.log(`- CONSENT_ENABLED: ${CONSENT_CONFIG.enabled ? `YES (no answer ${CONSENT_CONFIG.recordOnNoResponse ? 'records' : 'does not record'})` : 'NO (calls are recorded without a disclosure)'}`);
+    console.log(`- AGENT TOOLS (default persona): ${toolRegistry.names().filter(n => !ULTRAVOX_TOOLS.length || ULTRAVOX_TOOLS.includes(n)).join(', ')}`);
+    console.log(`- COUNSELLOR TRANSFER: ${TRANSFER_ENABLED ? (TRANSFER_CONFIG.number ? 'number' : `queue ${TRANSFER_CONFIG.queue}`) : 'NOT CONFIGURED'}`);
+    console.log(`- ALERT_CHANNELS: ${alertDispatcher.config.channels.join(', ') || 'NONE (alerts are only logged)'}`);
+    console.log(`- CALLER_HASH_SECRET: ${process.env.CALLER_HASH_SECRET ? 'SET' : 'NOT SET (generated, in data/caller-hash-secret)'} - trend alert after ${callerRegistry.config.trendMinCalls}+ rising calls in ${callerRegistry.config.trendWindowDays} days`);
+    console.log(`- ENCRYPTION: ${keyProvider ? `${keyProvider.name} key file, current key ${keyProvider.currentKeyId()}` : 'NOT SET (transcripts and numbers are stored in plaintext)'}`);
+    console.log(`- RETENTION: ${Object.entries(retentionManager.config.days).map(([kind, n]) => `${kind} ${n ? `${n} days` : 'forever'}`).join(', ')}`);
+    console.log(`- AUTH: ${AUTH_CONFIG.disabled ? 'DISABLED (dashboard and API are open)' : `${AUTH_CONFIG.users.length} user(s)${AUTH_CONFIG.users.length ? '' : ' - every dashboard/API request will be refused; set AUTH_USERS'}`}`);
+    console.log(`- WEBHOOK SIGNATURES: Twilio ${AUTH_CONFIG.validateTwilio ? (AUTH_CONFIG.twilioAuthToken ? 'checked' : 'checked (TWILIO_AUTH_TOKEN missing: all rejected)') : 'NOT CHECKED'}, Ultravox ${AUTH_CONFIG.validateUltravox ? (AUTH_CONFIG.ultravoxWebhookSecret ? 'checked' : 'checked (ULTRAVOX_WEBHOOK_SECRET missing: all rejected)') : 'NOT CHECKED'}`);
     console.log(`- BASE_URL: ${BASE_URL}`);
     
     if (!ULTRAVOX_API_KEY) {
@@ -1207,11 +2624,40 @@ app.listen(port, async () => {
     }
     
     try {
-        await initMongo();
+        await initStore({ uri: MONGODB_URI, dbName: MONGODB_DB });
         console.log('✅ Database initialization completed');
     } catch (error) {
         console.error('❌ Database initialization failed:', error);
     }
+
+    await archiveLexiconVersion(riskLexicon.get());
+    riskLexicon.watch();
+
+    try {
+        const personas = await personaRegistry.load();
+        console.log(`🎭 ${personas.length} persona(s) loaded${personas.length ? `: ${personas.map(p => `${p.id} (${p.numbers.join(', ')})`).join('; ')}` : '; every number gets the default persona'}`);
+    } catch (error) {
+        console.error('❌ Failed to load personas; every number gets the default persona:', error);
+    }
+
+    // Escalate alerts nobody has acknowledged in time
+    setInterval(() => {
+        alertDispatcher.escalateDue().catch(error => console.error('Alert escalation check failed:', error));
+    }, ALERT_ESCALATION_CHECK_MS).unref();
+
+    // Conversations stored before caller ids were recorded join their caller's history
+    callerRegistry.backfillCallerIds({ save: (record, before) => upsertConversation(record, { action: 'caller_id_backfill', before }) })
+        .then(count => count && console.log(`🧾 Caller ids backfilled on ${count} conversation(s)`))
+        .catch(error => console.error('Caller id backfill failed:', error));
+
+    // Clear transcripts, recordings and raw payloads past their retention window
+    if (Object.values(retentionManager.config.days).some(Boolean)) {
+        const purgeExpired = () => retentionManager.purge()
+            .then(summary => summary.purged && console.log(`🗑️ Retention purge: ${summary.purged} conversation(s) purged`))
+            .catch(error => console.error('Retention purge failed:', error));
+        purgeExpired();
+        setInterval(purgeExpired, retentionManager.config.purgeIntervalMs).unref();
+    }
     
     console.log(`✅ Server running successfully on port ${port}`);
     console.log(`Dashboard available at: ${BASE_URL}/dashboard`);
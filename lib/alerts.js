@@ -0,0 +1,325 @@
+import crypto from 'crypto';
+import twilio from 'twilio';
+
+// Emergency alert dispatcher. Every channel is a plain async `send(target, message)`
+// function, so the Twilio client, SMTP transport and fetch implementation can all be
+// swapped for local stand-ins.
+
+export const ALERT_CHANNELS = ['sms', 'voice', 'webhook', 'email'];
+
+// Which tier field holds the targets for each channel
+const TARGET_KEYS = { sms: 'smsTo', voice: 'voiceTo', webhook: 'webhookUrls', email: 'emailTo' };
+
+const OPEN_STATUSES = ['pending', 'sent', 'failed'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function splitList(value) {
+    if (Array.isArray(value)) return value.map(s => String(s).trim()).filter(Boolean);
+    return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function normalizeTier(t) {
+    return {
+        smsTo: splitList(t.smsTo),
+        voiceTo: splitList(t.voiceTo),
+        webhookUrls: splitList(t.webhookUrls),
+        emailTo: splitList(t.emailTo),
+    };
+}
+
+function parseTiers(value) {
+    if (!value) return [];
+    try {
+        const tiers = JSON.parse(value);
+        if (!Array.isArray(tiers)) throw new Error('expected a JSON array');
+        return tiers.map(normalizeTier);
+    } catch (error) {
+        console.warn('Ignoring invalid ALERT_ESCALATION_TIERS:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Reads alert channel configuration from environment variables.
+ * Tier 0 is the primary on-call list; ALERT_ESCALATION_TIERS adds further tiers as a
+ * JSON array of `{ smsTo, voiceTo, webhookUrls, emailTo }` objects.
+ */
+export function alertConfigFromEnv(env = process.env) {
+    const primary = {
+        smsTo: splitList(env.ALERT_SMS_TO),
+        voiceTo: splitList(env.ALERT_VOICE_TO),
+        webhookUrls: splitList(env.ALERT_WEBHOOK_URL),
+        emailTo: splitList(env.ALERT_EMAIL_TO),
+    };
+    return {
+        channels: splitList(env.ALERT_CHANNELS).filter(c => ALERT_CHANNELS.includes(c)),
+        tiers: [primary, ...parseTiers(env.ALERT_ESCALATION_TIERS)],
+        escalateAfterMs: Number(env.ALERT_ESCALATION_MINUTES || '10') * 60 * 1000,
+        fromNumber: env.ALERT_FROM_NUMBER || env.TWILIO_FROM_NUMBER || '',
+        emailFrom: env.ALERT_EMAIL_FROM || 'alerts@localhost',
+        maxAttempts: Number(env.ALERT_MAX_ATTEMPTS || '3'),
+        retryDelayMs: Number(env.ALERT_RETRY_DELAY_MS || '2000'),
+        dashboardUrl: env.BASE_URL || '',
+    };
+}
+
+/**
+ * Normalizes a per-alert routing override, e.g. a persona's own on-call lists:
+ * `{ channels, tiers: [{ smsTo, voiceTo, webhookUrls, emailTo }, ...] }`. Tier 0 is primary.
+ */
+export function normalizeAlertRouting(routing) {
+    if (!routing) return null;
+    return {
+        channels: splitList(routing.channels).filter(c => ALERT_CHANNELS.includes(c)),
+        tiers: (Array.isArray(routing.tiers) ? routing.tiers : []).map(normalizeTier),
+    };
+}
+
+/**
+ * Builds the short, human-readable alert text shared by every channel.
+ * `worsening_trend` alerts describe the caller's escalation (`detail`) and link to the caller page.
+ */
+export function buildAlertMessage(conversation, config = {}, { reason, detail } = {}) {
+    if (reason === 'worsening_trend') {
+        const callerLink = config.dashboardUrl && conversation.callerId ? ` ${config.dashboardUrl}/callers/${encodeURIComponent(conversation.callerId)}` : '';
+        return `RISK TREND: caller ${conversation.from || 'unknown'} is escalating (${detail || `latest risk ${conversation.tendency || 'unknown'}`}).${callerLink}`;
+    }
+    const link = config.dashboardUrl ? ` ${config.dashboardUrl}/conversations/${encodeURIComponent(conversation.id)}` : '';
+    const gemini = conversation.geminiAnalysis?.risk_level ? `, AI risk ${conversation.geminiAnalysis.risk_level}` : '';
+    return `EMERGENCY: caller ${conversation.from || 'unknown'} flagged for immediate intervention (risk ${conversation.tendency || 'unknown'}, score ${conversation.score || 0}${gemini}).${link}`;
+}
+
+function createChannels({ twilioClient, mailer, fetchImpl, config }) {
+    return {
+        sms: {
+            async send(to, message) {
+                if (!twilioClient) throw new Error('Twilio client not configured');
+                const result = await twilioClient.messages.create({ to, from: config.fromNumber, body: message });
+                return { providerId: result?.sid };
+            },
+        },
+        voice: {
+            async send(to, message) {
+                if (!twilioClient) throw new Error('Twilio client not configured');
+                const twiml = new twilio.twiml.VoiceResponse();
+                twiml.say({ voice: 'alice', language: 'en-IN', loop: 2 }, message);
+                const result = await twilioClient.calls.create({ to, from: config.fromNumber, twiml: twiml.toString() });
+                return { providerId: result?.sid };
+            },
+        },
+        webhook: {
+            async send(url, message, alert) {
+                const response = await fetchImpl(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ message, alert }),
+                });
+                if (!response.ok) throw new Error(`Webhook responded ${response.status}`);
+                return { providerId: String(response.status) };
+            },
+        },
+        email: {
+            async send(to, message) {
+                if (!mailer) throw new Error('SMTP transport not configured');
+                const info = await mailer.sendMail({
+                    from: config.emailFrom,
+                    to,
+                    subject: 'EMERGENCY: caller needs immediate intervention',
+                    text: message,
+                });
+                return { providerId: info?.messageId };
+            },
+        },
+    };
+}
+
+/**
+ * Creates a dispatcher that fans an alert out to every configured channel and target of a
+ * tier, retrying each delivery independently and persisting the alert record after every
+ * change. Unacknowledged alerts are escalated to the next tier by `escalateDue()`.
+ * `onEvent(alert, event)` receives every workflow step for the conversation's audit trail.
+ *
+ * An alert whose tier is being notified is marked in flight, so overlapping escalation
+ * checks skip it, and an acknowledgement arriving meanwhile is kept by every later save.
+ */
+export function createAlertDispatcher({ config, twilioClient, mailer, fetchImpl = globalThis.fetch, alertsStore, channels, onEvent } = {}) {
+    const cfg = { ...alertConfigFromEnv({}), ...config };
+    const available = channels || createChannels({ twilioClient, mailer, fetchImpl, config: cfg });
+    const inFlight = new Set();
+    // Acknowledgements of in-flight alerts, applied to the copy being notified
+    const acknowledgements = new Map();
+
+    async function save(alert) {
+        const acknowledgement = acknowledgements.get(alert.id);
+        if (acknowledgement) Object.assign(alert, acknowledgement);
+        alert.updatedAt = new Date().toISOString();
+        if (alertsStore) {
+            try {
+                await alertsStore.upsert(alert);
+            } catch (error) {
+                console.error(`Failed to persist alert ${alert.id}:`, error);
+            }
+        }
+        return alert;
+    }
+
+    async function emit(alert, event) {
+        if (!onEvent) return;
+        try {
+            await onEvent(alert, { at: new Date().toISOString(), alertId: alert.id, tier: alert.tier, ...event });
+        } catch (error) {
+            console.error(`Failed to record alert event for ${alert.id}:`, error);
+        }
+    }
+
+    // Runs `run` unless the alert is already being notified
+    async function exclusive(alert, run) {
+        if (inFlight.has(alert.id)) return alert;
+        inFlight.add(alert.id);
+        try {
+            return await run();
+        } finally {
+            inFlight.delete(alert.id);
+            acknowledgements.delete(alert.id);
+        }
+    }
+
+    // Brings in an acknowledgement made through this dispatcher or stored by another process
+    async function refreshAcknowledgement(alert) {
+        const latest = acknowledgements.get(alert.id) || (alertsStore ? await alertsStore.findOne({ id: alert.id }) : null);
+        if (latest?.status === 'acknowledged') {
+            const { acknowledgedAt, acknowledgedBy, acknowledgementNote } = latest;
+            Object.assign(alert, { status: 'acknowledged', acknowledgedAt, acknowledgedBy, acknowledgementNote, nextEscalationAt: null });
+        }
+        return alert.status === 'acknowledged';
+    }
+
+    async function deliver(alert, delivery, channel, message) {
+        for (let attempt = 1; attempt <= cfg.maxAttempts; attempt++) {
+            delivery.attempts = attempt;
+            try {
+                const result = await channel.send(delivery.target, message, alert);
+                delivery.status = 'sent';
+                delivery.providerId = result?.providerId || null;
+                delivery.sentAt = new Date().toISOString();
+                delivery.lastError = null;
+                console.log(`📣 Alert ${alert.id} delivered via ${delivery.channel} to ${delivery.target} (attempt ${attempt})`);
+                return;
+            } catch (error) {
+                delivery.lastError = error.message;
+                console.warn(`Alert ${alert.id} ${delivery.channel} delivery to ${delivery.target} failed (attempt ${attempt}/${cfg.maxAttempts}):`, error.message);
+                if (attempt < cfg.maxAttempts) await sleep(cfg.retryDelayMs * attempt);
+            }
+        }
+        delivery.status = 'failed';
+    }
+
+    // Channels and tiers for an alert: its own routing override, else the global config
+    const routingOf = alert => alert.routing || cfg;
+
+    // Sends the alert to every target in `alert.tier` and schedules the next escalation.
+    async function notifyTier(alert) {
+        const { channels: routedChannels, tiers } = routingOf(alert);
+        const tier = tiers[alert.tier] || {};
+        const deliveries = [];
+        for (const name of routedChannels) {
+            if (!available[name]) continue;
+            for (const target of tier[TARGET_KEYS[name]] || []) {
+                deliveries.push({ tier: alert.tier, channel: name, target, status: 'pending', attempts: 0 });
+            }
+        }
+        if (deliveries.length === 0) {
+            console.warn(`🚨 Alert ${alert.id} for call ${alert.conversationId} has no configured channels or targets for tier ${alert.tier}`);
+        }
+
+        alert.deliveries.push(...deliveries);
+        await save(alert);
+        await Promise.all(deliveries.map(d => deliver(alert, d, available[d.channel], alert.message)));
+
+        const sent = deliveries.some(d => d.status === 'sent');
+        // An acknowledgement may have landed while deliveries were retrying
+        if (!(await refreshAcknowledgement(alert))) {
+            alert.status = sent || alert.status === 'sent' ? 'sent' : 'failed';
+            const hasNextTier = alert.tier + 1 < tiers.length;
+            alert.nextEscalationAt = hasNextTier ? new Date(Date.now() + cfg.escalateAfterMs).toISOString() : null;
+        }
+        await save(alert);
+        await emit(alert, {
+            action: sent ? 'alert_sent' : 'alert_failed',
+            detail: deliveries.map(d => `${d.channel}:${d.target}:${d.status}`).join(', ') || 'no targets',
+        });
+        return alert;
+    }
+
+    // `routing` overrides the configured channels and on-call tiers for this alert and its escalations
+    async function dispatch(conversation, { reason = 'immediate_intervention', detail, routing = null } = {}) {
+        const now = new Date().toISOString();
+        const alert = {
+            id: crypto.randomUUID(),
+            conversationId: conversation.id,
+            reason,
+            message: buildAlertMessage(conversation, cfg, { reason, detail }),
+            tendency: conversation.tendency,
+            score: conversation.score,
+            routing: normalizeAlertRouting(routing),
+            status: 'pending',
+            tier: 0,
+            deliveries: [],
+            nextEscalationAt: null,
+            createdAt: now,
+            updatedAt: now,
+        };
+        return exclusive(alert, () => notifyTier(alert));
+    }
+
+    function escalate(alert) {
+        return exclusive(alert, async () => {
+            // The copy may be stale: another check may have escalated it, or someone acknowledged it
+            const latest = alertsStore ? await alertsStore.findOne({ id: alert.id }) : null;
+            if (latest && latest.tier !== alert.tier) return latest;
+            if (await refreshAcknowledgement(alert) || !OPEN_STATUSES.includes(alert.status)) return alert;
+            if (alert.tier + 1 >= routingOf(alert).tiers.length) {
+                alert.nextEscalationAt = null;
+                await save(alert);
+                await emit(alert, { action: 'escalation_exhausted', detail: 'No further on-call tiers configured' });
+                return alert;
+            }
+            alert.tier += 1;
+            console.log(`⏫ Escalating unacknowledged alert ${alert.id} to tier ${alert.tier}`);
+            await emit(alert, { action: 'escalated', detail: `Not acknowledged within ${Math.round(cfg.escalateAfterMs / 60000)} minutes` });
+            return notifyTier(alert);
+        });
+    }
+
+    // Escalates every open alert whose acknowledgement window has passed, skipping alerts
+    // another check is still notifying.
+    async function escalateDue(now = new Date()) {
+        if (!alertsStore) return [];
+        const alerts = await alertsStore.find();
+        const due = alerts.filter(a => OPEN_STATUSES.includes(a.status) && a.nextEscalationAt && new Date(a.nextEscalationAt) <= now && !inFlight.has(a.id));
+        const escalated = [];
+        for (const alert of due) {
+            escalated.push(await escalate(alert));
+        }
+        return escalated;
+    }
+
+    async function acknowledge(alert, { by = 'unknown', note = '' } = {}) {
+        if (alert.status === 'acknowledged') return alert;
+        alert.status = 'acknowledged';
+        alert.acknowledgedAt = new Date().toISOString();
+        alert.acknowledgedBy = by;
+        alert.acknowledgementNote = note || '';
+        alert.nextEscalationAt = null;
+        if (inFlight.has(alert.id)) {
+            const { status, acknowledgedAt, acknowledgedBy, acknowledgementNote, nextEscalationAt } = alert;
+            acknowledgements.set(alert.id, { status, acknowledgedAt, acknowledgedBy, acknowledgementNote, nextEscalationAt });
+        }
+        await save(alert);
+        await emit(alert, { action: 'acknowledged', by, detail: note || '' });
+        return alert;
+    }
+
+    return { dispatch, escalate, escalateDue, acknowledge, config: cfg };
+}
@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+
+// Append-only audit log of who viewed or changed conversations. Entries are only ever
+// added: each one carries a sequence number and the hash of the entry before it, so an
+// edited or deleted entry breaks the chain and shows up in `verify()`.
+
+// Fields hashed into each entry, in this order
+const ENTRY_FIELDS = ['id', 'seq', 'at', 'actor', 'role', 'action', 'conversationId', 'changes', 'detail', 'prevHash'];
+const CSV_COLUMNS = ['seq', 'at', 'actor', 'role', 'action', 'conversationId', 'changes', 'detail', 'hash'];
+const GENESIS_HASH = '0'.repeat(64);
+
+const entryHash = entry => crypto.createHash('sha256')
+    .update(JSON.stringify(ENTRY_FIELDS.map(field => entry[field] ?? null)))
+    .digest('hex');
+
+/**
+ * Field-level differences between two versions of a record, as `{ field: { before, after } }`.
+ * Sensitive fields only note that they changed, so the log never copies transcripts or
+ * numbers (and needs no retention or erasure of its own).
+ */
+export function diffRecords(before, after, { sensitiveFields = [], ignore = ['updatedAt'] } = {}) {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const key of keys) {
+        if (ignore.includes(key)) continue;
+        const a = before?.[key] ?? null;
+        const b = after?.[key] ?? null;
+        if (JSON.stringify(a) === JSON.stringify(b)) continue;
+        changes[key] = sensitiveFields.includes(key) ? { changed: true } : { before: a, after: b };
+    }
+    return changes;
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.auditStore - store collection for entries (see lib/store.js); the
+ *   log only ever upserts new ids into it
+ */
+export function createAuditLog({ auditStore }) {
+    let last;
+    let queue = Promise.resolve();
+
+    const ordered = entries => [...entries].sort((a, b) => a.seq - b.seq);
+
+    async function lastEntry() {
+        if (last === undefined) last = ordered(await auditStore.find()).pop() || null;
+        return last;
+    }
+
+    /**
+     * Adds an entry. Appends are serialized so sequence numbers and the hash chain stay
+     * in order under concurrent requests.
+     */
+    function append({ actor, role = null, action, conversationId = null, changes = null, detail = null, now = new Date() }) {
+        const run = queue.then(async () => {
+            const previous = await lastEntry();
+            const entry = {
+                id: crypto.randomUUID(),
+                seq: (previous?.seq || 0) + 1,
+                at: now.toISOString(),
+                actor: actor || 'unknown',
+                role,
+                action,
+                conversationId,
+                changes: changes && Object.keys(changes).length > 0 ? changes : null,
+                detail,
+                prevHash: previous?.hash || GENESIS_HASH,
+            };
+            entry.hash = entryHash(entry);
+            await auditStore.upsert(entry);
+            last = entry;
+            return entry;
+        });
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Entries matching the filters, newest first. `since`/`until` are ISO timestamps.
+     */
+    async function query({ conversationId, actor, action, since, until, limit } = {}) {
+        const filter = {};
+        if (conversationId) filter.conversationId = conversationId;
+        if (actor) filter.actor = actor;
+        if (action) filter.action = action;
+        const entries = ordered(await auditStore.find(filter))
+            .filter(e => (!since || e.at >= since) && (!until || e.at <= until))
+            .reverse();
+        return limit ? entries.slice(0, limit) : entries;
+    }
+
+    /**
+     * Walks the whole chain and reports the first entry that doesn't match.
+     * @returns {{ ok: boolean, entries: number, brokenAt: number|null, reason: string|null }}
+     */
+    async function verify() {
+        const entries = ordered(await auditStore.find());
+        let prevHash = GENESIS_HASH;
+        for (const [index, entry] of entries.entries()) {
+            const reason = entry.seq !== index + 1 ? 'missing entry'
+                : entry.prevHash !== prevHash ? 'chain broken'
+                    : entry.hash !== entryHash(entry) ? 'entry modified'
+                        : null;
+            if (reason) return { ok: false, entries: entries.length, brokenAt: index + 1, reason };
+            prevHash = entry.hash;
+        }
+        return { ok: true, entries: entries.length, brokenAt: null, reason: null };
+    }
+
+    return { append, query, verify };
+}
+
+// Quotes a CSV cell, and defuses values a spreadsheet would run as a formula
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Audit entries as CSV, one row per entry; `changes` is written as JSON.
+ */
+export function auditToCsv(entries) {
+    return [CSV_COLUMNS.join(','), ...entries.map(entry => CSV_COLUMNS.map(column => csvCell(entry[column])).join(','))].join('\r\n') + '\r\n';
+}
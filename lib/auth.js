@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import twilio from 'twilio';
+
+// Request authentication. Twilio callbacks must carry a valid `X-Twilio-Signature`,
+// Ultravox webhooks a valid `X-Ultravox-Webhook-Signature`, and agent tool calls the
+// tool secret header set on each call. Everything else (dashboard, pages, API) needs a
+// signed-in user whose role allows the request.
+
+export const ROLES = ['admin', 'counsellor', 'auditor'];
+export const ROLE_PERMISSIONS = {
+    admin: ['view', 'act', 'admin', 'pii', 'audit'],
+    counsellor: ['view', 'act', 'pii'],
+    auditor: ['view', 'audit'],
+};
+export const TOOL_SECRET_HEADER = 'X-Tool-Secret';
+
+// Unredacted transcripts are only for roles with the `pii` permission
+const PII_PATHS = [/^\/api\/conversations\/[^/]+\/original-transcript$/];
+// The audit log is for admins and auditors
+const AUDIT_PATHS = [/^\/api\/audit(\/|$)/];
+// Bulk maintenance endpoints are admin-only, like the /api/admin routes
+const ADMIN_PATHS = [/^\/api\/admin(\/|$)/, /^\/api\/conversations\/(refresh-all|import-from-ultravox|cleanup-invalid)$/];
+
+/**
+ * Parses AUTH_USERS ("name:role:password" entries, comma-separated).
+ * @returns {{ users: { name: string, role: string, secret: string }[], errors: string[] }}
+ */
+export function parseUsers(value) {
+    const users = [];
+    const errors = [];
+    for (const entry of String(value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+        const [name, role, ...rest] = entry.split(':');
+        const secret = rest.join(':');
+        if (!name || !secret) errors.push(`AUTH_USERS entry for "${name || '?'}" needs name:role:password`);
+        else if (!ROLES.includes(role)) errors.push(`AUTH_USERS role for "${name}" must be one of: ${ROLES.join(', ')}`);
+        else users.push({ name, role, secret });
+    }
+    return { users, errors };
+}
+
+/**
+ * Reads users and webhook verification settings from environment variables. The tool
+ * secret defaults to one derived from the Ultravox API key, so tool calls are always
+ * checked.
+ */
+export function authConfigFromEnv(env = process.env) {
+    const { users, errors } = parseUsers(env.AUTH_USERS);
+    const validateTwilio = env.TWILIO_VALIDATE_SIGNATURES !== 'false';
+    // Signatures cover the full public URL, so without it every Twilio callback would fail
+    if (validateTwilio && !env.BASE_URL) errors.push('BASE_URL is required to check Twilio signatures');
+    return {
+        users,
+        errors,
+        disabled: env.AUTH_DISABLED === 'true',
+        baseUrl: (env.BASE_URL || '').replace(/\/+$/, ''),
+        twilioAuthToken: env.TWILIO_AUTH_TOKEN || '',
+        validateTwilio,
+        ultravoxWebhookSecret: env.ULTRAVOX_WEBHOOK_SECRET || '',
+        validateUltravox: env.ULTRAVOX_VALIDATE_SIGNATURES !== 'false',
+        webhookMaxAgeSeconds: Number(env.ULTRAVOX_WEBHOOK_MAX_AGE_SECONDS || '300'),
+        toolSecret: env.ULTRAVOX_TOOL_SECRET
+            || (env.ULTRAVOX_API_KEY ? crypto.createHmac('sha256', env.ULTRAVOX_API_KEY).update('agent-tools').digest('hex') : ''),
+    };
+}
+
+// Constant-time string comparison (lengths may differ)
+function safeEqual(a, b) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * The user for an `Authorization` header: HTTP Basic with name and password, or a
+ * Bearer token holding the password. Null when the credentials don't match.
+ */
+export function authenticate(header, users) {
+    const [scheme, value = ''] = String(header || '').split(' ');
+    if (/^basic$/i.test(scheme)) {
+        const decoded = Buffer.from(value, 'base64').toString('utf-8');
+        const split = decoded.indexOf(':');
+        if (split < 0) return null;
+        const name = decoded.slice(0, split);
+        const secret = decoded.slice(split + 1);
+        return users.find(u => safeEqual(u.name, name) && safeEqual(u.secret, secret)) || null;
+    }
+    if (/^bearer$/i.test(scheme) && value) {
+        return users.find(u => safeEqual(u.secret, value)) || null;
+    }
+    return null;
+}
+
+/**
+ * Which check a request needs: `public`, `twilio`, `ultravox` or `tool` for the
+ * machine-to-machine endpoints, otherwise the permission (`view`, `act`, `admin`, `pii`,
+ * `audit`). Express routes ignore case and a trailing slash, so the path is matched the
+ * same way.
+ */
+export function routeAccess(method, requestPath) {
+    const path = requestPath.toLowerCase().replace(/\/+$/, '') || '/';
+    if (path === '/health') return 'public';
+    if (path === '/incoming' || path.startsWith('/incoming/') || path.startsWith('/twilio/')) return 'twilio';
+    if (path === '/ultravox/events') return 'ultravox';
+    if (path.startsWith('/tools/')) return 'tool';
+    if (ADMIN_PATHS.some(pattern => pattern.test(path))) return 'admin';
+    // Erasing a caller's records
+    if (method === 'DELETE' && path.startsWith('/api/callers/')) return 'admin';
+    if (PII_PATHS.some(pattern => pattern.test(path))) return 'pii';
+    if (AUDIT_PATHS.some(pattern => pattern.test(path))) return 'audit';
+    return ['GET', 'HEAD'].includes(method) ? 'view' : 'act';
+}
+
+export function verifyTwilioSignature({ authToken, signature, url, params }) {
+    if (!authToken || !signature) return false;
+    return twilio.validateRequest(authToken, signature, url, params || {});
+}
+
+/**
+ * Ultravox signs `rawBody + timestamp` with HMAC-SHA256; the header may list several
+ * signatures (during secret rotation). Stale timestamps are rejected to stop replays.
+ */
+export function verifyUltravoxSignature({ secret, signatureHeader, timestamp, rawBody, maxAgeSeconds = 300, now = new Date() }) {
+    if (!secret || !signatureHeader || !timestamp || !rawBody) return false;
+    const sentAt = new Date(timestamp).getTime();
+    if (!Number.isFinite(sentAt) || Math.abs(now.getTime() - sentAt) > maxAgeSeconds * 1000) return false;
+    const expected = crypto.createHmac('sha256', secret).update(Buffer.concat([Buffer.from(rawBody), Buffer.from(timestamp)])).digest('hex');
+    return String(signatureHeader).split(',').some(signature => safeEqual(signature.trim(), expected));
+}
+
+/**
+ * Express middleware applying `routeAccess` to every request. Signed-in users are put on
+ * `req.user` (`{ name, role }`). With `disabled`, user checks are skipped but webhook
+ * signatures are still verified.
+ */
+export function createAuthMiddleware(config) {
+    const deny = (res, status, error) => res.status(status).json({ ok: false, error });
+
+    return function authMiddleware(req, res, next) {
+        const access = routeAccess(req.method, req.path);
+        if (access === 'public') return next();
+
+        if (access === 'twilio') {
+            if (!config.validateTwilio) return next();
+            const valid = verifyTwilioSignature({
+                authToken: config.twilioAuthToken,
+                signature: req.get('X-Twilio-Signature'),
+                url: `${config.baseUrl}${req.originalUrl}`,
+                params: req.body,
+            });
+            if (valid) return next();
+            console.warn(`🔒 Rejected ${req.method} ${req.originalUrl}: invalid Twilio signature`);
+            return deny(res, 403, 'Invalid Twilio signature');
+        }
+
+        if (access === 'ultravox') {
+            if (!config.validateUltravox) return next();
+            const valid = verifyUltravoxSignature({
+                secret: config.ultravoxWebhookSecret,
+                signatureHeader: req.get('X-Ultravox-Webhook-Signature'),
+                timestamp: req.get('X-Ultravox-Webhook-Timestamp'),
+                rawBody: req.rawBody,
+                maxAgeSeconds: config.webhookMaxAgeSeconds,
+            });
+            if (valid) return next();
+            console.warn(`🔒 Rejected ${req.method} ${req.originalUrl}: invalid Ultravox signature`);
+            return deny(res, 403, 'Invalid Ultravox signature');
+        }
+
+        if (access === 'tool') {
+            if (config.toolSecret && safeEqual(req.get(TOOL_SECRET_HEADER) || '', config.toolSecret)) return next();
+            console.warn(`🔒 Rejected ${req.method} ${req.originalUrl}: missing or wrong tool secret`);
+            return deny(res, 403, 'Invalid tool secret');
+        }
+
+        if (config.disabled) return next();
+        const user = authenticate(req.get('Authorization'), config.users);
+        if (!user) {
+            res.set('WWW-Authenticate', 'Basic realm="Helpline dashboard", charset="UTF-8"');
+            return deny(res, 401, 'Authentication required');
+        }
+        if (!ROLE_PERMISSIONS[user.role].includes(access)) {
+            console.warn(`🔒 ${user.name} (${user.role}) denied ${req.method} ${req.originalUrl}`);
+            return deny(res, 403, `The ${user.role} role can't do this`);
+        }
+        req.user = { name: user.name, role: user.role };
+        return next();
+    };
+}
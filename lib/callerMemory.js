@@ -0,0 +1,78 @@
+// Returning-caller memory. Before a call is connected, the caller's earlier conversations
+// are condensed into a short context block for the agent's system prompt, so a caller
+// from yesterday isn't greeted as a stranger. The block is bounded on purpose: a few
+// recent calls, no transcript quotes or concerning phrases, numbers masked, and a hard
+// length cap.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ELEVATED = ['high', 'severe'];
+
+/**
+ * Reads caller memory limits from environment variables.
+ */
+export function callerMemoryConfigFromEnv(env = process.env) {
+    return {
+        enabled: env.CALLER_MEMORY_ENABLED !== 'false',
+        maxCalls: Math.max(1, Number(env.CALLER_MEMORY_MAX_CALLS || '3')),
+        maxAgeDays: Number(env.CALLER_MEMORY_MAX_AGE_DAYS || '90'),
+        maxChars: Number(env.CALLER_MEMORY_MAX_CHARS || '1200'),
+    };
+}
+
+// One line of free text: whitespace collapsed, digit runs that could be phone or
+// account numbers masked, and cut to `max` characters
+function clean(text, max) {
+    const line = String(text || '')
+        .replace(/\+?\d[\d\s-]{5,}\d/g, '[number]')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return line.length > max ? `${line.slice(0, max - 1).trimEnd()}…` : line;
+}
+
+function daysAgo(at, now) {
+    const days = Math.floor((now.getTime() - new Date(at).getTime()) / DAY_MS);
+    if (days <= 0) return 'earlier today';
+    if (days === 1) return 'yesterday';
+    return `${days} days ago`;
+}
+
+/**
+ * Builds the memory block from the caller's previous conversations.
+ * @param {object[]} conversations - the caller's stored conversations, any order
+ * @returns {{ text: string, conversationIds: string[], followUps: number }|null} null when
+ *   there is nothing worth remembering
+ */
+export function buildCallerMemory(conversations, config = {}, now = new Date()) {
+    const cfg = { ...callerMemoryConfigFromEnv({}), ...config };
+    const oldest = now.getTime() - cfg.maxAgeDays * DAY_MS;
+    const previous = conversations
+        .filter(c => c.status !== 'active' && (c.tendency || c.geminiAnalysis) && new Date(c.createdAt).getTime() >= oldest)
+        .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+    if (previous.length === 0) return null;
+
+    const recent = previous.slice(0, cfg.maxCalls);
+    const lines = [`- They have called ${previous.length} time${previous.length === 1 ? '' : 's'} before; the last call was ${daysAgo(recent[0].createdAt, now)}.`];
+    for (const c of recent) {
+        const summary = clean(c.geminiAnalysis?.assessment_summary, 240);
+        const mood = clean(c.geminiAnalysis?.emotional_state, 80);
+        if (summary || mood) lines.push(`- ${daysAgo(c.createdAt, now)}: ${summary}${mood ? `${summary ? ' ' : ''}They seemed: ${mood}.` : ''}`);
+    }
+    const followUps = previous
+        .flatMap(c => (c.callbacks || []).filter(cb => cb.status === 'scheduled'))
+        .sort((a, b) => new Date(a.requestedFor).getTime() - new Date(b.requestedFor).getTime());
+    for (const cb of followUps) {
+        lines.push(`- You agreed a follow-up call for ${cb.requestedFor.slice(0, 16).replace('T', ' ')} UTC${cb.note ? `: ${clean(cb.note, 160)}` : ''}.`);
+    }
+    if (ELEVATED.includes(recent[0].tendency)) {
+        lines.push('- They were in significant distress last time. Check in gently on how they are and whether they are safe.');
+    }
+
+    const header = '\n\nRETURNING CALLER (private context from earlier calls; use it to be familiar and caring, never read it out or mention records or notes unless they bring something up first):\n';
+    let body = lines.join('\n');
+    if (header.length + body.length > cfg.maxChars) body = `${body.slice(0, Math.max(0, cfg.maxChars - header.length - 1)).trimEnd()}…`;
+    return {
+        text: `${header}${body}`,
+        conversationIds: recent.map(c => c.id),
+        followUps: followUps.length,
+    };
+}
@@ -0,0 +1,253 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Caller history. Repeat callers are linked by a keyed hash of their phone number, so
+// profiles can be looked up and aggregated without keeping the number as the key. Each
+// profile lists every analyzed call and is checked for a worsening risk trend.
+
+const RISK_LEVELS = ['no', 'low', 'medium', 'high', 'severe'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the hashing secret and escalation thresholds from environment variables.
+ * Without a secret, anyone holding the stored ids could recover numbers by hashing
+ * candidates, so CALLER_HASH_SECRET is required once real storage (MongoDB) or
+ * encryption is configured; `errors` lists what's missing.
+ */
+export function callerConfigFromEnv(env = process.env) {
+    const errors = [];
+    if (!env.CALLER_HASH_SECRET && (env.MONGODB_URI || env.ENCRYPTION_KEY_FILE)) {
+        errors.push('CALLER_HASH_SECRET is required when MONGODB_URI or ENCRYPTION_KEY_FILE is set');
+    }
+    return {
+        hashSecret: env.CALLER_HASH_SECRET || '',
+        errors,
+        // How many recent calls are loaded when a call comes in (memory, language)
+        lookupLimit: Math.max(1, Number(env.CALLER_LOOKUP_LIMIT || '20')),
+        trendWindowDays: Number(env.CALLER_TREND_WINDOW_DAYS || '7'),
+        trendMinCalls: Math.max(2, Number(env.CALLER_TREND_MIN_CALLS || '3')),
+        trendMinRise: Math.max(1, Number(env.CALLER_TREND_MIN_RISE || '2')),
+    };
+}
+
+/**
+ * A random hashing secret for local JSON storage, created on first use and kept in
+ * `file` so caller ids stay the same across restarts.
+ */
+export function localHashSecret(file) {
+    if (fs.existsSync(file)) return fs.readFileSync(file, 'utf-8').trim();
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, secret, { mode: 0o600 });
+    return secret;
+}
+
+// Digits with an optional leading "+", so "+91 98765-43210" and "+919876543210" match
+export function normalizePhoneNumber(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    if (!digits) return null;
+    return String(phone).trim().startsWith('+') ? `+${digits}` : digits;
+}
+
+/**
+ * Stable caller id for a phone number (HMAC-SHA256 under `secret`), or null for
+ * withheld/non-numeric caller ids.
+ */
+export function hashCallerNumber(phone, secret = '') {
+    const normalized = normalizePhoneNumber(phone);
+    if (!normalized) return null;
+    return crypto.createHmac('sha256', secret).update(normalized).digest('hex').slice(0, 32);
+}
+
+// True for something that looks like a phone number rather than a caller id hash
+export function isPhoneNumber(value) {
+    return /^\+?[\d\s()-]{6,20}$/.test(String(value || '').trim());
+}
+
+/**
+ * Looks for escalation in a caller's recent calls: the run of non-decreasing risk tiers
+ * that ends with the latest call, within the last `trendWindowDays`, spanning at least
+ * `trendMinCalls` calls and rising at least `trendMinRise` tiers (e.g. low → medium → high).
+ * @param {{ at: string, tendency: string }[]} calls - oldest first
+ */
+export function detectEscalation(calls, config = {}, now = new Date()) {
+    const cfg = { ...callerConfigFromEnv({}), ...config };
+    const since = now.getTime() - cfg.trendWindowDays * DAY_MS;
+    const recent = calls.filter(c => RISK_LEVELS.includes(c.tendency) && new Date(c.at).getTime() >= since);
+
+    let start = recent.length - 1;
+    while (start > 0 && RISK_LEVELS.indexOf(recent[start - 1].tendency) <= RISK_LEVELS.indexOf(recent[start].tendency)) start -= 1;
+    const run = recent.slice(Math.max(start, 0));
+    const rise = run.length > 0 ? RISK_LEVELS.indexOf(run[run.length - 1].tendency) - RISK_LEVELS.indexOf(run[0].tendency) : 0;
+    const escalating = run.length >= cfg.trendMinCalls && rise >= cfg.trendMinRise;
+
+    return {
+        escalating,
+        from: escalating ? run[0].tendency : null,
+        to: escalating ? run[run.length - 1].tendency : null,
+        calls: escalating ? run.length : 0,
+        since: escalating ? run[0].at : null,
+        summary: escalating
+            ? `${run.map(c => c.tendency).join(' → ')} across ${run.length} calls since ${run[0].at.slice(0, 10)}`
+            : null,
+    };
+}
+
+// One entry of the caller timeline
+function callEntry(conversation) {
+    return {
+        conversationId: conversation.id,
+        at: conversation.createdAt,
+        status: conversation.status,
+        tendency: conversation.tendency || null,
+        score: conversation.score ?? null,
+        needsCounselling: conversation.needsCounselling || null,
+        emotionalState: conversation.geminiAnalysis?.emotional_state || null,
+        immediateIntervention: !!conversation.immediateIntervention,
+    };
+}
+
+/**
+ * Keeps caller profiles up to date and raises an alert when a caller's risk is escalating.
+ * @param {object} opts
+ * @param {object} opts.callersStore - store collection for profiles (see lib/store.js)
+ * @param {object} opts.conversationsStore - store collection for conversations, looked up
+ *   by `callerId`
+ * @param {(conversation: object, trend: object, profile: object) => Promise<object|null>} [opts.onEscalation]
+ *   - raises the trend alert and returns it
+ * @param {object} [opts.config] - overrides for callerConfigFromEnv()
+ */
+export function createCallerRegistry({ callersStore, conversationsStore, onEscalation, config = {} }) {
+    const cfg = { ...callerConfigFromEnv({}), ...config };
+    const callerIdOf = conversation => conversation.callerId || hashCallerNumber(conversation.from, cfg.hashSecret);
+
+    // The caller's conversations, most recently updated first. Only this caller's records
+    // are loaded (and decrypted); conversations are stored with their `callerId`.
+    const conversationsFor = (callerId, { limit } = {}) => conversationsStore.find({ callerId }, { limit });
+
+    // Builds the profile from the caller's stored conversations without saving it; stored
+    // preferences and past trend alerts are kept
+    async function buildProfile(callerId, now = new Date()) {
+        const conversations = await conversationsFor(callerId);
+        if (conversations.length === 0) return null;
+        const existing = await callersStore.findOne({ id: callerId });
+        const calls = conversations
+            .map(callEntry)
+            .sort((a, b) => new Date(a.at).getTime() - new Date(b.at).getTime());
+        const analyzed = calls.filter(c => c.tendency);
+        const timestamp = now.toISOString();
+        const profile = {
+            ...existing,
+            id: callerId,
+            callCount: calls.length,
+            firstCallAt: calls[0].at,
+            lastCallAt: calls[calls.length - 1].at,
+            highestTendency: analyzed.reduce((top, c) => (RISK_LEVELS.indexOf(c.tendency) > RISK_LEVELS.indexOf(top) ? c.tendency : top), 'no'),
+            calls,
+            trend: detectEscalation(analyzed, cfg, now),
+            trendAlerts: existing?.trendAlerts || [],
+            createdAt: existing?.createdAt || timestamp,
+            updatedAt: timestamp,
+        };
+        return profile;
+    }
+
+    // Rebuilds and saves the profile, before a change to it
+    async function rebuild(callerId, now = new Date()) {
+        const profile = await buildProfile(callerId, now);
+        if (profile) await callersStore.upsert(profile);
+        return profile;
+    }
+
+    // An escalation is alerted once: again only for a later call that reaches a higher tier
+    function alreadyAlerted(profile, conversationId) {
+        const last = profile.trendAlerts[profile.trendAlerts.length - 1];
+        if (!last) return false;
+        if (last.conversationId === conversationId) return true;
+        return new Date(last.at).getTime() >= new Date(profile.trend.since).getTime()
+            && RISK_LEVELS.indexOf(last.to) >= RISK_LEVELS.indexOf(profile.trend.to);
+    }
+
+    /**
+     * Adds an analyzed conversation to its caller's profile. With `alert`, a worsening
+     * trend ending in this call raises an alert through `onEscalation`.
+     */
+    async function recordCall(conversation, { alert = true, now = new Date() } = {}) {
+        const callerId = callerIdOf(conversation);
+        if (!callerId) return null;
+        const profile = await rebuild(callerId, now);
+        if (!profile || !alert || !onEscalation || !profile.trend.escalating) return profile;
+        const latest = profile.calls.filter(c => c.tendency).pop();
+        if (latest?.conversationId !== conversation.id || alreadyAlerted(profile, conversation.id)) return profile;
+
+        console.log(`📈 Worsening risk trend for caller ${callerId}: ${profile.trend.summary}`);
+        const raised = await onEscalation(conversation, profile.trend, profile);
+        profile.trendAlerts = [...profile.trendAlerts, {
+            at: now.toISOString(),
+            conversationId: conversation.id,
+            alertId: raised?.id || null,
+            from: profile.trend.from,
+            to: profile.trend.to,
+            summary: profile.trend.summary,
+        }];
+        await callersStore.upsert(profile);
+        return profile;
+    }
+
+    /**
+     * Turns returning-caller memory off (or back on) for a caller.
+     * Returns the updated profile, or null when the caller has no calls.
+     */
+    async function setMemoryOptOut(callerId, optOut, { by = 'unknown' } = {}) {
+        const profile = await rebuild(callerId);
+        if (!profile) return null;
+        profile.memoryOptOut = !!optOut;
+        profile.memoryOptOutChangedAt = new Date().toISOString();
+        profile.memoryOptOutChangedBy = by;
+        await callersStore.upsert(profile);
+        return profile;
+    }
+
+    /**
+     * Remembers the language the caller picked, so later calls can skip the menu.
+     * Returns the updated profile, or null when the caller has no calls.
+     */
+    async function setPreferredLanguage(callerId, language) {
+        const profile = await rebuild(callerId);
+        if (!profile) return null;
+        profile.preferredLanguage = language;
+        await callersStore.upsert(profile);
+        return profile;
+    }
+
+    /**
+     * Sets `callerId` on conversations stored without one, so their calls show up in the
+     * caller's history. `save(conversation, before)` writes each one. Conversations that
+     * already have a caller id are left alone, so this is safe to run on every start.
+     * Returns how many conversations were updated.
+     */
+    async function backfillCallerIds({ save = conversation => conversationsStore.upsert(conversation) } = {}) {
+        let updated = 0;
+        for (const conversation of await conversationsStore.find()) {
+            if (conversation.callerId) continue;
+            const callerId = hashCallerNumber(conversation.from, cfg.hashSecret);
+            if (!callerId) continue;
+            await save({ ...conversation, callerId }, conversation);
+            updated += 1;
+        }
+        return updated;
+    }
+
+    return {
+        recordCall,
+        setMemoryOptOut,
+        setPreferredLanguage,
+        backfillCallerIds,
+        conversationsFor,
+        // Reads only: the stored profile is left as it is
+        get: callerId => buildProfile(callerId),
+        callerIdFor: phone => hashCallerNumber(phone, cfg.hashSecret),
+        config: cfg,
+    };
+}
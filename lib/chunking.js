@@ -0,0 +1,109 @@
+// Chunked analysis of long transcripts. Turns are packed into overlapping windows that
+// each fit the LLM prompt budget; every window is scored and analyzed on its own, and
+// the per-window results are merged into one call-level analysis plus a risk timeline.
+
+const RISK_ORDER = ['no', 'low', 'medium', 'high', 'severe'];
+const COUNSELLING_ORDER = ['no', 'advised', 'yes'];
+const CONFIDENCE_ORDER = ['low', 'medium', 'high'];
+const MAX_MERGED_PHRASES = 15;
+
+/**
+ * Reads chunking limits from environment variables.
+ */
+export function chunkConfigFromEnv(env = process.env) {
+    return {
+        maxChars: Math.max(1000, Number(env.LLM_CHUNK_MAX_CHARS || '12000')),
+        overlapTurns: Math.max(0, Number(env.LLM_CHUNK_OVERLAP_TURNS || '2')),
+    };
+}
+
+// Length of a turn once formatted as a "User: ..." transcript line
+const turnLength = turn => turn.text.length + 8;
+
+/**
+ * Breaks every turn longer than `maxChars` into parts that fit, cut at the last space
+ * before the limit (or mid-word when there is none in its second half). Parts keep the
+ * turn's role and start time. When anything was split, every returned turn carries the
+ * index of the turn it came from as `sourceTurn`.
+ */
+export function splitLongTurns(turns, maxChars) {
+    if (turns.every(turn => turnLength(turn) <= maxChars)) return turns;
+    const limit = maxChars - turnLength({ text: '' });
+    return turns.flatMap((turn, sourceTurn) => {
+        const parts = [];
+        let rest = turn.text;
+        while (rest.length > limit) {
+            const space = rest.lastIndexOf(' ', limit);
+            const cut = space > limit / 2 ? space : limit;
+            parts.push(rest.slice(0, cut));
+            rest = rest.slice(cut).trimStart();
+        }
+        if (rest || parts.length === 0) parts.push(rest);
+        return parts.map(text => ({ ...turn, text, sourceTurn }));
+    });
+}
+
+/**
+ * Splits turns into windows of at most `maxChars` transcript characters, each starting
+ * `overlapTurns` turns before the previous one ended so statements that span a
+ * boundary are seen whole. A single turn longer than `maxChars` gets a window of its own
+ * that is still too long, so run `splitLongTurns` first.
+ * Returns inclusive `{ start, end }` turn indexes; one window when everything fits.
+ */
+export function splitIntoWindows(turns, { maxChars, overlapTurns }) {
+    const windows = [];
+    let start = 0;
+    while (start < turns.length) {
+        let end = start;
+        let size = turnLength(turns[start]);
+        while (end + 1 < turns.length && size + turnLength(turns[end + 1]) <= maxChars) {
+            end += 1;
+            size += turnLength(turns[end]);
+        }
+        windows.push({ start, end });
+        if (end === turns.length - 1) break;
+        start = Math.max(end + 1 - overlapTurns, start + 1);
+    }
+    return windows;
+}
+
+const highest = (values, order) => values.reduce((best, v) => (order.indexOf(v) > order.indexOf(best) ? v : best), order[0]);
+
+/**
+ * Merges per-segment LLM analyses into one call-level analysis with the same fields
+ * as a single-pass analysis: the worst segment sets the risk level, counselling and
+ * narrative fields, phrases are pooled, and confidence is the lowest of any segment.
+ * Returns `{ error, failures }` when no segment produced an analysis.
+ */
+export function mergeSegmentAnalyses(segments) {
+    const ok = segments.filter(s => s.analysis && !s.analysis.error);
+    const failures = segments.flatMap(s => (s.analysis?.failures || []).map(f => ({ ...f, segment: s.index })));
+    const provider = segments.find(s => s.analysis?.provider)?.analysis.provider;
+    if (ok.length === 0) {
+        return { provider, error: segments.find(s => s.analysis?.error)?.analysis.error || 'No segment was analyzed', failures, segmentCount: segments.length };
+    }
+
+    const peak = ok.reduce((best, s) => (RISK_ORDER.indexOf(s.analysis.risk_level) > RISK_ORDER.indexOf(best.analysis.risk_level) ? s : best));
+    const phrases = [...new Set(ok.flatMap(s => s.analysis.concerning_phrases))].slice(0, MAX_MERGED_PHRASES);
+    const languageCounts = {};
+    for (const s of ok) languageCounts[s.analysis.language_used] = (languageCounts[s.analysis.language_used] || 0) + 1;
+    const language = Object.keys(languageCounts).reduce((a, b) => (languageCounts[b] > languageCounts[a] ? b : a));
+
+    return {
+        risk_level: peak.analysis.risk_level,
+        counseling_needed: highest(ok.map(s => s.analysis.counseling_needed), COUNSELLING_ORDER),
+        immediate_intervention: ok.some(s => s.analysis.immediate_intervention === 'yes') ? 'yes' : 'no',
+        emotional_state: peak.analysis.emotional_state,
+        concerning_phrases: phrases,
+        assessment_summary: ok.map(s => `Part ${s.index} (turns ${s.startTurn}–${s.endTurn}): ${s.analysis.assessment_summary}`).join('\n'),
+        confidence_level: ok.map(s => s.analysis.confidence_level).reduce((low, c) => (CONFIDENCE_ORDER.indexOf(c) < CONFIDENCE_ORDER.indexOf(low) ? c : low)),
+        language_used: language,
+        support_recommendations: peak.analysis.support_recommendations,
+        provider,
+        model: peak.analysis.model,
+        attempt: peak.analysis.attempt,
+        failures,
+        segmentCount: segments.length,
+        failedSegments: segments.length - ok.length,
+    };
+}
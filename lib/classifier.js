@@ -0,0 +1,292 @@
+import { reconcileRisk } from './reconcile.js';
+import { splitIntoWindows, splitLongTurns, mergeSegmentAnalyses, chunkConfigFromEnv } from './chunking.js';
+import { LANGUAGES } from './languages.js';
+
+// Risk classification of call transcripts: keyword/pattern scoring against the active
+// risk lexicon, optionally enriched by an LLM assessment. Shared by the server and
+// the test suite, so it takes its lexicon and LLM analyzer as arguments instead of
+// reading configuration itself.
+
+// Canonical form used for keyword matching. Transcripts are mostly Devanagari, so
+// spelling variants that ASR output mixes freely are folded together: nukta dropped
+// (ज़ → ज), chandrabindu → anusvara (हूँ → हूं), zero-width joiners removed. Common
+// romanized Hinglish spellings are folded the same way (hoon/hu → hun, nahin → nahi).
+export function normalizeForMatching(text) {
+    return String(text || '')
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/[\u200c\u200d]/g, '')
+        .replace(/\u093c/g, '')
+        .replace(/\u0901/g, '\u0902')
+        .replace(/\b(hoon|huun|hu)\b/g, 'hun')
+        .replace(/\b(nahin|nhi|nai)\b/g, 'nahi')
+        .replace(/\b(jindagi|zindgi|jindgi)\b/g, 'zindagi')
+        .replace(/\b(khatm|khtm)\b/g, 'khatam')
+        .replace(/\b(chahti|chahata)\b/g, 'chahta')
+        .replace(/[\u2018\u2019]/g, "'");
+}
+
+// Term matching works on whole tokens, so 'sad' doesn't fire inside other words.
+// A trailing '*' marks a stem ('खुद को मार*' also matches 'खुद को मारना').
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}]';
+const termPatternCache = new Map();
+function termPattern(term) {
+    if (!termPatternCache.has(term)) {
+        const stem = term.endsWith('*');
+        const escaped = normalizeForMatching(stem ? term.slice(0, -1) : term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        termPatternCache.set(term, new RegExp(`(?<!${WORD_CHAR})${escaped}${stem ? '' : `(?!${WORD_CHAR})`}`, 'gu'));
+    }
+    return termPatternCache.get(term);
+}
+
+// Negation handling. English negators precede the term ("I'm not depressed", "I would
+// never kill myself"); Hindi/Hinglish ones can also directly follow it ("tension nahi
+// hai", "उदास नहीं हूं"). The look-behind window stops at clause breaks so "not sure,
+// but I want to die" still counts, and at a new subject, since unpunctuated ASR text runs
+// clauses together ("mujhe koi nahi samajhta main marna chahta hun"). 'no' only negates
+// when directly adjacent. A following 'nahi to' means "otherwise", not a negation.
+// 'kabhi'/'कभी' means "sometimes/ever" on its own, so it is not a negator; "kabhi nahi"
+// is negated by its 'nahi'.
+const NEGATORS_BEFORE = new Set(['not', 'never', "don't", 'dont', "doesn't", "didn't", "isn't", "wasn't", "aren't", "won't", "wouldn't", 'nahi', 'mat', 'नहीं', 'मत']);
+const NEGATORS_AFTER = new Set(['nahi', 'mat', 'नहीं', 'मत']);
+// A negator belongs to the verb it precedes: in unpunctuated ASR text like "mujhe nahi
+// pata marna chahta hun" the 'nahi' negates "pata", not the risk term after it
+const NEGATION_BARRIERS = new Set(['pata', 'lagta', 'lagti', 'laga', 'hai', 'tha', 'thi', 'hota', 'hoti', 'know', 'पता', 'लगता', 'लगती', 'लगा', 'है', 'था', 'थी', 'होता', 'होती']);
+// Pronouns that start a new clause; a term starting with one ("I want to die") begins its own
+const CLAUSE_SUBJECTS = new Set(['i', 'main', 'mujhe', 'मैं', 'मुझे']);
+const OTHERWISE = new Set(['to', 'तो']);
+const NEGATION_WINDOW = 3;
+const CLAUSE_BREAK = new RegExp(`[.!?,;।]|(?<!${WORD_CHAR})(?:but|lekin|magar|लेकिन|मगर)(?!${WORD_CHAR})`, 'u');
+const TOKEN = new RegExp(`(?:${WORD_CHAR}|')+`, 'gu');
+
+export function isNegated(text, start, end) {
+    const term = text.slice(start, end).match(TOKEN) || [];
+    const window = CLAUSE_SUBJECTS.has(term[0]) ? [] : (text.slice(0, start).split(CLAUSE_BREAK).pop().match(TOKEN) || []).slice(-NEGATION_WINDOW);
+    const barrier = window.findLastIndex(token => NEGATION_BARRIERS.has(token) || CLAUSE_SUBJECTS.has(token));
+    const before = window.slice(barrier + 1);
+    if (before.some(token => NEGATORS_BEFORE.has(token))) return true;
+    // "no tension" is negated
+    if (before[before.length - 1] === 'no') return true;
+    const after = text.slice(end).split(CLAUSE_BREAK)[0].match(TOKEN) || [];
+    return NEGATORS_AFTER.has(after[0]) && !OTHERWISE.has(after[1]);
+}
+
+// Occurrences of a term that sit inside a harmless phrase ("calm down") are ignored
+function isExcludedContext(text, start, end, phrases = []) {
+    return phrases.some(phrase => {
+        for (const match of text.matchAll(termPattern(phrase))) {
+            if (match.index <= start && match.index + match[0].length >= end) return true;
+        }
+        return false;
+    });
+}
+
+// Splits a stored "User:"/"Agent:" transcript back into turns. Lines without a
+// speaker prefix continue the previous turn (multi-line messages).
+export function parseTranscript(transcriptText) {
+    const messages = [];
+    for (const line of String(transcriptText || '').split('\n')) {
+        const match = line.match(/^(User|Agent):\s?(.*)$/);
+        if (match) messages.push({ role: match[1] === 'User' ? 'user' : 'agent', text: match[2] });
+        else if (messages.length > 0) messages[messages.length - 1].text += `\n${line}`;
+    }
+    return messages;
+}
+
+/**
+ * Formats conversation turns into a "User:"/"Agent:" transcript.
+ */
+export function formatTranscript(messages) {
+    return messages
+        .map(msg => `${msg.role === 'user' ? 'User' : 'Agent'}: ${msg.text}`)
+        .join('\n');
+}
+
+// Keyword + pattern scoring over conversation turns (or a stored transcript string),
+// using the terms, weights and thresholds of the active risk lexicon.
+// Only the caller's turns are scored, so the agent asking "are you thinking about
+// suicide?" doesn't count against the caller. Each detected term records the 1-based
+// turn it first appeared in plus every caller turn that contained it. Terms that only
+// ever appeared negated are reported in `negatedTerms` and add nothing to the score.
+// Cheap and synchronous, so it also runs on partial transcripts while a call is still
+// in progress.
+export function scoreTranscriptKeywords(transcript, lexicon) {
+    const messages = typeof transcript === 'string' ? parseTranscript(transcript) : (transcript || []);
+    const callerTurns = messages
+        .map((msg, i) => ({ role: msg.role, turn: i + 1, text: normalizeForMatching(msg.text) }))
+        .filter(msg => msg.role === 'user');
+    let score = 0;
+    let detectedTerms = [];
+    let negatedTerms = [];
+    // `findAll(text)` yields regex matches for the term or pattern in one turn
+    const detect = (term, category, points, findAll, exclusions) => {
+        const turns = [];
+        const negatedTurns = [];
+        for (const msg of callerTurns) {
+            for (const match of findAll(msg.text)) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (isExcludedContext(msg.text, start, end, exclusions)) continue;
+                if (isNegated(msg.text, start, end)) {
+                    if (!negatedTurns.includes(msg.turn)) negatedTurns.push(msg.turn);
+                } else if (!turns.includes(msg.turn)) {
+                    turns.push(msg.turn);
+                }
+            }
+        }
+        if (turns.length > 0) {
+            score += points;
+            detectedTerms.push({ term, category, turn: turns[0], turns });
+        } else if (negatedTurns.length > 0) {
+            negatedTerms.push({ term, category, turn: negatedTurns[0], turns: negatedTurns });
+        }
+    };
+    const has = (term, category, points) => detect(term.replace(/\*$/, ''), category, points, text => text.matchAll(termPattern(term)), lexicon.contextExclusions[term]);
+    
+    for (const category of lexicon.categories) {
+        category.terms.forEach(term => has(term, category.name, category.weight));
+    }
+    const { patterns, thresholds } = lexicon;
+    patterns.list.forEach(pattern => detect(patterns.term, patterns.category, patterns.weight, text => text.matchAll(pattern)));
+    
+    let tendency = 'no';
+    if (score >= thresholds.severe) tendency = 'severe'; else if (score >= thresholds.high) tendency = 'high'; else if (score >= thresholds.medium) tendency = 'medium'; else if (score >= thresholds.low) tendency = 'low';
+    
+    let needsCounselling = 'no';
+    if (tendency === 'severe' || tendency === 'high') needsCounselling = 'yes'; else if (tendency === 'medium') needsCounselling = 'advised';
+
+    return {
+        tendency,
+        needsCounselling,
+        score,
+        detectedTerms,
+        negatedTerms,
+        lexiconVersion: lexicon.version,
+        immediateIntervention: tendency === 'severe' || detectedTerms.some(t => t.category === 'critical_severe'),
+    };
+}
+
+// `part` is set when the transcript is one window of a longer, chunked call; `language`
+// is the call language the caller chose (see lib/languages.js)
+function buildAnalysisPrompt(transcriptText, { part = null, language = null } = {}) {
+    const partNote = part ? `
+        This is part ${part.index} of ${part.count} of a longer call (turns ${part.startTurn}–${part.endTurn}). Assess only this part; its first turns may repeat the end of the previous part.` : '';
+    const languageNote = LANGUAGES[language]
+        ? `The caller chose ${LANGUAGES[language].name} for this call, so expect mostly ${LANGUAGES[language].name}, possibly mixed with Hindi or English.`
+        : 'The conversation is primarily in Hindi.';
+    return `
+        Analyze the following conversation transcript for mental health risks. The user is talking to a supportive friend AI named Arjun.${partNote}
+        ${languageNote} Lines starting with "User:" are the caller and lines starting with "Agent:" are Arjun; base the assessment on what the caller says, not on Arjun's questions.
+        Provide your analysis as a JSON object only.
+        
+        The JSON object must have these exact keys:
+        - "risk_level": (string) Classify the risk as "no", "low", "medium", "high", or "severe".
+        - "counseling_needed": (string) Recommend counseling as "no", "advised", or "yes".
+        - "immediate_intervention": (string) State "yes" if there are signs of immediate self-harm plans, otherwise "no".
+        - "emotional_state": (string) A brief description of the user's likely emotional state (e.g., "Stressed and overwhelmed", "Feeling lonely and sad", "Exhibiting signs of severe depression").
+        - "concerning_phrases": (array of strings) Extract up to 5 direct quotes from the user that are most concerning.
+        - "assessment_summary": (string) A concise one-paragraph summary of your analysis and the reasoning for the risk level.
+        - "confidence_level": (string) Your confidence in this analysis ("low", "medium", "high").
+        - "language_used": (string) The primary language detected ("hindi", "english", "hinglish", "marathi", "tamil", "bengali", or "other").
+        - "support_recommendations": (string) Suggest one brief, actionable step for the support agent (e.g., "Advise professional help", "Continue to listen and provide support", "Gently probe about their support system").
+        
+        Transcript:
+        ---
+        ${transcriptText}
+        ---
+    `;
+}
+
+/**
+ * @param {object} opts
+ * @param {() => object} opts.getLexicon - returns the compiled lexicon to score against
+ * @param {{ analyze: (prompt: string) => Promise<object> }} [opts.analyzer] - LLM analyzer
+ *   (see lib/llmAnalysis.js); the LLM step is skipped without one
+ * @param {object} [opts.reconcile] - reconciliation policy overrides (see lib/reconcile.js)
+ * @param {object} [opts.chunking] - window size/overlap overrides (see lib/chunking.js)
+ */
+export function createClassifier({ getLexicon, analyzer = null, reconcile = {}, chunking = {} }) {
+    const chunkConfig = { ...chunkConfigFromEnv({}), ...chunking };
+
+    // Scores and analyzes each window of a long call separately. Returns the merged LLM
+    // analysis (null without an analyzer) and the per-segment risk timeline.
+    async function analyzeInWindows(turns, windows, language) {
+        const segments = [];
+        // Turn numbers of the call, also when a long turn was split into parts
+        const turnNumber = index => (turns[index].sourceTurn ?? index) + 1;
+        for (const [i, window] of windows.entries()) {
+            const windowTurns = turns.slice(window.start, window.end + 1);
+            const part = { index: i + 1, count: windows.length, startTurn: turnNumber(window.start), endTurn: turnNumber(window.end) };
+            const keyword = scoreTranscriptKeywords(windowTurns, getLexicon());
+            const analysis = analyzer ? await analyzer.analyze(buildAnalysisPrompt(formatTranscript(windowTurns), { part, language })) : null;
+            if (analysis?.error) console.warn(`${analyzer.provider} analysis of part ${part.index}/${part.count} failed:`, analysis.error);
+            segments.push({
+                ...part,
+                startSeconds: turns[window.start].startSeconds ?? null,
+                endSeconds: (turns[window.end + 1] || turns[window.end]).startSeconds ?? null,
+                keywordTendency: keyword.tendency,
+                keywordScore: keyword.score,
+                analysis,
+            });
+        }
+        const riskTimeline = segments.map(({ count, analysis, ...segment }) => ({
+            ...segment,
+            riskLevel: analysis && !analysis.error ? analysis.risk_level : null,
+            emotionalState: analysis?.emotional_state || null,
+            concerningPhrases: analysis?.concerning_phrases || [],
+            immediateIntervention: analysis?.immediate_intervention === 'yes',
+            error: analysis?.error || null,
+        }));
+        return { geminiAnalysis: analyzer ? mergeSegmentAnalyses(segments) : null, riskTimeline };
+    }
+
+    // Enhanced Risk Classification with an LLM. Accepts conversation turns or a stored
+    // "User:"/"Agent:" transcript string. The LLM result is returned as `geminiAnalysis`
+    // whichever provider produced it, so stored records keep one shape. `language` is
+    // the call language code, passed on to the LLM prompt.
+    async function classifyRiskAndCounselling(transcript, { language = null } = {}) {
+        const transcriptText = typeof transcript === 'string' ? transcript : formatTranscript(transcript || []);
+        const keyword = scoreTranscriptKeywords(transcript, getLexicon());
+        const { score, detectedTerms, negatedTerms, lexiconVersion, immediateIntervention } = keyword;
+
+        let geminiAnalysis = null;
+        let riskTimeline = null;
+        const turns = splitLongTurns(typeof transcript === 'string' ? parseTranscript(transcript) : (transcript || []), chunkConfig.maxChars);
+        const windows = splitIntoWindows(turns, chunkConfig);
+        // --- ✅ LLM Analysis Logic ---
+        if (windows.length > 1) {
+            console.log(`🧩 Long transcript: analyzing ${windows.length} overlapping parts...`);
+            ({ geminiAnalysis, riskTimeline } = await analyzeInWindows(turns, windows, language));
+        } else if (analyzer && transcriptText && transcriptText.trim().length > 50) { // Only run for reasonably long transcripts
+            console.log(`🤖 Starting ${analyzer.provider} analysis...`);
+            geminiAnalysis = await analyzer.analyze(buildAnalysisPrompt(transcriptText, { language }));
+            if (geminiAnalysis.error) console.warn(`${analyzer.provider} classification failed:`, geminiAnalysis.error);
+            else console.log(`✅ ${analyzer.provider} analysis successful (${geminiAnalysis.model}, attempt ${geminiAnalysis.attempt}).`);
+        }
+
+        // The stored tendency is the reconciled one; the keyword tier is kept alongside it
+        const riskDecision = reconcileRisk(keyword, geminiAnalysis, reconcile);
+        const tendency = riskDecision.finalTendency;
+        const review = (() => { if (tendency === 'severe') return `🚨 SEVERE RISK DETECTED...`; if (tendency === 'high') return `⚠️ HIGH RISK...`; if (tendency === 'medium') return `⚡ MODERATE CONCERN...`; if (tendency === 'low') return `💭 MILD DISTRESS...`; return 'No significant risk indicators detected.'; })();
+        
+        return {
+            tendency,
+            needsCounselling: riskDecision.needsCounselling,
+            keywordTendency: keyword.tendency,
+            riskDecision,
+            review,
+            score,
+            detectedTerms,
+            negatedTerms,
+            lexiconVersion,
+            geminiAnalysis,
+            riskTimeline,
+            immediateIntervention: immediateIntervention || tendency === 'severe' || (geminiAnalysis?.immediate_intervention === 'yes')
+        };
+    }
+
+    return {
+        classifyRiskAndCounselling,
+        scoreTranscriptKeywords: transcript => scoreTranscriptKeywords(transcript, getLexicon()),
+    };
+}
@@ -0,0 +1,52 @@
+import twilio from 'twilio';
+import { LANGUAGES } from './languages.js';
+
+// Recording consent. Before the call is connected the caller hears that they'll talk to
+// an AI assistant and that the call may be recorded and analyzed, in the language they
+// chose, and answers with a keypress. Declining still connects the call, with Ultravox
+// recording turned off.
+
+export const CONSENT_STATUSES = ['granted', 'declined', 'no_response'];
+const CONSENT_DIGITS = { 1: 'granted', 2: 'declined' };
+
+/**
+ * Reads the consent prompt settings from environment variables. Off unless
+ * CONSENT_ENABLED=true.
+ */
+export function consentConfigFromEnv(env = process.env) {
+    return {
+        enabled: env.CONSENT_ENABLED === 'true',
+        timeoutSeconds: Number(env.CONSENT_TIMEOUT_SECONDS || '8'),
+        // Whether a caller who presses nothing is recorded
+        recordOnNoResponse: env.CONSENT_RECORD_ON_NO_RESPONSE === 'true',
+    };
+}
+
+/**
+ * TwiML that reads the disclosure in `language` and posts the keypress to `action`.
+ * Without a keypress Twilio falls through to a redirect without `Digits`.
+ */
+export function buildConsentTwiml(language, { action, timeoutSeconds = 8 }) {
+    const { say, disclosure } = LANGUAGES[language] || LANGUAGES.en;
+    const twiml = new twilio.twiml.VoiceResponse();
+    const gather = twiml.gather({ numDigits: 1, action, method: 'POST', timeout: timeoutSeconds });
+    gather.say(say, disclosure);
+    twiml.redirect({ method: 'POST' }, action);
+    return twiml.toString();
+}
+
+/**
+ * The caller's consent decision from the keypress, as stored on the conversation.
+ * Any key other than 1 (agree) counts as declining; no key at all is `no_response`.
+ */
+export function consentDecision(digits, config = {}, now = new Date()) {
+    const cfg = { ...consentConfigFromEnv({}), ...config };
+    const key = String(digits || '').trim();
+    const status = key ? CONSENT_DIGITS[key] || 'declined' : 'no_response';
+    return {
+        status,
+        recordingEnabled: status === 'granted' || (status === 'no_response' && cfg.recordOnNoResponse),
+        digits: key || null,
+        decidedAt: now.toISOString(),
+    };
+}
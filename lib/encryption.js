@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Field-level envelope encryption for stored records. Each write gets a fresh data key;
+// the sensitive fields are sealed with it (AES-256-GCM, bound to the record id and field
+// name) and the data key is stored wrapped by a key-encryption key from a key provider.
+// The local provider keeps key-encryption keys in a file; a KMS provider only needs the
+// same `currentKeyId` / `wrapKey` / `unwrapKey` methods. Rotation re-wraps data keys
+// under the current key without touching the sealed fields.
+
+// Conversation fields holding the caller's number, their words or links to the audio.
+// The agent's risk flags and transfer reasons paraphrase what the caller said.
+export const CONVERSATION_FIELDS = ['from', 'transcript', 'originalTranscript', 'raw', 'summary', 'geminiAnalysis', 'riskTimeline', 'toolCalls', 'callbacks', 'recordingUrl', 'fallback', 'agentRiskFlags', 'transfers'];
+// Alert messages quote the caller's number
+export const ALERT_FIELDS = ['message'];
+// Caller profiles copy each call's emotional state out of the analysis
+export const CALLER_FIELDS = ['calls'];
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+const DATA_KEY_CACHE_SIZE = 1000;
+
+/**
+ * Reads the key file location from environment variables. Encryption is off without one.
+ */
+export function encryptionConfigFromEnv(env = process.env) {
+    return { keyFile: env.ENCRYPTION_KEY_FILE || '' };
+}
+
+// A new random 256-bit key, base64-encoded for the key file
+export function generateKey() {
+    return crypto.randomBytes(32).toString('base64');
+}
+
+function seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    if (aad) cipher.setAAD(Buffer.from(aad));
+    const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join(':');
+}
+
+function open(key, sealed, aad) {
+    const [iv, tag, data] = String(sealed).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    if (aad) decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+/**
+ * Key provider backed by a JSON key file: `{ "current": "2026-10", "keys": { "2026-10": "<base64 key>" } }`.
+ * Older keys stay in the file until every record has been rotated off them.
+ */
+export function createLocalKeyProvider({ file, readFile = path => fs.readFileSync(path, 'utf-8') }) {
+    let current;
+    let keys;
+
+    function load() {
+        const parsed = JSON.parse(readFile(file));
+        const loaded = new Map(Object.entries(parsed.keys || {}).map(([id, value]) => [id, Buffer.from(String(value), 'base64')]));
+        for (const [id, key] of loaded) {
+            if (key.length !== 32) throw new Error(`Encryption key "${id}" in ${file} must be 32 bytes (base64)`);
+        }
+        if (!loaded.has(parsed.current)) throw new Error(`Encryption key file ${file} has no key for current id "${parsed.current}"`);
+        current = parsed.current;
+        keys = loaded;
+    }
+    load();
+
+    return {
+        name: 'local',
+        reload: load,
+        currentKeyId: () => current,
+        async wrapKey(dataKey) {
+            return { keyId: current, wrappedKey: seal(keys.get(current), dataKey, current) };
+        },
+        async unwrapKey({ keyId, wrappedKey }) {
+            const key = keys.get(keyId);
+            if (!key) throw new Error(`Unknown encryption key "${keyId}"`);
+            return open(key, wrappedKey, keyId);
+        },
+    };
+}
+
+/**
+ * Encrypts and decrypts the listed fields of records that have an `id`.
+ * @param {object} opts
+ * @param {object} opts.keyProvider - see createLocalKeyProvider
+ * @param {string[]} opts.fields
+ */
+export function createFieldCipher({ keyProvider, fields }) {
+    const dataKeys = new Map();
+
+    async function unwrap(envelope) {
+        const cacheKey = `${envelope.keyId}:${envelope.wrappedKey}`;
+        if (!dataKeys.has(cacheKey)) {
+            if (dataKeys.size >= DATA_KEY_CACHE_SIZE) dataKeys.delete(dataKeys.keys().next().value);
+            dataKeys.set(cacheKey, await keyProvider.unwrapKey(envelope));
+        }
+        return dataKeys.get(cacheKey);
+    }
+
+    /**
+     * Returns a copy with the sensitive fields sealed and the wrapped data key under
+     * `_encryption`. Records that couldn't be decrypted are refused, so a write never
+     * replaces ciphertext with the stripped copy.
+     */
+    async function encryptRecord(record) {
+        if (record.encryptionLocked) throw new Error(`Record ${record.id} could not be decrypted and can't be written back`);
+        const present = fields.filter(field => record[field] !== undefined && record[field] !== null);
+        const { encryptionLocked, encryptionError, ...rest } = record;
+        if (present.length === 0) return { ...rest, _encryption: null };
+        const dataKey = crypto.randomBytes(32);
+        const sealed = { ...rest };
+        for (const field of present) {
+            sealed[field] = `${PREFIX}${seal(dataKey, JSON.stringify(record[field]), `${record.id}:${field}`)}`;
+        }
+        sealed._encryption = { ...(await keyProvider.wrapKey(dataKey)), fields: present };
+        return sealed;
+    }
+
+    /**
+     * Returns the plaintext record. Records written before encryption was turned on
+     * pass through; records whose key is missing come back without the sealed fields and
+     * with `encryptionLocked` set.
+     */
+    async function decryptRecord(record) {
+        if (!record?._encryption) {
+            if (record && '_encryption' in record) {
+                const { _encryption, ...plain } = record;
+                return plain;
+            }
+            return record;
+        }
+        const { _encryption: envelope, ...plain } = record;
+        try {
+            const dataKey = await unwrap(envelope);
+            for (const field of envelope.fields) {
+                const sealed = String(record[field] || '');
+                if (!sealed.startsWith(PREFIX)) continue;
+                plain[field] = JSON.parse(open(dataKey, sealed.slice(PREFIX.length), `${record.id}:${field}`).toString('utf-8'));
+            }
+            return plain;
+        } catch (error) {
+            console.error(`🔐 Could not decrypt record ${record.id}:`, error.message);
+            for (const field of envelope.fields) delete plain[field];
+            return { ...plain, encryptionLocked: true, encryptionError: error.message };
+        }
+    }
+
+    /**
+     * Brings a stored record onto the current key: encrypted records get their data key
+     * re-wrapped, plaintext ones are encrypted. Returns null when nothing needs changing.
+     */
+    async function rewrapRecord(record) {
+        const envelope = record._encryption;
+        if (envelope === undefined || (envelope === null && fields.some(f => record[f] !== undefined && record[f] !== null))) {
+            return encryptRecord(record);
+        }
+        if (!envelope || envelope.keyId === keyProvider.currentKeyId()) return null;
+        const dataKey = await unwrap(envelope);
+        return { ...record, _encryption: { ...(await keyProvider.wrapKey(dataKey)), fields: envelope.fields } };
+    }
+
+    return { encryptRecord, decryptRecord, rewrapRecord, keyProvider };
+}
+
+/**
+ * Store collection wrapper (same interface as lib/store.js) that encrypts on write and
+ * decrypts on read, whichever backend is underneath. Without a cipher the collection
+ * is returned unchanged.
+ */
+export function encryptedCollection(collection, cipher) {
+    if (!cipher) return collection;
+    return {
+        async upsert(record) {
+            await collection.upsert(await cipher.encryptRecord(record));
+            return record;
+        },
+        async find(filter = {}, options = {}) {
+            return Promise.all((await collection.find(filter, options)).map(cipher.decryptRecord));
+        },
+        async findOne(filter) {
+            return cipher.decryptRecord(await collection.findOne(filter));
+        },
+        remove: filter => collection.remove(filter),
+
+        // Re-wraps every stored record under the current key (and encrypts plaintext ones)
+        async rotate() {
+            let rotated = 0;
+            let failed = 0;
+            for (const stored of await collection.find()) {
+                try {
+                    const updated = await cipher.rewrapRecord(stored);
+                    if (!updated) continue;
+                    await collection.upsert(updated);
+                    rotated += 1;
+                } catch (error) {
+                    console.error(`🔐 Could not rotate record ${stored.id}:`, error.message);
+                    failed += 1;
+                }
+            }
+            return { rotated, failed, keyId: cipher.keyProvider.currentKeyId() };
+        },
+    };
+}
@@ -0,0 +1,97 @@
+import twilio from 'twilio';
+import { LANGUAGES } from './languages.js';
+
+// Fallback routing for calls the agent can't take. When the Ultravox call can't be
+// created, creation is retried once; if that fails too the caller is dialled through to
+// a human helpline, and if nobody answers they can leave a voicemail. Each step can be
+// left out of the chain.
+
+export const FALLBACK_STEPS = ['retry', 'dial', 'voicemail'];
+const CONNECTED_DIAL_STATUSES = ['completed', 'answered'];
+
+/**
+ * Reads the fallback chain from environment variables. The dial step uses
+ * FALLBACK_DIAL_NUMBER, or the counsellor transfer number when that isn't set.
+ */
+export function fallbackConfigFromEnv(env = process.env) {
+    const listed = String(env.FALLBACK_CHAIN ?? FALLBACK_STEPS.join(',')).split(',').map(s => s.trim());
+    return {
+        chain: FALLBACK_STEPS.filter(step => listed.includes(step)),
+        retryDelayMs: Number(env.FALLBACK_RETRY_DELAY_MS || '500'),
+        dialNumber: env.FALLBACK_DIAL_NUMBER || env.COUNSELLOR_TRANSFER_NUMBER || '',
+        dialTimeoutSeconds: Number(env.FALLBACK_DIAL_TIMEOUT_SECONDS || '25'),
+        voicemailMaxSeconds: Number(env.FALLBACK_VOICEMAIL_MAX_SECONDS || '120'),
+    };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs `create`, and once more after `retryDelayMs` if it throws and the chain has the
+ * retry step. Returns `{ result, attempts }`; the last error is thrown with `attempts` set.
+ */
+export async function createWithRetry(create, config = {}, { wait = sleep } = {}) {
+    const cfg = { ...fallbackConfigFromEnv({}), ...config };
+    const maxAttempts = cfg.chain.includes('retry') ? 2 : 1;
+    for (let attempt = 1; ; attempt += 1) {
+        try {
+            return { result: await create(), attempts: attempt };
+        } catch (error) {
+            if (attempt >= maxAttempts) {
+                error.attempts = attempt;
+                throw error;
+            }
+            console.warn(`Ultravox call creation failed (attempt ${attempt}); retrying:`, error.message);
+            await wait(cfg.retryDelayMs);
+        }
+    }
+}
+
+const lines = language => LANGUAGES[language] || LANGUAGES.en;
+
+/**
+ * TwiML for a caller whose agent call couldn't be created: dial the helpline (the
+ * outcome is posted to `dialAction`), or go straight to voicemail, or apologise and hang
+ * up when the chain has neither.
+ */
+export function buildFallbackTwiml(language, config, { dialAction, voicemailAction }) {
+    const { say, unavailable } = lines(language);
+    if (config.chain.includes('dial') && config.dialNumber) {
+        const twiml = new twilio.twiml.VoiceResponse();
+        twiml.say(say, unavailable);
+        twiml.dial({ action: dialAction, method: 'POST', timeout: config.dialTimeoutSeconds }, config.dialNumber);
+        return twiml.toString();
+    }
+    if (config.chain.includes('voicemail')) return buildVoicemailTwiml(language, config, { action: voicemailAction });
+    const twiml = new twilio.twiml.VoiceResponse();
+    twiml.say({ voice: 'alice', language: 'en-IN' }, 'We are experiencing difficulty connecting your call. Please try again shortly.');
+    twiml.hangup();
+    return twiml.toString();
+}
+
+/**
+ * TwiML that records a voicemail; the recording is posted to `action`.
+ */
+export function buildVoicemailTwiml(language, config, { action }) {
+    const { say, voicemail } = lines(language);
+    const twiml = new twilio.twiml.VoiceResponse();
+    twiml.say(say, voicemail);
+    twiml.record({ action, method: 'POST', maxLength: config.voicemailMaxSeconds, playBeep: true });
+    return twiml.toString();
+}
+
+/**
+ * TwiML that thanks the caller (after a voicemail, or when the chain ends) and hangs up.
+ */
+export function buildGoodbyeTwiml(language, { voicemailLeft = true } = {}) {
+    const { say, voicemailThanks } = lines(language);
+    const twiml = new twilio.twiml.VoiceResponse();
+    if (voicemailLeft) twiml.say(say, voicemailThanks);
+    twiml.hangup();
+    return twiml.toString();
+}
+
+// True when the helpline picked up (Twilio's `DialCallStatus`)
+export function dialConnected(dialCallStatus) {
+    return CONNECTED_DIAL_STATUSES.includes(dialCallStatus);
+}
@@ -0,0 +1,35 @@
+// Crisis helplines the agent can share with callers via the lookupHelplines tool.
+// Keys are lowercase region names; `national` is always appended to regional results.
+
+export const HELPLINES = {
+    national: [
+        { name: 'Tele-MANAS (Government of India)', phone: '14416', hours: '24x7', languages: ['hindi', 'english', 'regional'] },
+        { name: 'KIRAN Mental Health Helpline', phone: '1800-599-0019', hours: '24x7', languages: ['hindi', 'english', 'regional'] },
+        { name: 'Emergency Services', phone: '112', hours: '24x7', languages: ['all'] },
+    ],
+    maharashtra: [
+        { name: 'AASRA', phone: '+91-9820466726', hours: '24x7', languages: ['hindi', 'english', 'marathi'] },
+        { name: 'iCall (TISS)', phone: '+91-9152987821', hours: 'Mon-Sat, 10am-8pm', languages: ['hindi', 'english', 'marathi'] },
+    ],
+    'tamil nadu': [
+        { name: 'Sneha Foundation', phone: '044-24640050', hours: '24x7', languages: ['tamil', 'english'] },
+    ],
+};
+
+// Common city names mapped to their state entry
+const ALIASES = {
+    mumbai: 'maharashtra',
+    pune: 'maharashtra',
+    chennai: 'tamil nadu',
+    tamilnadu: 'tamil nadu',
+};
+
+/**
+ * Returns regional helplines (if known) followed by the national ones.
+ */
+export function lookupHelplines(region) {
+    const key = String(region || '').trim().toLowerCase();
+    const resolved = HELPLINES[key] ? key : ALIASES[key];
+    const regional = resolved && resolved !== 'national' ? HELPLINES[resolved] : [];
+    return { region: resolved || 'national', helplines: [...regional, ...HELPLINES.national] };
+}
@@ -0,0 +1,139 @@
+import twilio from 'twilio';
+
+// Call languages. The caller picks one from a short IVR menu at the start of the call
+// (or it comes from their earlier calls); the choice selects the agent's language block
+// in the system prompt, the voice, the keyword lexicon and the language hint in the LLM
+// analysis prompt. `disclosure` is the recording notice read before connecting (see
+// lib/consent.js); `unavailable` and the voicemail lines are used when the agent can't be
+// reached (see lib/fallback.js).
+
+export const LANGUAGES = {
+    hi: {
+        name: 'Hindi',
+        analysisName: 'hindi',
+        say: { language: 'hi-IN', voice: 'Google.hi-IN-Standard-A' },
+        menu: 'हिंदी के लिए {digit} दबाएं।',
+        instruction: 'IMPORTANT: You must speak in Hindi throughout the entire conversation. Only use English if the caller specifically requests it. Use a casual, friendly tone in Hindi.',
+        disclosure: 'आप एक AI सहायक से बात करने वाले हैं। आपकी सुरक्षा के लिए इस कॉल को रिकॉर्ड और विश्लेषित किया जा सकता है। सहमति के लिए 1 दबाएं, या बिना रिकॉर्डिंग के जारी रखने के लिए 2 दबाएं।',
+        unavailable: 'माफ़ कीजिए, अभी हम आपको हमारे सहायक से नहीं जोड़ पा रहे हैं। कृपया लाइन पर बने रहें, हम आपको एक काउंसलर से जोड़ रहे हैं।',
+        voicemail: 'कृपया बीप के बाद अपना संदेश और आपसे संपर्क करने का तरीका बताएं। हम आपको वापस कॉल करेंगे।',
+        voicemailThanks: 'आपके संदेश के लिए धन्यवाद। हम जल्द ही आपको कॉल करेंगे।',
+        greeting: 'हिंदी में अपना परिचय दें: "नमस्ते, मैं {name} हूँ। आज आप कैसे हैं? आप किस बारे में बात करना चाहेंगे?"',
+    },
+    mr: {
+        name: 'Marathi',
+        analysisName: 'marathi',
+        say: { language: 'mr-IN', voice: 'Google.mr-IN-Standard-A' },
+        menu: 'मराठीसाठी {digit} दाबा.',
+        instruction: 'IMPORTANT: You must speak in Marathi throughout the entire conversation. If the caller switches to Hindi or English, follow them. Use a casual, friendly tone in Marathi.',
+        disclosure: 'तुम्ही एका AI सहाय्यकाशी बोलणार आहात. तुमच्या सुरक्षिततेसाठी हा कॉल रेकॉर्ड आणि विश्लेषित केला जाऊ शकतो. संमतीसाठी 1 दाबा, किंवा रेकॉर्डिंगशिवाय पुढे जाण्यासाठी 2 दाबा.',
+        unavailable: 'माफ करा, सध्या आम्ही तुम्हाला आमच्या सहाय्यकाशी जोडू शकत नाही. कृपया लाइनवर राहा, आम्ही तुम्हाला समुपदेशकाशी जोडत आहोत.',
+        voicemail: 'कृपया बीपनंतर तुमचा संदेश आणि तुमच्याशी संपर्क कसा साधायचा ते सांगा. आम्ही तुम्हाला परत कॉल करू.',
+        voicemailThanks: 'तुमच्या संदेशाबद्दल धन्यवाद. आम्ही लवकरच तुम्हाला कॉल करू.',
+        greeting: 'मराठीत स्वतःची ओळख करून द्या: "नमस्कार, मी {name}. आज तुम्ही कसे आहात? तुम्हाला कशाबद्दल बोलायला आवडेल?"',
+    },
+    ta: {
+        name: 'Tamil',
+        analysisName: 'tamil',
+        say: { language: 'ta-IN', voice: 'Google.ta-IN-Standard-A' },
+        menu: 'தமிழுக்கு {digit} ஐ அழுத்தவும்.',
+        instruction: 'IMPORTANT: You must speak in Tamil throughout the entire conversation. If the caller switches to English, follow them. Use a casual, friendly tone in Tamil.',
+        disclosure: 'நீங்கள் ஒரு AI உதவியாளருடன் பேசப் போகிறீர்கள். உங்கள் பாதுகாப்பிற்காக இந்த அழைப்பு பதிவு செய்யப்பட்டு பகுப்பாய்வு செய்யப்படலாம். ஒப்புக்கொள்ள 1 ஐ அழுத்தவும், அல்லது பதிவு இல்லாமல் தொடர 2 ஐ அழுத்தவும்.',
+        unavailable: 'மன்னிக்கவும், இப்போது உங்களை எங்கள் உதவியாளருடன் இணைக்க முடியவில்லை. தயவுசெய்து காத்திருங்கள், உங்களை ஒரு ஆலோசகருடன் இணைக்கிறோம்.',
+        voicemail: 'பீப் ஒலிக்குப் பிறகு உங்கள் செய்தியையும் உங்களைத் தொடர்பு கொள்ளும் வழியையும் சொல்லுங்கள். நாங்கள் உங்களைத் திரும்ப அழைப்போம்.',
+        voicemailThanks: 'உங்கள் செய்திக்கு நன்றி. விரைவில் உங்களை அழைப்போம்.',
+        greeting: 'தமிழில் உங்களை அறிமுகப்படுத்துங்கள்: "வணக்கம், நான் {name}. இன்று நீங்கள் எப்படி இருக்கிறீர்கள்? நீங்கள் எதைப் பற்றி பேச விரும்புகிறீர்கள்?"',
+    },
+    bn: {
+        name: 'Bengali',
+        analysisName: 'bengali',
+        say: { language: 'bn-IN', voice: 'Google.bn-IN-Standard-A' },
+        menu: 'বাংলার জন্য {digit} টিপুন।',
+        instruction: 'IMPORTANT: You must speak in Bengali throughout the entire conversation. If the caller switches to Hindi or English, follow them. Use a casual, friendly tone in Bengali.',
+        disclosure: 'আপনি একটি AI সহকারীর সাথে কথা বলতে চলেছেন। আপনার সুরক্ষার জন্য এই কলটি রেকর্ড ও বিশ্লেষণ করা হতে পারে। সম্মতি দিতে 1 টিপুন, অথবা রেকর্ডিং ছাড়া চালিয়ে যেতে 2 টিপুন।',
+        unavailable: 'দুঃখিত, এই মুহূর্তে আমরা আপনাকে আমাদের সহকারীর সাথে যুক্ত করতে পারছি না। অনুগ্রহ করে লাইনে থাকুন, আমরা আপনাকে একজন কাউন্সেলরের সাথে যুক্ত করছি।',
+        voicemail: 'বিপের পরে আপনার বার্তা এবং আপনার সাথে যোগাযোগের উপায় বলুন। আমরা আপনাকে ফিরে কল করব।',
+        voicemailThanks: 'আপনার বার্তার জন্য ধন্যবাদ। আমরা শীঘ্রই আপনাকে কল করব।',
+        greeting: 'বাংলায় নিজের পরিচয় দিন: "নমস্কার, আমি {name}। আজ আপনি কেমন আছেন? আপনি কী নিয়ে কথা বলতে চান?"',
+    },
+    en: {
+        name: 'English',
+        analysisName: 'english',
+        say: { language: 'en-IN', voice: 'Google.en-IN-Standard-A' },
+        menu: 'For English, press {digit}.',
+        instruction: 'IMPORTANT: Speak in simple, warm English throughout the conversation. If the caller switches to Hindi or another Indian language, follow them.',
+        disclosure: 'You are about to speak with an AI assistant. To help keep you safe, this call may be recorded and analyzed. Press 1 to agree, or press 2 to continue without recording.',
+        unavailable: 'Sorry, we cannot connect you to our assistant right now. Please stay on the line while we connect you to a counsellor.',
+        voicemail: 'Please leave a message after the tone, with how we can reach you. We will call you back.',
+        voicemailThanks: 'Thank you for your message. We will call you back soon.',
+        greeting: 'Introduce yourself in English: "Hi, I\'m {name}. How are you doing today? What would you like to talk about?"',
+    },
+};
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+// Languages the default risk lexicon has terms for (with Hinglish). The others are only
+// in the default menu once RISK_LEXICON_PATH_<CODE> gives them a lexicon, so callers
+// aren't offered a language their risk can't be scored in.
+export const DEFAULT_LEXICON_LANGUAGES = ['hi', 'en'];
+export const LANGUAGE_MENU_MODES = ['new', 'always', 'off'];
+
+const codeList = value => String(value || '').split(',').map(s => s.trim().toLowerCase()).filter(c => LANGUAGE_CODES.includes(c));
+
+/**
+ * Reads the language menu and per-language voice/lexicon overrides from environment
+ * variables. `ULTRAVOX_VOICE_ID_<CODE>` and `RISK_LEXICON_PATH_<CODE>` (e.g. `_TA`)
+ * are optional.
+ */
+export function languageConfigFromEnv(env = process.env) {
+    const lexicons = Object.fromEntries(LANGUAGE_CODES.filter(c => env[`RISK_LEXICON_PATH_${c.toUpperCase()}`]).map(c => [c, env[`RISK_LEXICON_PATH_${c.toUpperCase()}`]]));
+    const scored = LANGUAGE_CODES.filter(c => DEFAULT_LEXICON_LANGUAGES.includes(c) || lexicons[c]);
+    const menu = env.LANGUAGE_MENU ? codeList(env.LANGUAGE_MENU) : scored;
+    const defaultLanguage = LANGUAGE_CODES.includes(env.LANGUAGE_DEFAULT) ? env.LANGUAGE_DEFAULT : 'hi';
+    return {
+        menu: menu.length > 0 ? menu : [defaultLanguage],
+        menuMode: LANGUAGE_MENU_MODES.includes(env.LANGUAGE_MENU_MODE) ? env.LANGUAGE_MENU_MODE : 'new',
+        menuTimeoutSeconds: Number(env.LANGUAGE_MENU_TIMEOUT_SECONDS || '6'),
+        defaultLanguage,
+        voices: Object.fromEntries(LANGUAGE_CODES.filter(c => env[`ULTRAVOX_VOICE_ID_${c.toUpperCase()}`]).map(c => [c, env[`ULTRAVOX_VOICE_ID_${c.toUpperCase()}`]])),
+        lexicons,
+    };
+}
+
+/**
+ * Appends the language block (speaking instruction and opening line) to a
+ * language-neutral system prompt. `agentName` is used in the opening line.
+ */
+export function languagePrompt(basePrompt, code, { agentName = 'Arjun' } = {}) {
+    const language = LANGUAGES[code];
+    if (!language) return basePrompt;
+    return `${basePrompt}\n\n${language.instruction}\n\n${language.greeting.replace('{name}', agentName)}`;
+}
+
+// Language code for the LLM's `language_used` (Hinglish callers get Hindi)
+export function languageFromAnalysis(languageUsed) {
+    if (languageUsed === 'hinglish') return 'hi';
+    return LANGUAGE_CODES.find(c => LANGUAGES[c].analysisName === languageUsed) || null;
+}
+
+/**
+ * TwiML for the language menu: each option is read in its own language and the
+ * keypress is posted to `action`. With no input Twilio falls through to a redirect
+ * without `Digits`, which the action handler treats as the default language.
+ */
+export function buildLanguageMenuTwiml(codes, { action, timeoutSeconds = 6 }) {
+    const twiml = new twilio.twiml.VoiceResponse();
+    const gather = twiml.gather({ numDigits: 1, action, method: 'POST', timeout: timeoutSeconds });
+    codes.forEach((code, i) => {
+        const { say, menu } = LANGUAGES[code];
+        gather.say(say, menu.replace('{digit}', String(i + 1)));
+    });
+    twiml.redirect({ method: 'POST' }, action);
+    return twiml.toString();
+}
+
+// Language picked with a keypress on the menu built from `codes`, or null
+export function languageForDigit(codes, digits) {
+    const index = Number(String(digits || '').trim()) - 1;
+    return Number.isInteger(index) && index >= 0 ? codes[index] || null : null;
+}
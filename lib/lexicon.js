@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+
+// Versioned risk lexicon (terms, weights, patterns, tier thresholds) loaded from a JSON
+// file and reloaded whenever the file changes, so scoring rules can be tuned without a
+// restart. Every analysis is stamped with the version that produced it.
+
+const TIERS = ['severe', 'high', 'medium', 'low'];
+
+/**
+ * Checks a raw lexicon object. Returns a list of problems (empty when valid).
+ */
+export function validateLexicon(raw) {
+    const errors = [];
+    if (!raw || typeof raw !== 'object') return ['Lexicon must be a JSON object'];
+    if (typeof raw.version !== 'string' || !raw.version.trim()) errors.push('"version" must be a non-empty string');
+
+    const categories = raw.categories && typeof raw.categories === 'object' ? Object.entries(raw.categories) : [];
+    if (categories.length === 0) errors.push('"categories" must map category names to { weight, terms }');
+    for (const [name, category] of categories) {
+        if (!Number.isFinite(category?.weight)) errors.push(`categories.${name}.weight must be a number`);
+        if (!Array.isArray(category?.terms) || category.terms.some(t => typeof t !== 'string' || !t.trim())) {
+            errors.push(`categories.${name}.terms must be an array of non-empty strings`);
+        }
+    }
+
+    if (raw.patterns !== undefined) {
+        if (!Number.isFinite(raw.patterns?.weight)) errors.push('patterns.weight must be a number');
+        if (typeof raw.patterns?.category !== 'string') errors.push('patterns.category must be a string');
+        for (const [i, source] of (Array.isArray(raw.patterns?.list) ? raw.patterns.list : [null]).entries()) {
+            try {
+                new RegExp(source, 'giu');
+                if (typeof source !== 'string') throw new Error('not a string');
+            } catch (error) {
+                errors.push(`patterns.list[${i}] is not a valid regular expression: ${error.message}`);
+            }
+        }
+    }
+
+    for (const tier of TIERS) {
+        if (!Number.isFinite(raw.thresholds?.[tier])) errors.push(`thresholds.${tier} must be a number`);
+    }
+    if (TIERS.every(tier => Number.isFinite(raw.thresholds?.[tier]))) {
+        const values = TIERS.map(tier => raw.thresholds[tier]);
+        if (values.some((v, i) => i > 0 && v > values[i - 1])) errors.push('thresholds must satisfy severe >= high >= medium >= low');
+    }
+
+    for (const [term, phrases] of Object.entries(raw.contextExclusions || {})) {
+        if (!Array.isArray(phrases) || phrases.some(p => typeof p !== 'string')) errors.push(`contextExclusions.${term} must be an array of strings`);
+    }
+    return errors;
+}
+
+/**
+ * Turns a validated raw lexicon into the shape the scorer uses (patterns compiled).
+ */
+export function compileLexicon(raw) {
+    return {
+        version: raw.version,
+        categories: Object.entries(raw.categories).map(([name, c]) => ({ name, weight: c.weight, terms: c.terms })),
+        patterns: raw.patterns ? {
+            term: raw.patterns.term || 'immediate_risk_pattern',
+            category: raw.patterns.category,
+            weight: raw.patterns.weight,
+            list: raw.patterns.list.map(source => new RegExp(source, 'giu')),
+        } : { term: 'immediate_risk_pattern', category: 'critical_severe', weight: 0, list: [] },
+        thresholds: raw.thresholds,
+        contextExclusions: raw.contextExclusions || {},
+        raw,
+    };
+}
+
+/**
+ * Reads, validates and compiles a lexicon file; throws when it can't be used.
+ */
+export function readLexiconFile(file) {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const errors = validateLexicon(raw);
+    if (errors.length > 0) throw new Error(`Invalid lexicon ${file}: ${errors.join('; ')}`);
+    return compileLexicon(raw);
+}
+
+/**
+ * Resolves a lexicon path (relative to the working directory) and returns it, or null
+ * when it lies outside `dir`. Symlinks are followed, so a link can't lead out either.
+ */
+export function resolveLexiconPath(file, dir) {
+    const real = target => {
+        try {
+            return fs.realpathSync(target);
+        } catch {
+            return target;
+        }
+    };
+    const resolved = path.resolve(file);
+    const relative = path.relative(real(path.resolve(dir)), real(resolved));
+    if (!relative || path.isAbsolute(relative) || relative.split(path.sep)[0] === '..') return null;
+    return resolved;
+}
+
+/**
+ * Loads the lexicon file and keeps it current.
+ * `onChange(lexicon)` runs after every successful reload, e.g. to archive the version.
+ * A file that fails to parse or validate is logged and the previous lexicon stays active.
+ */
+export function createLexiconManager({ file, watchIntervalMs = 5000, onChange }) {
+    let current = readLexiconFile(file);
+    console.log(`📚 Risk lexicon ${current.version} loaded from ${file}`);
+
+    function reload() {
+        try {
+            const next = readLexiconFile(file);
+            const changed = next.version !== current.version;
+            if (!changed && JSON.stringify(next.raw) !== JSON.stringify(current.raw)) {
+                throw new Error(`rules changed but version is still ${current.version}; bump "version"`);
+            }
+            current = next;
+            if (changed) console.log(`📚 Risk lexicon reloaded: version ${current.version}`);
+            onChange?.(current);
+            return { ok: true, lexicon: current };
+        } catch (error) {
+            console.error(`Lexicon reload failed; keeping version ${current.version}:`, error.message);
+            return { ok: false, error: error.message, lexicon: current };
+        }
+    }
+
+    // Validates and writes a new lexicon, then activates it. Versions must change so
+    // that past analyses stay traceable to the exact rules that produced them.
+    function update(raw) {
+        const errors = validateLexicon(raw);
+        if (errors.length > 0) return { ok: false, errors };
+        if (raw.version === current.version) return { ok: false, errors: [`version must differ from the active version ${current.version}`] };
+        fs.writeFileSync(file, JSON.stringify(raw, null, 2) + '\n', 'utf-8');
+        return reload();
+    }
+
+    function watch() {
+        fs.watchFile(file, { interval: watchIntervalMs }, (curr, prev) => {
+            if (curr.mtimeMs !== prev.mtimeMs) reload();
+        }).unref();
+    }
+
+    return { get: () => current, reload, update, watch };
+}
@@ -0,0 +1,79 @@
+// Live, in-call risk monitor. While a call is active its messages are polled and
+// re-scored each time new ones arrive, so an immediate-intervention signal can be
+// raised before the caller hangs up instead of only after `call.ended`.
+
+/**
+ * @param {object} opts
+ * @param {(callId: string) => Promise<object[]>} opts.fetchMessages - returns the call's messages so far
+ * @param {(messages: object[], context: object) => object} opts.score - keyword/pattern scoring of the
+ *   messages so far; `context` is whatever was passed to `start()` for the call
+ * @param {(callId: string, result: object, info: { messagesProcessed: number }) => Promise<void>} opts.onUpdate
+ * @param {(callId: string, result: object, info: { messagesProcessed: number }) => Promise<void>} [opts.onAlert] -
+ *   called once per call, after the update in which the score first calls for immediate intervention
+ * @param {number} [opts.intervalMs]
+ * @param {number} [opts.maxDurationMs] - safety stop if the call's end event never arrives
+ * @param {{ now: () => number, setTimeout: Function, clearTimeout: Function }} [opts.clock]
+ */
+export function createLiveRiskMonitor({ fetchMessages, score, onUpdate, onAlert = async () => {}, intervalMs = 15000, maxDurationMs = 2 * 60 * 60 * 1000, clock = { now: () => Date.now(), setTimeout, clearTimeout } }) {
+    const sessions = new Map();
+
+    function schedule(callId, session) {
+        session.timer = clock.setTimeout(() => poll(callId), intervalMs);
+        session.timer.unref?.();
+    }
+
+    // Scores the messages if anything new arrived since the last step.
+    async function scoreIfNew(callId, messages) {
+        const session = sessions.get(callId);
+        if (!session || messages.length <= session.messagesProcessed) return null;
+        session.messagesProcessed = messages.length;
+        const result = score(messages, session.context);
+        await onUpdate(callId, result, { messagesProcessed: messages.length });
+        // Later steps keep the flag but don't alert again
+        if (result.immediateIntervention && !session.alerted) {
+            session.alerted = true;
+            await onAlert(callId, result, { messagesProcessed: messages.length });
+        }
+        return result;
+    }
+
+    async function poll(callId) {
+        const session = sessions.get(callId);
+        if (!session) return;
+        if (clock.now() - session.startedAt > maxDurationMs) {
+            console.warn(`Live risk monitor for ${callId} hit its maximum duration; stopping.`);
+            stop(callId);
+            return;
+        }
+        try {
+            await scoreIfNew(callId, await fetchMessages(callId));
+        } catch (error) {
+            console.warn(`Live risk poll failed for ${callId}:`, error.message);
+        }
+        if (sessions.get(callId) === session) schedule(callId, session);
+    }
+
+    function start(callId, context = {}) {
+        if (!callId || sessions.has(callId)) return;
+        const session = { startedAt: clock.now(), messagesProcessed: 0, alerted: false, timer: null, context };
+        sessions.set(callId, session);
+        console.log(`👂 Live risk monitoring started for ${callId}`);
+        schedule(callId, session);
+    }
+
+    function stop(callId) {
+        const session = sessions.get(callId);
+        if (!session) return;
+        clock.clearTimeout(session.timer);
+        sessions.delete(callId);
+        console.log(`👂 Live risk monitoring stopped for ${callId}`);
+    }
+
+    // Accepts messages pushed by an event instead of waiting for the next poll.
+    async function ingest(callId, messages) {
+        if (!sessions.has(callId)) return null;
+        return scoreIfNew(callId, messages);
+    }
+
+    return { start, stop, ingest, isActive: (callId) => sessions.has(callId) };
+}
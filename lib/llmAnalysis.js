@@ -0,0 +1,119 @@
+// Structured LLM risk assessment. The model (via a provider from lib/llmProviders.js)
+// is asked for JSON matching a response schema, and the reply is validated field by
+// field before it is stored. Failed or invalid replies are retried with exponential
+// backoff, then retried on a fallback model, and the stored analysis records which
+// provider, model and attempt produced it.
+
+const ANALYSIS_FIELDS = {
+    risk_level: { type: 'string', enum: ['no', 'low', 'medium', 'high', 'severe'] },
+    counseling_needed: { type: 'string', enum: ['no', 'advised', 'yes'] },
+    immediate_intervention: { type: 'string', enum: ['yes', 'no'] },
+    emotional_state: { type: 'string' },
+    concerning_phrases: { type: 'array', maxItems: 5 },
+    assessment_summary: { type: 'string' },
+    confidence_level: { type: 'string', enum: ['low', 'medium', 'high'] },
+    language_used: { type: 'string', enum: ['hindi', 'english', 'hinglish', 'marathi', 'tamil', 'bengali', 'other'] },
+    support_recommendations: { type: 'string' },
+};
+
+// JSON schema handed to the provider's structured-output mode
+export const ANALYSIS_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(ANALYSIS_FIELDS).map(([name, field]) => [name,
+        field.type === 'array'
+            ? { type: 'array', items: { type: 'string' } }
+            : { type: 'string', ...(field.enum ? { enum: field.enum } : {}) },
+    ])),
+    required: Object.keys(ANALYSIS_FIELDS),
+};
+
+/**
+ * Reads retry settings from environment variables. Models come from the provider
+ * config (see llmProviderConfigFromEnv).
+ */
+export function llmRetryConfigFromEnv(env = process.env) {
+    return {
+        maxAttempts: Math.max(1, Number(env.LLM_MAX_ATTEMPTS || env.GEMINI_MAX_ATTEMPTS || '2')),
+        retryDelayMs: Number(env.LLM_RETRY_DELAY_MS || env.GEMINI_RETRY_DELAY_MS || '1000'),
+    };
+}
+
+/**
+ * Checks a parsed model reply against the analysis fields.
+ * Returns a list of problems (empty when valid).
+ */
+export function validateAnalysis(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return ['response must be a JSON object'];
+    const errors = [];
+    for (const [name, field] of Object.entries(ANALYSIS_FIELDS)) {
+        const fieldValue = value[name];
+        if (field.type === 'array') {
+            if (!Array.isArray(fieldValue) || fieldValue.some(item => typeof item !== 'string')) errors.push(`"${name}" must be an array of strings`);
+            else if (fieldValue.length > field.maxItems) errors.push(`"${name}" must have at most ${field.maxItems} items`);
+        } else if (typeof fieldValue !== 'string') {
+            errors.push(`"${name}" must be a string`);
+        } else if (field.enum && !field.enum.includes(fieldValue.trim().toLowerCase())) {
+            errors.push(`"${name}" must be one of: ${field.enum.join(', ')}`);
+        }
+    }
+    return errors;
+}
+
+// Keeps only the known fields, with enum values in their canonical lowercase form
+function normalizeAnalysis(value) {
+    return Object.fromEntries(Object.entries(ANALYSIS_FIELDS).map(([name, field]) => [name,
+        field.enum ? value[name].trim().toLowerCase() : value[name],
+    ]));
+}
+
+const defaultSleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {object} opts
+ * @param {{ name: string, generate: (req: { model: string, prompt: string, schema: object }) => Promise<string> }} opts.provider
+ * @param {object} opts.config - `{ model, fallbackModel?, maxAttempts?, retryDelayMs? }`
+ * @param {(ms: number) => Promise<void>} [opts.sleep] - injectable for tests
+ */
+export function createLlmAnalyzer({ provider, config, sleep = defaultSleep }) {
+    const cfg = { ...llmRetryConfigFromEnv({}), ...config };
+    const models = [cfg.model, cfg.fallbackModel].filter((m, i, all) => m && all.indexOf(m) === i);
+
+    async function attemptOnce(model, prompt) {
+        const text = await provider.generate({ model, prompt, schema: ANALYSIS_RESPONSE_SCHEMA });
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`response is not valid JSON: ${error.message}`);
+        }
+        const errors = validateAnalysis(parsed);
+        if (errors.length > 0) throw new Error(`response failed validation: ${errors.join('; ')}`);
+        return normalizeAnalysis(parsed);
+    }
+
+    /**
+     * Runs the prompt on the primary model, then the fallback, up to `maxAttempts` each.
+     * Resolves with the validated analysis plus `provider`/`model`/`attempt`, or with
+     * `{ error, failures }` when every attempt failed; never throws.
+     */
+    async function analyze(prompt) {
+        const failures = [];
+        let attempt = 0;
+        for (const model of models) {
+            for (let modelAttempt = 1; modelAttempt <= cfg.maxAttempts; modelAttempt++) {
+                attempt += 1;
+                if (attempt > 1) await sleep(cfg.retryDelayMs * 2 ** (modelAttempt - 1));
+                try {
+                    const analysis = await attemptOnce(model, prompt);
+                    return { ...analysis, provider: provider.name, model, attempt, failures };
+                } catch (error) {
+                    console.warn(`${provider.name} attempt ${attempt} (${model}) failed:`, error.message);
+                    failures.push({ model, attempt, error: error.message });
+                }
+            }
+        }
+        return { provider: provider.name, error: failures[failures.length - 1]?.error || 'No model configured', failures };
+    }
+
+    return { analyze, provider: provider.name, config: cfg };
+}
@@ -0,0 +1,140 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// LLM backends for post-call analysis. Every provider takes the same prompt and JSON
+// schema and returns the model's raw JSON text; parsing, validation, retries and model
+// fallback live in lib/llmAnalysis.js, so switching vendors doesn't change the contract.
+//
+// Provider interface: { name, generate({ model, prompt, schema }) => Promise<string> }
+
+export const LLM_PROVIDERS = ['gemini', 'openai', 'ollama'];
+
+/**
+ * Reads the provider choice and its connection settings from environment variables.
+ * Models are per provider so switching LLM_PROVIDER doesn't need other edits.
+ * `timeoutMs` bounds every request, so a hung endpoint fails and is retried.
+ */
+export function llmProviderConfigFromEnv(env = process.env) {
+    const provider = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+    const byProvider = {
+        gemini: {
+            apiKey: env.GEMINI_API_KEY || env.GOOGLE_API_KEY || '',
+            model: env.GEMINI_MODEL || 'gemini-1.5-flash',
+            fallbackModel: env.GEMINI_FALLBACK_MODEL || '',
+        },
+        openai: {
+            baseUrl: (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+            apiKey: env.OPENAI_API_KEY || '',
+            model: env.OPENAI_MODEL || 'gpt-4o-mini',
+            fallbackModel: env.OPENAI_FALLBACK_MODEL || '',
+            responseFormat: env.OPENAI_RESPONSE_FORMAT || 'json_schema',
+        },
+        ollama: {
+            baseUrl: (env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, ''),
+            model: env.OLLAMA_MODEL || 'llama3.1',
+            fallbackModel: env.OLLAMA_FALLBACK_MODEL || '',
+        },
+    };
+    return { provider, timeoutMs: Number(env.LLM_TIMEOUT_MS || '60000'), ...(byProvider[provider] || {}) };
+}
+
+// Gemini marks string enums with `format: 'enum'`
+function toGeminiSchema(schema) {
+    if (schema.type === 'object') {
+        return { ...schema, properties: Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toGeminiSchema(v)])) };
+    }
+    if (schema.type === 'array') return { ...schema, items: toGeminiSchema(schema.items) };
+    return schema.enum ? { ...schema, format: 'enum' } : schema;
+}
+
+/**
+ * Google Gemini via @google/generative-ai, using JSON mode with a response schema.
+ * @param {object} opts
+ * @param {object} opts.gemini - GoogleGenerativeAI client (or a stand-in with `getGenerativeModel`)
+ */
+export function createGeminiProvider({ gemini, timeoutMs = 60000 }) {
+    return {
+        name: 'gemini',
+        async generate({ model, prompt, schema }) {
+            const generativeModel = gemini.getGenerativeModel({
+                model,
+                generationConfig: { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) },
+            }, { timeout: timeoutMs });
+            const result = await generativeModel.generateContent(prompt);
+            return result.response.text();
+        },
+    };
+}
+
+/**
+ * Any OpenAI-compatible chat completions endpoint (OpenAI, Azure-style gateways, vLLM,
+ * LM Studio, ...). `responseFormat` is `json_schema` (structured outputs) or
+ * `json_object` for servers that only support plain JSON mode.
+ */
+export function createOpenAIProvider({ baseUrl, apiKey = '', responseFormat = 'json_schema', timeoutMs = 60000, fetchImpl = globalThis.fetch }) {
+    return {
+        name: 'openai',
+        async generate({ model, prompt, schema }) {
+            const response = await fetchImpl(`${baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+                },
+                body: JSON.stringify({
+                    model,
+                    temperature: 0,
+                    messages: [{ role: 'user', content: prompt }],
+                    response_format: responseFormat === 'json_object'
+                        ? { type: 'json_object' }
+                        : { type: 'json_schema', json_schema: { name: 'risk_analysis', strict: true, schema: { ...schema, additionalProperties: false } } },
+                }),
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+            if (!response.ok) throw new Error(`OpenAI-compatible endpoint responded ${response.status}`);
+            const body = await response.json();
+            const content = body?.choices?.[0]?.message?.content;
+            if (typeof content !== 'string') throw new Error('OpenAI-compatible response had no message content');
+            return content;
+        },
+    };
+}
+
+/**
+ * Locally hosted model server speaking the Ollama HTTP API (`POST /api/generate`),
+ * with the schema passed as the structured-output `format`.
+ */
+export function createOllamaProvider({ baseUrl, timeoutMs = 60000, fetchImpl = globalThis.fetch }) {
+    return {
+        name: 'ollama',
+        async generate({ model, prompt, schema }) {
+            const response = await fetchImpl(`${baseUrl}/api/generate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ model, prompt, format: schema, stream: false, options: { temperature: 0 } }),
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+            if (!response.ok) throw new Error(`Ollama endpoint responded ${response.status}`);
+            const body = await response.json();
+            if (typeof body?.response !== 'string') throw new Error('Ollama response had no "response" text');
+            return body.response;
+        },
+    };
+}
+
+/**
+ * Builds the provider selected by `config.provider`, or returns null when it isn't
+ * usable (Gemini or OpenAI without an API key) so analysis is skipped rather than failing.
+ */
+export function createLlmProvider(config, { fetchImpl = globalThis.fetch } = {}) {
+    if (!LLM_PROVIDERS.includes(config.provider)) {
+        throw new Error(`LLM_PROVIDER must be one of: ${LLM_PROVIDERS.join(', ')}`);
+    }
+    if (config.provider === 'gemini') {
+        return config.apiKey ? createGeminiProvider({ gemini: new GoogleGenerativeAI(config.apiKey), timeoutMs: config.timeoutMs }) : null;
+    }
+    if (config.provider === 'openai') {
+        if (!config.apiKey) return null;
+        return createOpenAIProvider({ baseUrl: config.baseUrl, apiKey: config.apiKey, responseFormat: config.responseFormat, timeoutMs: config.timeoutMs, fetchImpl });
+    }
+    return createOllamaProvider({ baseUrl: config.baseUrl, timeoutMs: config.timeoutMs, fetchImpl });
+}
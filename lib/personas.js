@@ -0,0 +1,124 @@
+import { ALERT_CHANNELS } from './alerts.js';
+import { normalizePhoneNumber } from './callers.js';
+import { LANGUAGE_CODES } from './languages.js';
+
+// Agent personas, one per helpline. A persona is picked by the Twilio number that was
+// dialed (`To`) and carries that helpline's prompt, voice, first speaker, risk lexicon,
+// alert routing and the languages its menu offers. Calls to numbers without a persona
+// get the default persona, which is built from the environment and can't be edited
+// through the API.
+
+export const FIRST_SPEAKERS = ['FIRST_SPEAKER_AGENT', 'FIRST_SPEAKER_USER'];
+const TIER_KEYS = ['smsTo', 'voiceTo', 'webhookUrls', 'emailTo'];
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+const isStringList = value => Array.isArray(value) && value.every(isNonEmptyString);
+
+/**
+ * Checks a persona definition. Returns a list of problems (empty when valid).
+ */
+export function validatePersona(persona) {
+    const errors = [];
+    if (!persona || typeof persona !== 'object') return ['persona must be an object'];
+    if (!/^[a-z0-9][a-z0-9_-]{0,63}$/.test(String(persona.id || ''))) errors.push('"id" must be lowercase letters, digits, "-" or "_"');
+    if (!isNonEmptyString(persona.name)) errors.push('"name" is required');
+    if (!Array.isArray(persona.numbers) || persona.numbers.length === 0) {
+        errors.push('"numbers" must list at least one dialed number');
+    } else {
+        for (const number of persona.numbers) {
+            if (!/^\+[1-9]\d{6,14}$/.test(String(number))) errors.push(`"numbers" entry ${JSON.stringify(number)} must be in E.164 format`);
+        }
+    }
+    if (!isNonEmptyString(persona.systemPrompt)) errors.push('"systemPrompt" is required');
+    for (const key of ['voice', 'model', 'agentName', 'lexiconPath']) {
+        if (persona[key] !== undefined && persona[key] !== null && !isNonEmptyString(persona[key])) errors.push(`"${key}" must be a non-empty string`);
+    }
+    if (persona.temperature !== undefined && !(typeof persona.temperature === 'number' && persona.temperature >= 0 && persona.temperature <= 1)) {
+        errors.push('"temperature" must be a number from 0 to 1');
+    }
+    if (persona.firstSpeaker !== undefined && !FIRST_SPEAKERS.includes(persona.firstSpeaker)) {
+        errors.push(`"firstSpeaker" must be one of: ${FIRST_SPEAKERS.join(', ')}`);
+    }
+    if (persona.language !== undefined && !LANGUAGE_CODES.includes(persona.language)) {
+        errors.push(`"language" must be one of: ${LANGUAGE_CODES.join(', ')}`);
+    }
+    if (persona.languages !== undefined && !(isStringList(persona.languages) && persona.languages.length > 0 && persona.languages.every(c => LANGUAGE_CODES.includes(c)))) {
+        errors.push(`"languages" must list language codes from: ${LANGUAGE_CODES.join(', ')}`);
+    }
+    if (persona.voices !== undefined && !(persona.voices && typeof persona.voices === 'object'
+        && Object.entries(persona.voices).every(([code, voice]) => LANGUAGE_CODES.includes(code) && isNonEmptyString(voice)))) {
+        errors.push('"voices" must map language codes to voice ids');
+    }
+    if (persona.tools !== undefined && !isStringList(persona.tools)) errors.push('"tools" must be a list of tool names');
+    if (persona.alerts !== undefined && persona.alerts !== null) {
+        const { channels, tiers } = persona.alerts;
+        if (!isStringList(channels) || channels.some(c => !ALERT_CHANNELS.includes(c))) {
+            errors.push(`"alerts.channels" must list channels from: ${ALERT_CHANNELS.join(', ')}`);
+        }
+        if (!Array.isArray(tiers) || tiers.length === 0) {
+            errors.push('"alerts.tiers" must list at least one on-call tier');
+        } else if (tiers.some(t => !t || typeof t !== 'object' || Object.entries(t).some(([k, v]) => !TIER_KEYS.includes(k) || !isStringList(v)))) {
+            errors.push(`"alerts.tiers" entries may only hold target lists: ${TIER_KEYS.join(', ')}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Persona lookup backed by a store collection and cached in memory, so `/incoming`
+ * resolves the persona without a database round trip.
+ * @param {object} opts
+ * @param {object} opts.personasStore - store collection (see lib/store.js)
+ * @param {object} opts.defaultPersona - used for numbers no persona claims; id `default`
+ */
+export function createPersonaRegistry({ personasStore, defaultPersona }) {
+    let personas = [];
+
+    async function load() {
+        personas = await personasStore.find();
+        return personas;
+    }
+
+    function resolve(dialedNumber) {
+        const number = normalizePhoneNumber(dialedNumber);
+        return (number && personas.find(p => p.numbers.includes(number))) || defaultPersona;
+    }
+
+    function get(id) {
+        if (!id || id === defaultPersona.id) return defaultPersona;
+        return personas.find(p => p.id === id) || null;
+    }
+
+    /**
+     * Creates or replaces a persona. Returns `{ ok, persona }` or `{ ok: false, errors }`.
+     */
+    async function save(input) {
+        const errors = validatePersona(input);
+        if (input?.id === defaultPersona.id) errors.push(`"${defaultPersona.id}" is reserved for the environment-configured persona`);
+        const taken = (input?.numbers || []).filter(n => personas.some(p => p.id !== input.id && p.numbers.includes(n)));
+        for (const number of taken) errors.push(`${number} is already assigned to another persona`);
+        if (errors.length > 0) return { ok: false, errors };
+
+        const existing = personas.find(p => p.id === input.id);
+        const now = new Date().toISOString();
+        const persona = { ...input, createdAt: existing?.createdAt || now, updatedAt: now };
+        await personasStore.upsert(persona);
+        await load();
+        return { ok: true, persona, created: !existing };
+    }
+
+    async function remove(id) {
+        const removed = await personasStore.remove({ id });
+        await load();
+        return removed > 0;
+    }
+
+    return {
+        load,
+        resolve,
+        get,
+        save,
+        remove,
+        list: () => [defaultPersona, ...personas],
+        defaultPersona,
+    };
+}
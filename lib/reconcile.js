@@ -0,0 +1,96 @@
+// Reconciles the keyword tier and the LLM analysis' risk_level into one final risk
+// decision. The LLM side keeps its historical `gemini*` field and policy names even when
+// another provider produced it (see lib/llmProviders.js).
+// Policies:
+//   max              - the higher of the two tiers (default; never downgrades a keyword hit)
+//   weighted         - weighted average of the two tiers, rounded to the nearest tier
+//   gemini_confident - Gemini's tier when its confidence is at least `minConfidence`,
+//                      otherwise the keyword tier
+// Whatever the policy, tiers that are `reviewGap` or more levels apart are flagged for
+// human review.
+
+export const RISK_LEVELS = ['no', 'low', 'medium', 'high', 'severe'];
+export const RECONCILE_POLICIES = ['max', 'weighted', 'gemini_confident'];
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+const PROVIDER_LABELS = { gemini: 'Gemini', openai: 'the OpenAI-compatible model', ollama: 'the local model' };
+
+/**
+ * Reads the reconciliation policy from environment variables.
+ */
+export function reconcileConfigFromEnv(env = process.env) {
+    return {
+        policy: env.RISK_RECONCILE_POLICY || 'max',
+        keywordWeight: Number(env.RISK_KEYWORD_WEIGHT || '0.5'),
+        minConfidence: env.RISK_GEMINI_MIN_CONFIDENCE || 'high',
+        reviewGap: Number(env.RISK_REVIEW_GAP || '2'),
+    };
+}
+
+export function counsellingFor(tendency) {
+    if (tendency === 'severe' || tendency === 'high') return 'yes';
+    if (tendency === 'medium') return 'advised';
+    return 'no';
+}
+
+/**
+ * @param {{ tendency: string, score: number }} keyword - keyword scoring result
+ * @param {object|null} geminiAnalysis - validated LLM analysis, `{ error }`, or null
+ * @param {object} [config] - overrides for reconcileConfigFromEnv()
+ * @returns {{ policy: string, keywordTendency: string, geminiTendency: string|null, finalTendency: string,
+ *   needsCounselling: string, source: 'keyword'|'gemini'|'combined', explanation: string,
+ *   needsReview: boolean, reviewReason: string|null }}
+ */
+export function reconcileRisk(keyword, geminiAnalysis, config = {}) {
+    const cfg = { ...reconcileConfigFromEnv({}), ...config };
+    if (!RECONCILE_POLICIES.includes(cfg.policy)) throw new Error(`Unknown risk reconciliation policy: ${cfg.policy}`);
+
+    const keywordTendency = keyword.tendency;
+    const geminiTendency = RISK_LEVELS.includes(geminiAnalysis?.risk_level) ? geminiAnalysis.risk_level : null;
+    const llm = PROVIDER_LABELS[geminiAnalysis?.provider] || 'Gemini';
+    const decision = (finalTendency, source, explanation) => {
+        const gap = geminiTendency ? Math.abs(RISK_LEVELS.indexOf(keywordTendency) - RISK_LEVELS.indexOf(geminiTendency)) : 0;
+        const needsReview = gap >= cfg.reviewGap;
+        return {
+            policy: cfg.policy,
+            keywordTendency,
+            geminiTendency,
+            finalTendency,
+            needsCounselling: counsellingFor(finalTendency),
+            source,
+            explanation,
+            needsReview,
+            reviewReason: needsReview ? `Keyword scoring says ${keywordTendency} but ${llm} says ${geminiTendency}` : null,
+        };
+    };
+
+    const keywordText = `keyword scoring says ${keywordTendency} (score ${keyword.score})`;
+    if (!geminiTendency) {
+        const why = geminiAnalysis?.error ? `${llm} analysis failed` : 'no LLM analysis';
+        return decision(keywordTendency, 'keyword', `Final ${keywordTendency}: ${keywordText}; ${why}.`);
+    }
+
+    const confidence = CONFIDENCE_LEVELS.includes(geminiAnalysis.confidence_level) ? geminiAnalysis.confidence_level : 'low';
+    const geminiText = `${llm} says ${geminiTendency} (${confidence} confidence)`;
+    const keywordIndex = RISK_LEVELS.indexOf(keywordTendency);
+    const geminiIndex = RISK_LEVELS.indexOf(geminiTendency);
+
+    if (cfg.policy === 'weighted') {
+        const weight = Math.min(1, Math.max(0, cfg.keywordWeight));
+        const finalTendency = RISK_LEVELS[Math.round(keywordIndex * weight + geminiIndex * (1 - weight))];
+        return decision(finalTendency, 'combined',
+            `Final ${finalTendency}: ${keywordText}, ${geminiText}; weighted ${weight} keyword / ${1 - weight} LLM.`);
+    }
+
+    if (cfg.policy === 'gemini_confident') {
+        if (CONFIDENCE_LEVELS.indexOf(confidence) >= CONFIDENCE_LEVELS.indexOf(cfg.minConfidence)) {
+            return decision(geminiTendency, 'gemini',
+                `Final ${geminiTendency}: ${geminiText}, which meets the ${cfg.minConfidence} confidence needed to override ${keywordText}.`);
+        }
+        return decision(keywordTendency, 'keyword',
+            `Final ${keywordTendency}: ${keywordText}; ${geminiText} is below the ${cfg.minConfidence} confidence needed to override it.`);
+    }
+
+    const finalTendency = RISK_LEVELS[Math.max(keywordIndex, geminiIndex)];
+    const source = keywordIndex === geminiIndex ? 'combined' : keywordIndex > geminiIndex ? 'keyword' : 'gemini';
+    return decision(finalTendency, source, `Final ${finalTendency}: ${keywordText}, ${geminiText}; the higher tier is used.`);
+}
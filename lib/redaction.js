@@ -0,0 +1,107 @@
+// PII redaction for transcripts. Runs after the transcript is fetched and before it is
+// analyzed or stored: phone numbers, Aadhaar and PAN numbers, email addresses and the
+// names callers introduce themselves with are replaced by placeholders such as [PHONE].
+// The unredacted transcript is kept separately for privileged roles.
+
+export const REDACTION_TYPES = ['email', 'aadhaar', 'pan', 'phone', 'name'];
+
+// Order matters: emails may contain digits, and an Aadhaar number would otherwise be
+// partly matched as a phone number
+const PATTERNS = {
+    email: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu,
+    aadhaar: /(?<![\d+])[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4}(?!\d)/g,
+    pan: /(?<![\p{L}\p{N}])[A-Za-z]{5}\d{4}[A-Za-z](?![\p{L}\p{N}])/gu,
+    phone: /(?<![\d+])(?:(?:\+|00)?91[\s-]?|0)?[6-9]\d{4}[\s-]?\d{5}(?!\d)/g,
+};
+
+// "my name is Rahul", "mera naam Priya hai", "मेरा नाम राहुल है"
+const NAME_INTRODUCTIONS = [
+    /(?<![\p{L}])(?:my name is|my name's|call me|mera naam|mera nam|naam hai)\s+([\p{L}\p{M}]+)(?:\s+([\p{L}\p{M}]+))?/giu,
+    /(?:मेरा नाम|नाम है)\s+([\p{L}\p{M}]+)(?:\s+([\p{L}\p{M}]+))?/gu,
+];
+const NOT_NAMES = new Set(['is', 'hai', 'h', 'not', 'a', 'the', 'actually', 'kya', 'nahi', 'है', 'क्या', 'नहीं']);
+const LETTER = /[\p{L}\p{M}]/u;
+
+/**
+ * Reads which kinds of PII to redact from environment variables. On by default.
+ */
+export function redactionConfigFromEnv(env = process.env) {
+    const listed = String(env.REDACTION_TYPES || REDACTION_TYPES.join(',')).split(',').map(s => s.trim().toLowerCase());
+    return {
+        enabled: env.REDACTION_ENABLED !== 'false',
+        types: REDACTION_TYPES.filter(type => listed.includes(type)),
+    };
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const placeholder = type => `[${type.toUpperCase()}]`;
+
+// Names the caller introduces themselves (or someone else) with
+export function findIntroducedNames(text) {
+    const names = new Set();
+    for (const pattern of NAME_INTRODUCTIONS) {
+        for (const match of String(text || '').matchAll(pattern)) {
+            const [, first, second] = match;
+            if (!first || NOT_NAMES.has(first.toLowerCase()) || first.length < 2) continue;
+            names.add(first);
+            // A capitalized second word is taken as a surname ("Rahul Sharma")
+            if (second && /^\p{Lu}/u.test(second) && !NOT_NAMES.has(second.toLowerCase())) names.add(second);
+        }
+    }
+    return [...names];
+}
+
+/**
+ * Masks PII in one piece of text. `names` are redacted wherever they appear as words.
+ * @returns {{ text: string, findings: Record<string, number> }}
+ */
+export function redactText(text, config = {}, names = []) {
+    const cfg = { ...redactionConfigFromEnv({}), ...config };
+    const findings = {};
+    let result = String(text || '');
+    const count = (type, replaced) => {
+        if (replaced > 0) findings[type] = (findings[type] || 0) + replaced;
+    };
+
+    for (const type of cfg.types.filter(t => PATTERNS[t])) {
+        let replaced = 0;
+        result = result.replace(PATTERNS[type], () => {
+            replaced += 1;
+            return placeholder(type);
+        });
+        count(type, replaced);
+    }
+    if (cfg.types.includes('name') && names.length > 0) {
+        let replaced = 0;
+        const pattern = new RegExp(`(?<![\\p{L}\\p{M}])(?:${names.map(escapeRegExp).join('|')})(?![\\p{L}\\p{M}])`, 'giu');
+        result = result.replace(pattern, match => {
+            if (!LETTER.test(match)) return match;
+            replaced += 1;
+            return placeholder('name');
+        });
+        count('name', replaced);
+    }
+    return { text: result, findings };
+}
+
+/**
+ * Redacts every turn of a conversation. Names are learned from the caller's turns and
+ * then masked in all turns, so the agent repeating a name doesn't leak it.
+ * @param {{ role: string, text: string }[]} turns
+ * @returns {{ turns: object[], findings: Record<string, number>, redacted: boolean }}
+ */
+export function redactTurns(turns, config = {}) {
+    const cfg = { ...redactionConfigFromEnv({}), ...config };
+    if (!cfg.enabled) return { turns, findings: {}, redacted: false };
+
+    const names = cfg.types.includes('name')
+        ? [...new Set(turns.filter(t => t.role === 'user').flatMap(t => findIntroducedNames(t.text)))]
+        : [];
+    const findings = {};
+    const redactedTurns = turns.map(turn => {
+        const { text, findings: found } = redactText(turn.text, cfg, names);
+        for (const [type, n] of Object.entries(found)) findings[type] = (findings[type] || 0) + n;
+        return { ...turn, text };
+    });
+    return { turns: redactedTurns, findings, redacted: Object.keys(findings).length > 0 };
+}
@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+
+// Data retention and erasure. Each kind of sensitive conversation data has its own
+// retention window; a periodic purge clears the fields once a conversation is older
+// than the window, leaving the risk analysis and counters in place. Erasure removes
+// every record for a caller and returns a signed receipt listing what was deleted.
+
+// Conversation fields cleared for each kind of data
+export const RETENTION_KINDS = {
+    transcript: { transcript: '', originalTranscript: null, turnStartSeconds: [] },
+    recording: { recordingUrl: '' },
+    raw: { raw: null },
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const days = value => Math.max(0, Number(value || '0')) || 0;
+
+/**
+ * Reads the retention windows (in days; 0 keeps the data forever) and the receipt
+ * signing secret from environment variables. Without a secret no receipts are issued,
+ * since anyone could sign one.
+ */
+export function retentionConfigFromEnv(env = process.env) {
+    return {
+        days: {
+            transcript: days(env.RETENTION_TRANSCRIPT_DAYS),
+            recording: days(env.RETENTION_RECORDING_DAYS),
+            raw: days(env.RETENTION_RAW_DAYS),
+        },
+        purgeIntervalMs: Number(env.RETENTION_PURGE_INTERVAL_MINUTES || '60') * 60 * 1000,
+        receiptSecret: env.ERASURE_RECEIPT_SECRET || env.CALLER_HASH_SECRET || '',
+        deleteRemoteCalls: env.ERASURE_DELETE_ULTRAVOX_CALLS !== 'false',
+    };
+}
+
+function hasData(conversation, kind) {
+    if (kind === 'recording') return Boolean(conversation.recordingUrl || conversation.fallback?.voicemail?.recordingUrl);
+    return Object.keys(RETENTION_KINDS[kind]).some(field => {
+        const value = conversation[field];
+        return Array.isArray(value) ? value.length > 0 : Boolean(value && (typeof value !== 'object' || Object.keys(value).length > 0));
+    });
+}
+
+/**
+ * The update that applies the retention windows to one conversation, or null when
+ * nothing has expired. Purged kinds are stamped in `purged` so they aren't fetched again.
+ */
+export function expiredFields(conversation, config = {}, now = new Date()) {
+    const cfg = { ...retentionConfigFromEnv({}), ...config };
+    const age = now.getTime() - new Date(conversation.createdAt || now).getTime();
+    const expired = Object.keys(RETENTION_KINDS)
+        .filter(kind => cfg.days[kind] > 0 && age > cfg.days[kind] * DAY_MS && hasData(conversation, kind));
+    if (expired.length === 0) return null;
+
+    const at = now.toISOString();
+    const update = { purged: { ...conversation.purged } };
+    for (const kind of expired) {
+        Object.assign(update, RETENTION_KINDS[kind]);
+        update.purged[kind] = at;
+    }
+    if (expired.includes('recording') && conversation.fallback?.voicemail) {
+        update.fallback = { ...conversation.fallback, voicemail: { ...conversation.fallback.voicemail, recordingUrl: '' } };
+    }
+    return update;
+}
+
+// JSON with sorted keys, so a receipt signs the same way after a round trip through the store
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+export function signReceipt(receipt, secret) {
+    const { signature, _id, ...body } = receipt;
+    return crypto.createHmac('sha256', secret).update(canonicalJson(body)).digest('hex');
+}
+
+// True when the receipt is unchanged since it was issued
+export function verifyReceiptSignature(receipt, secret) {
+    if (!receipt?.signature || !secret) return false;
+    const expected = Buffer.from(signReceipt(receipt, secret), 'hex');
+    const actual = Buffer.from(String(receipt.signature), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Runs retention purges and caller erasure against the store.
+ * @param {object} opts
+ * @param {object} opts.conversationsStore - store collections (see lib/store.js)
+ * @param {object} opts.alertsStore
+ * @param {object} opts.callersStore
+ * @param {object} opts.receiptsStore - where deletion receipts are kept
+ * @param {(conversation: object) => string|null} opts.callerIdOf
+ * @param {(callId: string) => Promise<void>} [opts.deleteRemoteCall] - deletes the call
+ *   (and its recording) at the voice provider
+ * @param {(before: object, after: object) => Promise<void>} [opts.onPurge] - called for
+ *   each purged conversation
+ * @param {object} [opts.config] - overrides for retentionConfigFromEnv()
+ */
+export function createRetentionManager({ conversationsStore, alertsStore, callersStore, receiptsStore, callerIdOf, deleteRemoteCall, onPurge, config = {} }) {
+    const cfg = { ...retentionConfigFromEnv({}), ...config };
+
+    // Clears expired fields on every conversation; returns counts per kind
+    async function purge(now = new Date()) {
+        const summary = { checked: 0, purged: 0, failed: 0, kinds: {} };
+        for (const conversation of await conversationsStore.find()) {
+            summary.checked += 1;
+            if (conversation.status === 'active') continue;
+            const update = expiredFields(conversation, cfg, now);
+            if (!update) continue;
+            try {
+                const purged = await conversationsStore.upsert({ ...conversation, ...update, updatedAt: now.toISOString() });
+                if (onPurge) await onPurge(conversation, purged);
+                summary.purged += 1;
+                for (const kind of Object.keys(update.purged).filter(k => update.purged[k] === now.toISOString())) {
+                    summary.kinds[kind] = (summary.kinds[kind] || 0) + 1;
+                }
+            } catch (error) {
+                console.error(`🗑️ Could not purge conversation ${conversation.id}:`, error.message);
+                summary.failed += 1;
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * Deletes every conversation, alert and the profile of a caller, and stores a signed
+     * receipt. The receipt names the caller only by their caller id. Refuses to erase
+     * anything until a receipt secret is configured.
+     */
+    async function erase(callerId, { by, now = new Date() } = {}) {
+        if (!cfg.receiptSecret) throw new Error('No receipt secret configured (set ERASURE_RECEIPT_SECRET)');
+        const conversations = (await conversationsStore.find()).filter(c => callerIdOf(c) === callerId);
+        const conversationIds = conversations.map(c => c.id);
+
+        let alerts = 0;
+        for (const id of conversationIds) alerts += await alertsStore.remove({ conversationId: id });
+
+        // Failed connects never reached the voice provider
+        const remote = [];
+        if (cfg.deleteRemoteCalls && deleteRemoteCall) {
+            for (const conversation of conversations.filter(c => c.status !== 'failed_connect')) {
+                try {
+                    await deleteRemoteCall(conversation.id);
+                    remote.push({ callId: conversation.id, status: 'deleted' });
+                } catch (error) {
+                    remote.push({ callId: conversation.id, status: 'failed', error: error.message });
+                }
+            }
+        }
+
+        let removedConversations = 0;
+        for (const id of conversationIds) removedConversations += await conversationsStore.remove({ id });
+        const profile = await callersStore.remove({ id: callerId });
+
+        const remaining = (await conversationsStore.find()).filter(c => callerIdOf(c) === callerId).length;
+        const receipt = {
+            id: crypto.randomUUID(),
+            callerId,
+            requestedBy: by || null,
+            erasedAt: now.toISOString(),
+            deleted: {
+                conversations: removedConversations,
+                conversationIds,
+                alerts,
+                callerProfile: profile > 0,
+            },
+            remoteCalls: remote,
+            remainingRecords: remaining,
+            complete: remaining === 0 && remote.every(r => r.status === 'deleted'),
+        };
+        receipt.signature = signReceipt(receipt, cfg.receiptSecret);
+        await receiptsStore.upsert(receipt);
+        return receipt;
+    }
+
+    /**
+     * Checks a stored receipt: the signature still matches, and no records for the
+     * caller have appeared since.
+     */
+    async function verify(receiptId) {
+        const receipt = await receiptsStore.findOne({ id: receiptId });
+        if (!receipt) return null;
+        const remaining = (await conversationsStore.find()).filter(c => callerIdOf(c) === receipt.callerId).length;
+        return {
+            receipt,
+            signatureValid: verifyReceiptSignature(receipt, cfg.receiptSecret),
+            recordsRemaining: remaining,
+            callerProfileRemaining: Boolean(await callersStore.findOne({ id: receipt.callerId })),
+        };
+    }
+
+    // Conversation ids erased for any caller, so imports don't bring them back
+    async function erasedCallIds() {
+        return new Set((await receiptsStore.find()).flatMap(r => r.deleted?.conversationIds || []));
+    }
+
+    return { purge, erase, verify, erasedCallIds, config: cfg };
+}
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+import { MongoClient } from 'mongodb';
+
+// Shared persistence layer: MongoDB when configured, otherwise one JSON file per
+// collection under data/. Filters are plain equality matches so both backends
+// behave the same way.
+
+const DATA_DIR = path.resolve(process.cwd(), 'data');
+
+let mongoClient;
+let mongoDb;
+const indexed = new Set();
+
+export async function initStore({ uri, dbName }) {
+    if (!uri) {
+        console.warn('MONGODB_URI not set; falling back to local JSON file storage.');
+        return;
+    }
+    try {
+        mongoClient = new MongoClient(uri);
+        await mongoClient.connect();
+        mongoDb = mongoClient.db(dbName);
+        console.log('MongoDB connected successfully');
+    } catch (error) {
+        console.error('MongoDB connection failed:', error);
+        mongoClient = null;
+        mongoDb = null;
+    }
+}
+
+export function isMongoConnected() {
+    return !!mongoDb;
+}
+
+function matches(doc, filter) {
+    return Object.entries(filter || {}).every(([key, value]) => doc?.[key] === value);
+}
+
+function byUpdatedDesc(a, b) {
+    return new Date(b.updatedAt || b.createdAt || 0).getTime() - new Date(a.updatedAt || a.createdAt || 0).getTime();
+}
+
+/**
+ * Returns a small CRUD wrapper around a named collection.
+ * `mongoName` lets a collection keep a configurable Mongo name while its JSON file stays fixed.
+ * `indexes` lists further fields that are looked up by equality.
+ */
+export function collection(name, { mongoName = name, indexes = [] } = {}) {
+    const file = path.join(DATA_DIR, `${name}.json`);
+
+    function readFile() {
+        if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+        if (!fs.existsSync(file)) fs.writeFileSync(file, JSON.stringify([]), 'utf-8');
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    }
+
+    function writeFile(list) {
+        fs.writeFileSync(file, JSON.stringify(list, null, 2), 'utf-8');
+    }
+
+    async function mongo() {
+        if (!mongoDb) return null;
+        const col = mongoDb.collection(mongoName);
+        if (!indexed.has(mongoName)) {
+            indexed.add(mongoName);
+            await col.createIndex({ id: 1 }, { unique: true });
+            for (const field of indexes) await col.createIndex({ [field]: 1 });
+        }
+        return col;
+    }
+
+    return {
+        async upsert(record) {
+            const col = await mongo();
+            if (col) {
+                const { _id, ...fields } = record;
+                await col.updateOne({ id: record.id }, { $set: fields }, { upsert: true });
+                return record;
+            }
+            const list = readFile();
+            const idx = list.findIndex(x => x.id === record.id);
+            if (idx >= 0) list[idx] = record; else list.push(record);
+            writeFile(list);
+            return record;
+        },
+
+        // Most recently updated first; `limit` caps how many records are returned
+        async find(filter = {}, { limit } = {}) {
+            const col = await mongo();
+            if (col) {
+                const cursor = col.find(filter).sort({ updatedAt: -1 });
+                return (limit ? cursor.limit(limit) : cursor).toArray();
+            }
+            const found = readFile().filter(doc => matches(doc, filter)).sort(byUpdatedDesc);
+            return limit ? found.slice(0, limit) : found;
+        },
+
+        async findOne(filter) {
+            const col = await mongo();
+            if (col) return col.findOne(filter);
+            return readFile().find(doc => matches(doc, filter)) || null;
+        },
+
+        // Deletes every matching record and returns how many were removed
+        async remove(filter) {
+            const col = await mongo();
+            if (col) return (await col.deleteMany(filter)).deletedCount;
+            const list = readFile();
+            const kept = list.filter(doc => !matches(doc, filter));
+            if (kept.length !== list.length) writeFile(kept);
+            return list.length - kept.length;
+        },
+    };
+}
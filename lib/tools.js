@@ -0,0 +1,135 @@
+import { TOOL_SECRET_HEADER } from './auth.js';
+
+// Registry of server-side HTTP tools the Ultravox agent can call mid-conversation.
+// Each tool declares its parameters once; the same declaration produces the Ultravox
+// `selectedTools` entry and validates the incoming request body.
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+};
+
+/**
+ * Validates a tool request body against the tool's parameter declarations.
+ * Returns a list of human-readable errors (empty when valid).
+ */
+export function validateToolArgs(tool, body = {}) {
+    const errors = [];
+    for (const param of tool.parameters) {
+        const value = body[param.name];
+        if (value === undefined || value === null || value === '') {
+            if (param.required) errors.push(`"${param.name}" is required`);
+            continue;
+        }
+        if (!TYPE_CHECKS[param.type](value)) {
+            errors.push(`"${param.name}" must be a ${param.type}`);
+            continue;
+        }
+        if (param.enum && !param.enum.includes(value)) {
+            errors.push(`"${param.name}" must be one of: ${param.enum.join(', ')}`);
+        }
+        if (param.maxLength && String(value).length > param.maxLength) {
+            errors.push(`"${param.name}" must be at most ${param.maxLength} characters`);
+        }
+        if (param.validate) {
+            const error = param.validate(value);
+            if (error) errors.push(`"${param.name}" ${error}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.baseUrl - public URL the tool endpoints are served under
+ * @param {string} [opts.secret] - sent by Ultravox in the tool secret header on every tool call
+ */
+export function createToolRegistry({ baseUrl, secret = '' }) {
+    const tools = new Map();
+
+    /**
+     * @param {object} tool
+     * @param {string} tool.name - model-facing tool name, also the URL segment under /tools
+     * @param {string} tool.description
+     * @param {Array<{ name: string, type: 'string'|'number'|'boolean', description: string, required?: boolean, enum?: any[], maxLength?: number, validate?: (value: any) => string|null }>} tool.parameters
+     * @param {(args: object, conversation: object) => Promise<{ ok?: boolean, message: string, data?: object }>} tool.handler
+     */
+    function register(tool) {
+        tools.set(tool.name, { parameters: [], ...tool });
+    }
+
+    // Ultravox temporary tool definitions for the call config
+    function selectedTools(names) {
+        return [...tools.values()]
+            .filter(tool => !names || names.includes(tool.name))
+            .map(tool => ({
+                temporaryTool: {
+                    modelToolName: tool.name,
+                    description: tool.description,
+                    dynamicParameters: tool.parameters.map(param => ({
+                        name: param.name,
+                        location: 'PARAMETER_LOCATION_BODY',
+                        schema: {
+                            type: param.type,
+                            description: param.description,
+                            ...(param.enum ? { enum: param.enum } : {}),
+                        },
+                        required: !!param.required,
+                    })),
+                    automaticParameters: [
+                        { name: 'callId', location: 'PARAMETER_LOCATION_BODY', knownValue: 'KNOWN_PARAM_CALL_ID' },
+                    ],
+                    ...(secret ? { staticParameters: [{ name: TOOL_SECRET_HEADER, location: 'PARAMETER_LOCATION_HEADER', value: secret }] } : {}),
+                    http: { baseUrlPattern: `${baseUrl}/tools/${tool.name}`, httpMethod: 'POST' },
+                },
+            }));
+    }
+
+    return {
+        register,
+        selectedTools,
+        get: name => tools.get(name),
+        names: () => [...tools.keys()],
+    };
+}
+
+/**
+ * Express handler for `POST /tools/:name`. Unknown tools and calls get a 404, arguments
+ * that fail validation a 400; every call of a known tool on a known conversation is
+ * recorded through `recordToolCall(conversationId, entry)`. The tool secret is checked
+ * earlier, by the auth middleware.
+ * @param {object} opts
+ * @param {ReturnType<typeof createToolRegistry>} opts.registry
+ * @param {(id: string) => Promise<object|null>} opts.getConversation
+ * @param {(conversationId: string, entry: object) => Promise<void>} opts.recordToolCall
+ */
+export function createToolEndpoint({ registry, getConversation, recordToolCall }) {
+    return async (req, res) => {
+        const tool = registry.get(req.params.name);
+        if (!tool) return res.status(404).json({ ok: false, message: `Unknown tool ${req.params.name}` });
+
+        const { callId, ...args } = req.body || {};
+        console.log(`🛠️ Tool ${tool.name} called for ${callId}:`, args);
+        const conversation = callId ? await getConversation(callId) : null;
+        if (!conversation) return res.status(404).json({ ok: false, message: 'Unknown call' });
+
+        const entry = { at: new Date().toISOString(), tool: tool.name, args };
+        const errors = validateToolArgs(tool, args);
+        if (errors.length > 0) {
+            await recordToolCall(conversation.id, { ...entry, ok: false, error: errors.join('; ') });
+            return res.status(400).json({ ok: false, message: `Invalid arguments: ${errors.join('; ')}` });
+        }
+
+        try {
+            const result = await tool.handler(args, conversation);
+            const ok = result.ok !== false;
+            await recordToolCall(conversation.id, { ...entry, ok, result: result.message });
+            res.json({ ok, message: result.message, ...(result.data ? { data: result.data } : {}) });
+        } catch (error) {
+            console.error(`Error in tool ${tool.name}:`, error);
+            await recordToolCall(conversation.id, { ...entry, ok: false, error: error.message });
+            res.status(500).json({ ok: false, message: 'The tool failed. Continue the conversation without it.' });
+        }
+    };
+}
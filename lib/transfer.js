@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import twilio from 'twilio';
+
+// Warm transfer of an active Twilio call from the Ultravox agent to a human counsellor.
+// The live call is redirected with new TwiML: the caller hears a short hold message and
+// is dialled through to the counsellor's number (who first hears a whisper briefing
+// about the caller) or placed in a Twilio queue. The <Dial>/<Enqueue> action callback
+// reports the outcome back to `statusUrl`.
+
+const E164 = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Reads counsellor transfer configuration from environment variables.
+ */
+export function transferConfigFromEnv(env = process.env) {
+    return {
+        number: env.COUNSELLOR_TRANSFER_NUMBER || '',
+        queue: env.COUNSELLOR_TRANSFER_QUEUE || '',
+        callerId: env.COUNSELLOR_TRANSFER_CALLER_ID || env.TWILIO_FROM_NUMBER || '',
+        announcement: env.TRANSFER_ANNOUNCEMENT || 'Please hold while I connect you to a counsellor.',
+        timeoutSeconds: Number(env.TRANSFER_TIMEOUT_SECONDS || '30'),
+        baseUrl: env.BASE_URL || '',
+    };
+}
+
+export function isValidTransferNumber(value) {
+    return E164.test(String(value || ''));
+}
+
+/**
+ * Builds the TwiML that moves the caller off the agent stream and onto a human.
+ */
+export function buildTransferTwiml({ conversationId, transferId, target, mode, config }) {
+    const query = `conversationId=${encodeURIComponent(conversationId)}&transferId=${encodeURIComponent(transferId)}`;
+    const twiml = new twilio.twiml.VoiceResponse();
+    twiml.say({ voice: 'alice', language: 'en-IN' }, config.announcement);
+    if (mode === 'queue') {
+        twiml.enqueue({ action: `${config.baseUrl}/twilio/transfer-status?${query}`, method: 'POST' }, target);
+    } else {
+        const dial = twiml.dial({
+            action: `${config.baseUrl}/twilio/transfer-status?${query}`,
+            method: 'POST',
+            timeout: config.timeoutSeconds,
+            ...(config.callerId ? { callerId: config.callerId } : {}),
+        });
+        dial.number({ url: `${config.baseUrl}/twilio/transfer-whisper?${query}`, method: 'POST' }, target);
+    }
+    return twiml.toString();
+}
+
+/**
+ * Short briefing read to the counsellor before the caller is connected.
+ */
+export function buildWhisperTwiml(conversation, transfer) {
+    const risk = conversation?.tendency || conversation?.liveRisk?.tendency || 'unknown';
+    const reason = transfer?.reason ? ` Reason: ${transfer.reason}.` : '';
+    const twiml = new twilio.twiml.VoiceResponse();
+    twiml.say({ voice: 'alice', language: 'en-IN' }, `Incoming transfer from the helpline agent. Assessed risk level: ${risk}.${reason} Connecting you now.`);
+    return twiml.toString();
+}
+
+// The transfer still waiting on Twilio's outcome, if any
+export function activeTransfer(conversation) {
+    return (conversation?.transfers || []).find(t => t.status === 'initiated') || null;
+}
+
+export function createTransferService({ twilioClient, config }) {
+    const cfg = { ...transferConfigFromEnv({}), ...config };
+    // Transfers being requested and recorded, by conversation id
+    const inFlight = new Map();
+
+    /**
+     * Redirects the conversation's live Twilio call to a counsellor.
+     * Resolves with the transfer record (status `initiated` or `failed`); never throws for
+     * Twilio errors so callers can persist the outcome either way.
+     */
+    async function transfer(conversation, { target, reason = '', initiatedBy = 'unknown' } = {}) {
+        const mode = target ? 'number' : cfg.number ? 'number' : cfg.queue ? 'queue' : null;
+        const destination = target || cfg.number || cfg.queue;
+        const record = {
+            id: crypto.randomUUID(),
+            mode,
+            target: destination || null,
+            reason,
+            initiatedBy,
+            status: 'initiated',
+            requestedAt: new Date().toISOString(),
+        };
+
+        try {
+            if (!conversation?.twilioCallSid) throw new Error('Conversation has no Twilio call SID');
+            if (!mode) throw new Error('No counsellor number or queue configured');
+            if (mode === 'number' && !isValidTransferNumber(destination)) throw new Error(`Invalid counsellor number: ${destination}`);
+            if (!twilioClient) throw new Error('Twilio client not configured');
+
+            const twiml = buildTransferTwiml({ conversationId: conversation.id, transferId: record.id, target: destination, mode, config: cfg });
+            await twilioClient.calls(conversation.twilioCallSid).update({ twiml });
+            console.log(`📞 Transferring call ${conversation.id} to ${mode} ${destination} (requested by ${initiatedBy})`);
+        } catch (error) {
+            console.error(`Transfer failed for call ${conversation?.id}:`, error.message);
+            record.status = 'failed';
+            record.error = error.message;
+            record.completedAt = new Date().toISOString();
+        }
+        return record;
+    }
+
+    /**
+     * Transfers the call unless a transfer is already under way: one still being requested
+     * through this service, or one recorded as `initiated` on the copy returned by
+     * `load(conversationId)`. `persist(transfer)` records the attempt before the call is
+     * released, so a second request always sees it. Resolves with `{ transfer }` for a new
+     * attempt or `{ inProgress }` with the transfer already under way.
+     */
+    async function transferOnce(conversation, options, { load, persist }) {
+        if (inFlight.has(conversation.id)) {
+            const first = await inFlight.get(conversation.id);
+            return { inProgress: first.transfer || first.inProgress };
+        }
+        const attempt = (async () => {
+            const current = await load(conversation.id) || conversation;
+            const inProgress = activeTransfer(current);
+            if (inProgress) return { inProgress };
+            const record = await transfer(current, options);
+            await persist(record);
+            return { transfer: record };
+        })();
+        inFlight.set(conversation.id, attempt);
+        try {
+            return await attempt;
+        } finally {
+            inFlight.delete(conversation.id);
+        }
+    }
+
+    return { transfer, transferOnce, config: cfg };
+}
@@ -0,0 +1,20 @@
+// Twilio call status callbacks (`POST /twilio/status`). They are Twilio-signed like the
+// other /twilio/* callbacks; a `completed` status starts post-call processing (transcript
+// fetch, analysis, end-of-call alerts) for the conversation with that CallSid.
+
+const ENDED_STATUSES = ['completed'];
+
+/**
+ * Express handler for status callbacks. The callback is acknowledged straight away and
+ * `onCallEnded(callSid, params)` runs afterwards; its errors are logged.
+ */
+export function createTwilioStatusHandler({ onCallEnded }) {
+    return function twilioStatusHandler(req, res) {
+        const { CallSid: callSid, CallStatus: status } = req.body || {};
+        res.status(200).json({ ok: true, message: `Status '${status || 'unknown'}' acknowledged.` });
+        if (!callSid || !ENDED_STATUSES.includes(status)) return Promise.resolve();
+        return Promise.resolve()
+            .then(() => onCallEnded(callSid, req.body))
+            .catch(error => console.error(`Error processing Twilio status callback for ${callSid}:`, error));
+    };
+}
@@ -0,0 +1,203 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAlertDispatcher, buildAlertMessage } from '../lib/alerts.js';
+import { fakeFetch, fakeMailer, fakeTwilioClient, memoryStore } from './helpers.js';
+
+const conversation = { id: 'c1', from: '+919800000000', callerId: 'abc', tendency: 'high', score: 9 };
+
+function setup() {
+    const sent = [];
+    const channel = name => ({ async send(target) { sent.push(`${name}:${target}`); return {}; } });
+    const dispatcher = createAlertDispatcher({
+        config: { channels: ['sms'], tiers: [{ smsTo: ['+91global0'] }, { smsTo: ['+91global1'] }], retryDelayMs: 0, dashboardUrl: 'https://x' },
+        channels: { sms: channel('sms'), email: channel('email') },
+        alertsStore: memoryStore(),
+    });
+    return { dispatcher, sent };
+}
+
+describe('alert routing', () => {
+    test('uses the configured channels and tiers by default', async () => {
+        const { dispatcher, sent } = setup();
+        const alert = await dispatcher.dispatch(conversation);
+        assert.deepEqual(sent, ['sms:+91global0']);
+        assert.ok(alert.nextEscalationAt);
+    });
+
+    test('a routing override applies to the alert and its escalations', async () => {
+        const { dispatcher, sent } = setup();
+        const routing = { channels: ['email'], tiers: [{ emailTo: 'a@helpline.org' }, { emailTo: ['b@helpline.org'] }] };
+        const alert = await dispatcher.dispatch(conversation, { routing });
+        await dispatcher.escalate(alert);
+        const exhausted = await dispatcher.escalate(alert);
+        assert.deepEqual(sent, ['email:a@helpline.org', 'email:b@helpline.org']);
+        assert.equal(exhausted.tier, 1);
+        assert.equal(exhausted.nextEscalationAt, null);
+    });
+
+    test('trend alerts describe the escalation and link to the caller page', () => {
+        const message = buildAlertMessage(conversation, { dashboardUrl: 'https://x' }, { reason: 'worsening_trend', detail: 'low → high' });
+        assert.equal(message, 'RISK TREND: caller +919800000000 is escalating (low → high). https://x/callers/abc');
+    });
+});
+
+describe('alert channels', () => {
+    const tiers = [{ smsTo: ['+91oncall0'], voiceTo: ['+91oncall0'], emailTo: ['oncall@helpline.org'], webhookUrls: ['https://hooks.example.org/alert'] }];
+
+    // The real channels over local Twilio, SMTP and HTTP stand-ins
+    function setup({ twilio = () => ({}), mail = () => ({}), hook = () => ({ status: 200 }), maxAttempts = 3 } = {}) {
+        const twilioClient = fakeTwilioClient(twilio);
+        const mailer = fakeMailer(mail);
+        const fetchImpl = fakeFetch(hook);
+        const alertsStore = memoryStore();
+        const dispatcher = createAlertDispatcher({
+            config: { channels: ['sms', 'voice', 'email', 'webhook'], tiers, fromNumber: '+91helpline', emailFrom: 'alerts@helpline.org', maxAttempts, retryDelayMs: 0 },
+            twilioClient, mailer, fetchImpl, alertsStore,
+        });
+        return { dispatcher, twilioClient, mailer, fetchImpl, alertsStore };
+    }
+
+    test('each channel sends the alert message to its targets', async () => {
+        const { dispatcher, twilioClient, mailer, fetchImpl } = setup();
+        const alert = await dispatcher.dispatch(conversation);
+
+        const [sms, voice] = twilioClient.requests;
+        assert.deepEqual(sms, { kind: 'sms', params: { to: '+91oncall0', from: '+91helpline', body: alert.message } });
+        assert.equal(voice.kind, 'voice');
+        assert.equal(voice.params.to, '+91oncall0');
+        assert.match(voice.params.twiml, /<Say[^>]*>EMERGENCY: caller \+919800000000/);
+        assert.equal(mailer.sent[0].to, 'oncall@helpline.org');
+        assert.equal(mailer.sent[0].from, 'alerts@helpline.org');
+        assert.equal(mailer.sent[0].text, alert.message);
+        assert.equal(fetchImpl.calls[0].url, 'https://hooks.example.org/alert');
+        assert.equal(fetchImpl.calls[0].body.alert.id, alert.id);
+        assert.deepEqual(alert.deliveries.map(d => [d.channel, d.status, d.attempts, d.providerId]), [
+            ['sms', 'sent', 1, 'SM1'],
+            ['voice', 'sent', 1, 'CA2'],
+            ['email', 'sent', 1, '<1@test>'],
+            ['webhook', 'sent', 1, '200'],
+        ]);
+    });
+
+    test('failed deliveries are retried independently up to maxAttempts', async () => {
+        let smsFailures = 2;
+        const { dispatcher, twilioClient } = setup({
+            twilio: kind => {
+                if (kind === 'sms' && smsFailures-- > 0) throw new Error('Twilio 503');
+                return {};
+            },
+            hook: () => ({ status: 500 }),
+        });
+        const alert = await dispatcher.dispatch(conversation);
+        const by = channel => alert.deliveries.find(d => d.channel === channel);
+
+        assert.equal(twilioClient.requests.filter(r => r.kind === 'sms').length, 3);
+        assert.deepEqual([by('sms').status, by('sms').attempts, by('sms').lastError], ['sent', 3, null]);
+        assert.deepEqual([by('webhook').status, by('webhook').attempts, by('webhook').lastError], ['failed', 3, 'Webhook responded 500']);
+        assert.equal(by('voice').attempts, 1);
+        assert.equal(alert.status, 'sent');
+    });
+
+    test('an alert is failed when no delivery gets through', async () => {
+        const down = () => { throw new Error('unreachable'); };
+        const { dispatcher } = setup({ twilio: down, mail: down, hook: down, maxAttempts: 2 });
+        const alert = await dispatcher.dispatch(conversation);
+        assert.equal(alert.status, 'failed');
+        assert.ok(alert.deliveries.every(d => d.status === 'failed' && d.attempts === 2 && d.lastError === 'unreachable'));
+    });
+
+    test('the alert record is persisted with its deliveries', async () => {
+        const { dispatcher, alertsStore } = setup();
+        const alert = await dispatcher.dispatch(conversation, { reason: 'live_detection' });
+        const stored = await alertsStore.findOne({ id: alert.id });
+        assert.equal(stored.conversationId, 'c1');
+        assert.equal(stored.reason, 'live_detection');
+        assert.equal(stored.status, 'sent');
+        assert.equal(stored.tier, 0);
+        assert.equal(stored.tendency, 'high');
+        assert.equal(stored.score, 9);
+        assert.equal(stored.deliveries.length, 4);
+        assert.equal(stored.nextEscalationAt, null);
+        assert.ok(stored.createdAt && stored.updatedAt);
+    });
+});
+
+describe('acknowledgement and escalation', () => {
+    const later = () => new Date(Date.now() + 60 * 60 * 1000);
+
+    function setup({ onSend = () => {} } = {}) {
+        const sent = [];
+        const alertsStore = memoryStore();
+        const sms = { async send(target, message, alert) { sent.push(target); await onSend(target, alert); return {}; } };
+        const dispatcher = createAlertDispatcher({
+            config: { channels: ['sms'], tiers: [{ smsTo: ['+91tier0'] }, { smsTo: ['+91tier1'] }, { smsTo: ['+91tier2'] }], retryDelayMs: 0, escalateAfterMs: 5 * 60 * 1000 },
+            channels: { sms },
+            alertsStore,
+        });
+        return { dispatcher, alertsStore, sent };
+    }
+
+    test('escalates to the next tier once the acknowledgement window has passed', async () => {
+        const { dispatcher, sent } = setup();
+        await dispatcher.dispatch(conversation);
+
+        assert.deepEqual(await dispatcher.escalateDue(new Date()), []);
+        const [escalated] = await dispatcher.escalateDue(later());
+        assert.equal(escalated.tier, 1);
+        assert.deepEqual(sent, ['+91tier0', '+91tier1']);
+    });
+
+    test('an acknowledged alert is not escalated and acknowledging twice keeps the first', async () => {
+        const { dispatcher, alertsStore, sent } = setup();
+        const alert = await dispatcher.dispatch(conversation);
+        await dispatcher.acknowledge(alert, { by: 'asha', note: 'calling back' });
+        await dispatcher.acknowledge(alert, { by: 'ravi' });
+
+        assert.deepEqual(await dispatcher.escalateDue(later()), []);
+        const stored = await alertsStore.findOne({ id: alert.id });
+        assert.equal(stored.status, 'acknowledged');
+        assert.equal(stored.acknowledgedBy, 'asha');
+        assert.equal(stored.nextEscalationAt, null);
+        assert.deepEqual(sent, ['+91tier0']);
+    });
+
+    test('overlapping escalation checks notify the next tier once', async () => {
+        const { dispatcher, sent } = setup();
+        await dispatcher.dispatch(conversation);
+        const now = later();
+
+        await Promise.all([dispatcher.escalateDue(now), dispatcher.escalateDue(now)]);
+        assert.deepEqual(sent, ['+91tier0', '+91tier1']);
+    });
+
+    test('a stale copy of an escalated alert is not escalated again', async () => {
+        const { dispatcher, sent } = setup();
+        const alert = await dispatcher.dispatch(conversation);
+        const stale = structuredClone(alert);
+
+        await dispatcher.escalate(alert);
+        const result = await dispatcher.escalate(stale);
+        assert.equal(result.tier, 1);
+        assert.deepEqual(sent, ['+91tier0', '+91tier1']);
+    });
+
+    test('an acknowledgement made while a tier is being notified stops the escalation', async () => {
+        let dispatcher;
+        const ctx = setup({
+            async onSend(target, alert) {
+                // The counsellor acknowledges from the dashboard, which reads its own copy
+                if (target === '+91tier1') await dispatcher.acknowledge(structuredClone(alert), { by: 'asha' });
+            },
+        });
+        dispatcher = ctx.dispatcher;
+        const alert = await dispatcher.dispatch(conversation);
+
+        const escalated = await dispatcher.escalate(alert);
+        assert.equal(escalated.status, 'acknowledged');
+        assert.equal(escalated.acknowledgedBy, 'asha');
+        assert.equal(escalated.nextEscalationAt, null);
+        assert.deepEqual(await dispatcher.escalateDue(later()), []);
+        assert.equal((await ctx.alertsStore.findOne({ id: alert.id })).status, 'acknowledged');
+        assert.deepEqual(ctx.sent, ['+91tier0', '+91tier1']);
+    });
+});
@@ -0,0 +1,72 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditToCsv, createAuditLog, diffRecords } from '../lib/audit.js';
+import { memoryStore } from './helpers.js';
+
+const at = minute => new Date(Date.UTC(2026, 9, 19, 10, minute));
+
+test('diffs list changed fields and hide sensitive values', () => {
+    const before = { id: 'c1', tendency: 'low', transcript: 'User: call me on 9876543210', updatedAt: 'a' };
+    const after = { id: 'c1', tendency: 'high', transcript: 'User: call me on [PHONE]', summary: 'Risk', updatedAt: 'b' };
+    assert.deepEqual(diffRecords(before, after, { sensitiveFields: ['transcript', 'summary'] }), {
+        tendency: { before: 'low', after: 'high' },
+        transcript: { changed: true },
+        summary: { changed: true },
+    });
+    assert.deepEqual(diffRecords(null, { id: 'c2' }), { id: { before: null, after: 'c2' } });
+});
+
+describe('createAuditLog', () => {
+    async function seeded() {
+        const auditStore = memoryStore();
+        const log = createAuditLog({ auditStore });
+        await Promise.all([
+            log.append({ actor: 'ravi', role: 'counsellor', action: 'view', conversationId: 'c1', now: at(1) }),
+            log.append({ actor: 'asha', role: 'admin', action: 'refresh', conversationId: 'c1', changes: { tendency: { before: 'low', after: 'high' } }, now: at(2) }),
+            log.append({ actor: 'ravi', role: 'counsellor', action: 'view', conversationId: 'c2', now: at(3) }),
+        ]);
+        return { auditStore, log };
+    }
+
+    test('entries are chained in order, even when appended concurrently', async () => {
+        const { auditStore, log } = await seeded();
+        assert.deepEqual(auditStore.list.map(e => e.seq), [1, 2, 3]);
+        assert.equal(auditStore.list[1].prevHash, auditStore.list[0].hash);
+        assert.deepEqual(await log.verify(), { ok: true, entries: 3, brokenAt: null, reason: null });
+    });
+
+    test('a fresh log continues the stored chain', async () => {
+        const { auditStore } = await seeded();
+        const entry = await createAuditLog({ auditStore }).append({ actor: 'audit', action: 'list', now: at(4) });
+        assert.equal(entry.seq, 4);
+        assert.equal(entry.prevHash, auditStore.list[2].hash);
+    });
+
+    test('edited or deleted entries break verification', async () => {
+        const edited = await seeded();
+        edited.auditStore.list[1].actor = 'someone-else';
+        assert.deepEqual(await edited.log.verify(), { ok: false, entries: 3, brokenAt: 2, reason: 'entry modified' });
+
+        const deleted = await seeded();
+        deleted.auditStore.list.splice(0, 1);
+        assert.equal((await deleted.log.verify()).reason, 'missing entry');
+    });
+
+    test('query filters by conversation, actor, action and time, newest first', async () => {
+        const { log } = await seeded();
+        assert.deepEqual((await log.query({ conversationId: 'c1' })).map(e => e.action), ['refresh', 'view']);
+        assert.deepEqual((await log.query({ actor: 'ravi', action: 'view' })).map(e => e.conversationId), ['c2', 'c1']);
+        assert.deepEqual((await log.query({ since: at(2).toISOString(), until: at(2).toISOString() })).map(e => e.seq), [2]);
+        assert.equal((await log.query({ limit: 1 }))[0].seq, 3);
+    });
+});
+
+test('CSV export quotes cells and defuses formulas', () => {
+    const csv = auditToCsv([{
+        seq: 1, at: '2026-10-19T10:00:00.000Z', actor: '=HYPERLINK("x")', role: 'admin', action: 'refresh',
+        conversationId: 'c1', changes: { tendency: { before: 'low', after: 'high' } }, detail: null, hash: 'abc',
+    }]);
+    const [header, row] = csv.trim().split('\r\n');
+    assert.equal(header, 'seq,at,actor,role,action,conversationId,changes,detail,hash');
+    assert.equal(row, `1,2026-10-19T10:00:00.000Z,"'=HYPERLINK(""x"")",admin,refresh,c1,"{""tendency"":{""before"":""low"",""after"":""high""}}",,abc`);
+});
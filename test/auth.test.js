@@ -0,0 +1,158 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import twilio from 'twilio';
+import {
+    parseUsers, authConfigFromEnv, authenticate, routeAccess, verifyTwilioSignature, verifyUltravoxSignature, createAuthMiddleware,
+} from '../lib/auth.js';
+
+const basic = (name, password) => `Basic ${Buffer.from(`${name}:${password}`).toString('base64')}`;
+const USERS = parseUsers('asha:admin:s3cret,ravi:counsellor:pa:ss,audit:auditor:look').users;
+
+// Runs the middleware against a stand-in request; resolves with the status (200 = next())
+function run(config, { method = 'GET', path, query = '', headers = {}, body = {}, rawBody } = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+    const req = { method, path, originalUrl: `${path}${query}`, body, rawBody, get: name => lower[name.toLowerCase()] };
+    return new Promise(resolve => {
+        const res = {
+            headers: {},
+            set(name, value) { this.headers[name] = value; return this; },
+            status(code) { this.code = code; return this; },
+            json(payload) { resolve({ status: this.code, payload, headers: this.headers, req }); },
+        };
+        createAuthMiddleware(config)(req, res, () => resolve({ status: 200, req }));
+    });
+}
+
+const config = (overrides = {}) => ({
+    ...authConfigFromEnv({ ULTRAVOX_API_KEY: 'uvx-key', TWILIO_AUTH_TOKEN: 'twilio-token', ULTRAVOX_WEBHOOK_SECRET: 'uvx-secret', BASE_URL: 'https://helpline.example.org/' }),
+    users: USERS,
+    ...overrides,
+});
+
+describe('users', () => {
+    test('parseUsers reads name:role:password entries and reports bad ones', () => {
+        assert.deepEqual(USERS.map(u => [u.name, u.role, u.secret]), [['asha', 'admin', 's3cret'], ['ravi', 'counsellor', 'pa:ss'], ['audit', 'auditor', 'look']]);
+        assert.deepEqual(parseUsers('x:root:pw, y:admin').errors, [
+            'AUTH_USERS role for "x" must be one of: admin, counsellor, auditor',
+            'AUTH_USERS entry for "y" needs name:role:password',
+        ]);
+    });
+
+    test('authenticate accepts Basic and Bearer credentials', () => {
+        assert.equal(authenticate(basic('ravi', 'pa:ss'), USERS).name, 'ravi');
+        assert.equal(authenticate('Bearer look', USERS).role, 'auditor');
+        assert.equal(authenticate(basic('ravi', 'wrong'), USERS), null);
+        assert.equal(authenticate(basic('asha', 'look'), USERS), null);
+        assert.equal(authenticate(undefined, USERS), null);
+    });
+});
+
+test('routeAccess ignores case and trailing slashes like Express routing', () => {
+    assert.equal(routeAccess('GET', '/API/conversations/abc/original-transcript'), 'pii');
+    assert.equal(routeAccess('GET', '/api/conversations/abc/original-transcript/'), 'pii');
+    assert.equal(routeAccess('PUT', '/API/admin/lexicon'), 'admin');
+    assert.equal(routeAccess('POST', '/api/conversations/refresh-all/'), 'admin');
+    assert.equal(routeAccess('DELETE', '/API/callers/%2B919876543210'), 'admin');
+    assert.equal(routeAccess('GET', '/Api/Audit/'), 'audit');
+    assert.equal(routeAccess('GET', '/Health/'), 'public');
+});
+
+test('case and trailing-slash variants get the same role checks', async () => {
+    const as = (user, password, method, path) => run(config(), { method, path, headers: { Authorization: basic(user, password) } });
+    assert.equal((await as('audit', 'look', 'GET', '/API/conversations/c1/original-transcript')).status, 403);
+    assert.equal((await as('audit', 'look', 'GET', '/api/conversations/c1/original-transcript/')).status, 403);
+    assert.equal((await as('ravi', 'pa:ss', 'PUT', '/API/admin/lexicon')).status, 403);
+    assert.equal((await as('ravi', 'pa:ss', 'DELETE', '/API/callers/abc')).status, 403);
+    assert.equal((await as('ravi', 'pa:ss', 'GET', '/API/audit/')).status, 403);
+    assert.equal((await as('asha', 's3cret', 'DELETE', '/API/callers/abc/')).status, 200);
+});
+
+test('routeAccess classifies every kind of route', () => {
+    assert.equal(routeAccess('GET', '/health'), 'public');
+    assert.equal(routeAccess('POST', '/incoming/consent'), 'twilio');
+    assert.equal(routeAccess('POST', '/twilio/transfer-status'), 'twilio');
+    assert.equal(routeAccess('POST', '/ultravox/events'), 'ultravox');
+    assert.equal(routeAccess('POST', '/tools/flagRisk'), 'tool');
+    assert.equal(routeAccess('GET', '/dashboard'), 'view');
+    assert.equal(routeAccess('POST', '/api/conversations/abc/acknowledge'), 'act');
+    assert.equal(routeAccess('GET', '/api/admin/personas'), 'admin');
+    assert.equal(routeAccess('POST', '/api/conversations/refresh-all'), 'admin');
+    assert.equal(routeAccess('GET', '/api/conversations/abc/original-transcript'), 'pii');
+    assert.equal(routeAccess('GET', '/api/callers/abc'), 'view');
+    assert.equal(routeAccess('DELETE', '/api/callers/+919800000000'), 'admin');
+    assert.equal(routeAccess('GET', '/api/audit/export'), 'audit');
+});
+
+describe('webhook signatures', () => {
+    test('Twilio signature checks need BASE_URL', () => {
+        assert.deepEqual(authConfigFromEnv({}).errors, ['BASE_URL is required to check Twilio signatures']);
+        assert.deepEqual(authConfigFromEnv({ TWILIO_VALIDATE_SIGNATURES: 'false' }).errors, []);
+        assert.equal(authConfigFromEnv({ BASE_URL: 'https://helpline.example.org/' }).baseUrl, 'https://helpline.example.org');
+    });
+
+    test('Twilio signatures are checked against the public URL and form params', () => {
+        const params = { CallSid: 'CA1', From: '+919800000000' };
+        const url = 'https://helpline.example.org/incoming';
+        const signature = twilio.getExpectedTwilioSignature('twilio-token', url, params);
+        assert.equal(verifyTwilioSignature({ authToken: 'twilio-token', signature, url, params }), true);
+        assert.equal(verifyTwilioSignature({ authToken: 'twilio-token', signature, url, params: { ...params, From: '+910000000000' } }), false);
+        assert.equal(verifyTwilioSignature({ authToken: '', signature, url, params }), false);
+    });
+
+    test('Ultravox signatures cover the body and a fresh timestamp', () => {
+        const now = new Date('2026-10-19T10:00:00.000Z');
+        const rawBody = Buffer.from('{"event":"call.ended"}');
+        const timestamp = '2026-10-19T09:59:30.000Z';
+        const sign = (secret, ts = timestamp) => crypto.createHmac('sha256', secret).update(Buffer.concat([rawBody, Buffer.from(ts)])).digest('hex');
+        const check = overrides => verifyUltravoxSignature({ secret: 'uvx-secret', signatureHeader: sign('uvx-secret'), timestamp, rawBody, now, ...overrides });
+        assert.equal(check(), true);
+        assert.equal(check({ signatureHeader: `${sign('old-secret')},${sign('uvx-secret')}` }), true);
+        assert.equal(check({ rawBody: Buffer.from('{"event":"forged"}') }), false);
+        assert.equal(check({ timestamp: '2026-10-19T09:00:00.000Z', signatureHeader: sign('uvx-secret', '2026-10-19T09:00:00.000Z') }), false);
+    });
+});
+
+describe('createAuthMiddleware', () => {
+    test('pages and API need a signed-in user whose role allows the request', async () => {
+        const anonymous = await run(config(), { path: '/dashboard' });
+        assert.equal(anonymous.status, 401);
+        assert.match(anonymous.headers['WWW-Authenticate'], /^Basic /);
+
+        const auditor = await run(config(), { path: '/conversations/abc', headers: { Authorization: 'Bearer look' } });
+        assert.equal(auditor.status, 200);
+        assert.deepEqual(auditor.req.user, { name: 'audit', role: 'auditor' });
+        assert.equal((await run(config(), { method: 'POST', path: '/api/conversations/abc/review', headers: { Authorization: 'Bearer look' } })).status, 403);
+        assert.equal((await run(config(), { method: 'POST', path: '/api/conversations/abc/review', headers: { Authorization: basic('ravi', 'pa:ss') } })).status, 200);
+        assert.equal((await run(config(), { method: 'PUT', path: '/api/admin/personas/x', headers: { Authorization: basic('ravi', 'pa:ss') } })).status, 403);
+        assert.equal((await run(config(), { method: 'PUT', path: '/api/admin/personas/x', headers: { Authorization: basic('asha', 's3cret') } })).status, 200);
+        assert.equal((await run(config(), { path: '/api/conversations/abc/original-transcript', headers: { Authorization: 'Bearer look' } })).status, 403);
+        assert.equal((await run(config(), { path: '/api/conversations/abc/original-transcript', headers: { Authorization: basic('ravi', 'pa:ss') } })).status, 200);
+        assert.equal((await run(config(), { path: '/api/audit', headers: { Authorization: 'Bearer look' } })).status, 200);
+        assert.equal((await run(config(), { path: '/api/audit', headers: { Authorization: basic('ravi', 'pa:ss') } })).status, 403);
+        assert.equal((await run(config(), { path: '/health' })).status, 200);
+    });
+
+    test('with users disabled, webhooks are still verified', async () => {
+        const open = config({ disabled: true });
+        assert.equal((await run(open, { path: '/dashboard' })).status, 200);
+        assert.equal((await run(open, { method: 'POST', path: '/incoming', body: { CallSid: 'CA1' } })).status, 403);
+        assert.equal((await run(open, { method: 'POST', path: '/ultravox/events', rawBody: Buffer.from('{}') })).status, 403);
+    });
+
+    test('Twilio callbacks with a valid signature pass', async () => {
+        const body = { CallSid: 'CA1', Digits: '1' };
+        const signature = twilio.getExpectedTwilioSignature('twilio-token', 'https://helpline.example.org/incoming/consent?language=ta', body);
+        const request = { method: 'POST', path: '/incoming/consent', query: '?language=ta', body, headers: { 'X-Twilio-Signature': signature } };
+        assert.equal((await run(config(), request)).status, 200);
+        assert.equal((await run(config(), { ...request, query: '?language=hi' })).status, 403);
+    });
+
+    test('tool calls need the tool secret derived from the API key', async () => {
+        const { toolSecret } = config();
+        assert.equal(toolSecret.length, 64);
+        assert.equal((await run(config(), { method: 'POST', path: '/tools/flagRisk', headers: { 'X-Tool-Secret': toolSecret } })).status, 200);
+        assert.equal((await run(config(), { method: 'POST', path: '/tools/flagRisk', headers: { 'X-Tool-Secret': 'guess' } })).status, 403);
+        assert.equal(authConfigFromEnv({ ULTRAVOX_TOOL_SECRET: 'explicit' }).toolSecret, 'explicit');
+    });
+});
@@ -0,0 +1,57 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCallerMemory, callerMemoryConfigFromEnv } from '../lib/callerMemory.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const daysAgo = days => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+const conversation = (id, days, overrides = {}) => ({
+    id,
+    status: 'completed',
+    createdAt: daysAgo(days),
+    tendency: 'low',
+    geminiAnalysis: { assessment_summary: `Talked about exams (${id}).`, emotional_state: 'anxious', concerning_phrases: ['secret phrase'] },
+    transcript: 'User: transcript text that must not leak',
+    ...overrides,
+});
+
+describe('buildCallerMemory', () => {
+    test('returns null for first-time callers', () => {
+        assert.equal(buildCallerMemory([], {}, NOW), null);
+        assert.equal(buildCallerMemory([conversation('live', 0, { status: 'active', tendency: undefined, geminiAnalysis: undefined })], {}, NOW), null);
+    });
+
+    test('summarizes the most recent calls without transcript text or phrases', () => {
+        const memory = buildCallerMemory([conversation('a', 10), conversation('b', 1), conversation('c', 5), conversation('d', 20)], { maxCalls: 2 }, NOW);
+        assert.deepEqual(memory.conversationIds, ['b', 'c']);
+        assert.match(memory.text, /called 4 times before; the last call was yesterday/);
+        assert.match(memory.text, /Talked about exams \(b\)\. They seemed: anxious\./);
+        assert.doesNotMatch(memory.text, /\(a\)|transcript text|secret phrase/);
+    });
+
+    test('includes agreed follow-ups and masks numbers', () => {
+        const memory = buildCallerMemory([conversation('a', 2, {
+            callbacks: [
+                { status: 'scheduled', requestedFor: '2026-03-12T13:00:00.000Z', note: 'Call back on +91 98765 43210 after the exam' },
+                { status: 'completed', requestedFor: '2026-03-09T13:00:00.000Z', note: 'done' },
+            ],
+        })], {}, NOW);
+        assert.equal(memory.followUps, 1);
+        assert.match(memory.text, /follow-up call for 2026-03-12 13:00 UTC: Call back on \[number\] after the exam/);
+        assert.doesNotMatch(memory.text, /98765/);
+    });
+
+    test('asks for a safety check-in after a high-risk call', () => {
+        assert.match(buildCallerMemory([conversation('a', 1, { tendency: 'severe' })], {}, NOW).text, /whether they are safe/);
+    });
+
+    test('drops calls older than the memory window and respects the length cap', () => {
+        assert.equal(buildCallerMemory([conversation('a', 200)], {}, NOW), null);
+        const long = conversation('a', 1, { geminiAnalysis: { assessment_summary: 'x '.repeat(500), emotional_state: 'tired' } });
+        assert.ok(buildCallerMemory([long, conversation('b', 2)], { maxChars: 300 }, NOW).text.length <= 300);
+    });
+
+    test('reads limits from the environment', () => {
+        assert.deepEqual(callerMemoryConfigFromEnv({}), { enabled: true, maxCalls: 3, maxAgeDays: 90, maxChars: 1200 });
+        assert.equal(callerMemoryConfigFromEnv({ CALLER_MEMORY_ENABLED: 'false' }).enabled, false);
+    });
+});
@@ -0,0 +1,176 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { hashCallerNumber, normalizePhoneNumber, isPhoneNumber, detectEscalation, createCallerRegistry, callerConfigFromEnv, localHashSecret } from '../lib/callers.js';
+import { memoryStore } from './helpers.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const daysAgo = days => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+const calls = (...tendencies) => tendencies.map(([tendency, days]) => ({ tendency, at: daysAgo(days) }));
+
+describe('caller ids', () => {
+    test('the same number hashes the same way whatever its formatting', () => {
+        assert.equal(normalizePhoneNumber('+91 98765-43210'), '+919876543210');
+        assert.equal(hashCallerNumber('+91 98765-43210', 's'), hashCallerNumber('+919876543210', 's'));
+        assert.match(hashCallerNumber('+919876543210', 's'), /^[0-9a-f]{32}$/);
+    });
+
+    test('the secret changes the id and withheld numbers have none', () => {
+        assert.notEqual(hashCallerNumber('+919876543210', 'a'), hashCallerNumber('+919876543210', 'b'));
+        assert.equal(hashCallerNumber('anonymous'), null);
+        assert.equal(hashCallerNumber(undefined), null);
+    });
+
+    test('tells phone numbers apart from caller ids', () => {
+        assert.equal(isPhoneNumber('+919876543210'), true);
+        assert.equal(isPhoneNumber(hashCallerNumber('+919876543210')), false);
+    });
+});
+
+describe('hashing secret', () => {
+    test('is required once MongoDB or encryption is configured', () => {
+        assert.deepEqual(callerConfigFromEnv({}).errors, []);
+        assert.match(callerConfigFromEnv({ MONGODB_URI: 'mongodb://db' }).errors[0], /CALLER_HASH_SECRET/);
+        assert.match(callerConfigFromEnv({ ENCRYPTION_KEY_FILE: 'keys.json' }).errors[0], /CALLER_HASH_SECRET/);
+        assert.deepEqual(callerConfigFromEnv({ MONGODB_URI: 'mongodb://db', CALLER_HASH_SECRET: 's' }).errors, []);
+    });
+
+    test('local storage generates one and keeps it across restarts', () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'callers-')), 'data', 'caller-hash-secret');
+        const secret = localHashSecret(file);
+        assert.equal(secret.length, 64);
+        assert.equal(localHashSecret(file), secret);
+        assert.notEqual(hashCallerNumber('+919876543210', secret), hashCallerNumber('+919876543210'));
+        fs.rmSync(path.dirname(path.dirname(file)), { recursive: true });
+    });
+});
+
+describe('detectEscalation', () => {
+    test('flags a steady rise across the window', () => {
+        const trend = detectEscalation(calls(['low', 6], ['medium', 3], ['high', 0]), {}, NOW);
+        assert.equal(trend.escalating, true);
+        assert.equal(trend.from, 'low');
+        assert.equal(trend.to, 'high');
+        assert.equal(trend.calls, 3);
+        assert.match(trend.summary, /low → medium → high across 3 calls/);
+    });
+
+    test('needs enough calls and a large enough rise', () => {
+        assert.equal(detectEscalation(calls(['low', 2], ['high', 0]), {}, NOW).escalating, false);
+        assert.equal(detectEscalation(calls(['low', 4], ['low', 2], ['medium', 0]), {}, NOW).escalating, false);
+        assert.equal(detectEscalation(calls(['low', 2], ['high', 0]), { trendMinCalls: 2 }, NOW).escalating, true);
+    });
+
+    test('ignores calls outside the window and runs broken by an improvement', () => {
+        assert.equal(detectEscalation(calls(['low', 20], ['medium', 3], ['high', 0]), {}, NOW).escalating, false);
+        assert.equal(detectEscalation(calls(['low', 5], ['high', 4], ['medium', 2], ['high', 0]), {}, NOW).escalating, false);
+    });
+});
+
+describe('createCallerRegistry', () => {
+    const PHONE = '+919876543210';
+    const conversation = (id, tendency, days) => ({ id, from: PHONE, tendency, score: 1, createdAt: daysAgo(days), geminiAnalysis: { emotional_state: `state ${id}` } });
+
+    // Conversations are stored with their caller id, as index.js does
+    const stored = c => ({ ...c, callerId: hashCallerNumber(c.from) });
+
+    function setup(conversations, { legacy = [] } = {}) {
+        const alerts = [];
+        const conversationsStore = memoryStore([...conversations.map(stored), ...legacy]);
+        const callersStore = memoryStore();
+        const registry = createCallerRegistry({
+            callersStore,
+            conversationsStore,
+            onEscalation: async (c, trend) => { alerts.push({ conversationId: c.id, trend }); return { id: `alert-${c.id}` }; },
+        });
+        // Keeps the test's list and the store in step
+        const add = (list, c) => { list.push(c); return conversationsStore.upsert(stored(c)); };
+        return { registry, alerts, add, conversationsStore, callersStore };
+    }
+
+    test('aggregates every call from the number, oldest first', async () => {
+        const { registry } = setup([conversation('b', 'medium', 1), conversation('a', 'low', 3), { id: 'x', from: '+910000000000', createdAt: daysAgo(1) }]);
+        const profile = await registry.get(registry.callerIdFor(PHONE));
+        assert.equal(profile.callCount, 2);
+        assert.deepEqual(profile.calls.map(c => c.conversationId), ['a', 'b']);
+        assert.equal(profile.calls[1].emotionalState, 'state b');
+        assert.equal(profile.highestTendency, 'medium');
+        assert.equal(await registry.get('unknown'), null);
+    });
+
+    test('looks up only the caller\'s own conversations, up to a limit', async () => {
+        const { registry } = setup([conversation('a', 'low', 3), conversation('b', 'medium', 1), { id: 'x', from: '+910000000000', createdAt: daysAgo(1) }]);
+        const callerId = registry.callerIdFor(PHONE);
+        assert.deepEqual((await registry.conversationsFor(callerId)).map(c => c.id).sort(), ['a', 'b']);
+        assert.equal((await registry.conversationsFor(callerId, { limit: 1 })).length, 1);
+    });
+
+    test('alerts once on a worsening trend ending in the latest call', async () => {
+        const list = [conversation('a', 'low', 5), conversation('b', 'medium', 3), conversation('c', 'high', 1)];
+        const { registry, alerts, add } = setup(list);
+
+        await registry.recordCall(list[1], { now: NOW });
+        assert.equal(alerts.length, 0);
+        const profile = await registry.recordCall(list[2], { now: NOW });
+        assert.equal(alerts.length, 1);
+        assert.equal(alerts[0].trend.to, 'high');
+        assert.equal(profile.trendAlerts[0].alertId, 'alert-c');
+
+        await registry.recordCall(list[2], { now: NOW });
+        await add(list, conversation('d', 'high', 0));
+        await registry.recordCall(list[3], { now: NOW });
+        assert.equal(alerts.length, 1);
+
+        await add(list, conversation('e', 'severe', 0));
+        await registry.recordCall(list[4], { now: NOW });
+        assert.equal(alerts.length, 2);
+    });
+
+    test('keeps the memory opt-out across profile rebuilds', async () => {
+        const list = [conversation('a', 'low', 5)];
+        const { registry, add } = setup(list);
+        const callerId = registry.callerIdFor(PHONE);
+        const updated = await registry.setMemoryOptOut(callerId, true, { by: 'caller' });
+        assert.equal(updated.memoryOptOut, true);
+        assert.equal(updated.memoryOptOutChangedBy, 'caller');
+        await add(list, conversation('b', 'low', 1));
+        assert.equal((await registry.recordCall(list[1], { now: NOW })).memoryOptOut, true);
+        assert.equal(await registry.setMemoryOptOut('unknown', true), null);
+    });
+
+    test('re-analysis updates the profile without alerting', async () => {
+        const list = [conversation('a', 'low', 5), conversation('b', 'medium', 3), conversation('c', 'high', 1)];
+        const { registry, alerts } = setup(list);
+        const profile = await registry.recordCall(list[2], { alert: false, now: NOW });
+        assert.equal(profile.trend.escalating, true);
+        assert.equal(alerts.length, 0);
+    });
+
+    test('reading a profile does not write it', async () => {
+        const { registry, callersStore } = setup([conversation('a', 'low', 3)]);
+        const callerId = registry.callerIdFor(PHONE);
+        assert.equal((await registry.get(callerId)).callCount, 1);
+        assert.equal(callersStore.list.length, 0);
+
+        await registry.setPreferredLanguage(callerId, 'ta');
+        const saved = { ...callersStore.list[0] };
+        assert.equal((await registry.get(callerId)).preferredLanguage, 'ta');
+        assert.deepEqual(callersStore.list[0], saved);
+    });
+
+    test('conversations stored without a caller id get one and join the history', async () => {
+        const legacy = [conversation('old', 'medium', 10), { id: 'withheld', from: 'anonymous', createdAt: daysAgo(9) }];
+        const { registry, conversationsStore } = setup([conversation('new', 'low', 1)], { legacy });
+        const callerId = registry.callerIdFor(PHONE);
+        assert.equal((await registry.get(callerId)).callCount, 1);
+
+        const saved = [];
+        const save = (record, before) => { saved.push({ id: record.id, before: before.callerId }); return conversationsStore.upsert(record); };
+        assert.equal(await registry.backfillCallerIds({ save }), 1);
+        assert.deepEqual(saved, [{ id: 'old', before: undefined }]);
+        assert.deepEqual((await registry.get(callerId)).calls.map(c => c.conversationId), ['old', 'new']);
+        assert.equal(await registry.backfillCallerIds({ save }), 0);
+    });
+});
@@ -0,0 +1,96 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitIntoWindows, splitLongTurns, mergeSegmentAnalyses, chunkConfigFromEnv } from '../lib/chunking.js';
+import { validAnalysis } from './helpers.js';
+
+// Turns of exactly 100 formatted characters ("User: " + text + newline overhead)
+const turns = count => Array.from({ length: count }, (_, i) => ({ role: i % 2 ? 'agent' : 'user', text: `${i}`.padEnd(92, '.') }));
+
+const segment = (index, startTurn, endTurn, analysis) => ({ index, count: 3, startTurn, endTurn, analysis });
+
+describe('splitIntoWindows', () => {
+    test('keeps a transcript that fits in one window', () => {
+        assert.deepEqual(splitIntoWindows(turns(5), { maxChars: 1000, overlapTurns: 2 }), [{ start: 0, end: 4 }]);
+    });
+
+    test('overlaps consecutive windows and covers every turn', () => {
+        const windows = splitIntoWindows(turns(10), { maxChars: 400, overlapTurns: 1 });
+        assert.deepEqual(windows, [{ start: 0, end: 3 }, { start: 3, end: 6 }, { start: 6, end: 9 }]);
+    });
+
+    test('always advances, even when the overlap would fill a whole window', () => {
+        const windows = splitIntoWindows(turns(4), { maxChars: 200, overlapTurns: 5 });
+        assert.deepEqual(windows, [{ start: 0, end: 1 }, { start: 1, end: 2 }, { start: 2, end: 3 }]);
+    });
+
+    test('gives an oversized turn a window of its own', () => {
+        const long = [{ role: 'user', text: 'x'.repeat(5000) }, ...turns(2)];
+        assert.deepEqual(splitIntoWindows(long, { maxChars: 1000, overlapTurns: 0 }), [{ start: 0, end: 0 }, { start: 1, end: 2 }]);
+    });
+
+    test('reads limits from the environment with a floor on the window size', () => {
+        assert.deepEqual(chunkConfigFromEnv({}), { maxChars: 12000, overlapTurns: 2 });
+        assert.equal(chunkConfigFromEnv({ LLM_CHUNK_MAX_CHARS: '10' }).maxChars, 1000);
+    });
+});
+
+describe('splitLongTurns', () => {
+    test('leaves turns that fit alone', () => {
+        const short = turns(3);
+        assert.equal(splitLongTurns(short, 1000), short);
+    });
+
+    test('cuts an oversized turn at spaces into parts that each fit a window', () => {
+        const words = Array.from({ length: 400 }, (_, i) => `word${i}`);
+        const long = [{ role: 'agent', text: 'hello' }, { role: 'user', text: words.join(' '), startSeconds: 12 }, { role: 'agent', text: 'I hear you' }];
+        const split = splitLongTurns(long, 1000);
+
+        assert.ok(split.length > 4);
+        assert.ok(split.every(turn => turn.text.length + 8 <= 1000));
+        assert.deepEqual(split.slice(1, -1).flatMap(turn => turn.text.split(' ')), words);
+        assert.ok(split.slice(1, -1).every(turn => turn.role === 'user' && turn.startSeconds === 12 && turn.sourceTurn === 1));
+        assert.deepEqual([split[0].sourceTurn, split.at(-1).sourceTurn], [0, 2]);
+
+        const windows = splitIntoWindows(split, { maxChars: 1000, overlapTurns: 0 });
+        assert.ok(windows.every(({ start, end }) => split.slice(start, end + 1).reduce((size, turn) => size + turn.text.length + 8, 0) <= 1000));
+    });
+
+    test('cuts mid-word when a part has no space to break at', () => {
+        const split = splitLongTurns([{ role: 'user', text: 'x'.repeat(2500) }], 1000);
+        assert.deepEqual(split.map(turn => turn.text.length), [992, 992, 516]);
+    });
+});
+
+describe('mergeSegmentAnalyses', () => {
+    test('takes the worst segment and pools phrases', () => {
+        const merged = mergeSegmentAnalyses([
+            segment(1, 1, 4, { ...validAnalysis({ concerning_phrases: ['tired'], confidence_level: 'high' }), model: 'm', attempt: 1, failures: [] }),
+            segment(2, 4, 7, { ...validAnalysis({ risk_level: 'high', counseling_needed: 'yes', emotional_state: 'Hopeless', concerning_phrases: ['tired', 'no way out'], confidence_level: 'medium' }), model: 'm', attempt: 2, failures: [{ model: 'm', error: 'bad json' }] }),
+            segment(3, 7, 9, { ...validAnalysis({ immediate_intervention: 'yes', language_used: 'hindi' }), model: 'm', attempt: 1, failures: [] }),
+        ]);
+        assert.equal(merged.risk_level, 'high');
+        assert.equal(merged.counseling_needed, 'yes');
+        assert.equal(merged.immediate_intervention, 'yes');
+        assert.equal(merged.emotional_state, 'Hopeless');
+        assert.deepEqual(merged.concerning_phrases, ['tired', 'no way out']);
+        assert.equal(merged.confidence_level, 'medium');
+        assert.equal(merged.language_used, 'hinglish');
+        assert.equal(merged.attempt, 2);
+        assert.deepEqual(merged.failures, [{ model: 'm', error: 'bad json', segment: 2 }]);
+        assert.match(merged.assessment_summary, /^Part 1 \(turns 1–4\): /);
+        assert.equal(merged.segmentCount, 3);
+        assert.equal(merged.failedSegments, 0);
+    });
+
+    test('ignores failed segments and reports an error when none succeeded', () => {
+        const failed = { provider: 'fake', error: 'timeout', failures: [{ model: 'm', error: 'timeout' }] };
+        const partial = mergeSegmentAnalyses([segment(1, 1, 3, failed), segment(2, 3, 5, { ...validAnalysis(), provider: 'fake', failures: [] })]);
+        assert.equal(partial.risk_level, 'low');
+        assert.equal(partial.failedSegments, 1);
+
+        const none = mergeSegmentAnalyses([segment(1, 1, 3, failed), segment(2, 3, 5, failed)]);
+        assert.equal(none.error, 'timeout');
+        assert.equal(none.provider, 'fake');
+        assert.equal(none.failures.length, 2);
+    });
+});
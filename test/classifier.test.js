@@ -0,0 +1,175 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { validateLexicon, compileLexicon } from '../lib/lexicon.js';
+import { createClassifier, scoreTranscriptKeywords, parseTranscript, formatTranscript, normalizeForMatching } from '../lib/classifier.js';
+import { createLlmAnalyzer } from '../lib/llmAnalysis.js';
+import { createGeminiProvider } from '../lib/llmProviders.js';
+import { fakeGemini, fakeProvider, validAnalysis } from './helpers.js';
+
+const rawLexicon = JSON.parse(fs.readFileSync(new URL('../config/risk-lexicon.json', import.meta.url), 'utf-8'));
+const lexicon = compileLexicon(rawLexicon);
+const fixtures = JSON.parse(fs.readFileSync(new URL('./fixtures/transcripts.json', import.meta.url), 'utf-8'));
+
+// Analyzer backed by the Gemini provider and a stand-in client
+const geminiAnalyzer = (gemini, config = {}, sleep) => createLlmAnalyzer({
+    provider: createGeminiProvider({ gemini }),
+    config: { model: 'gemini-1.5-flash', ...config },
+    sleep,
+});
+
+const LONG_TRANSCRIPT = 'Agent: How has your week been?\nUser: Thoda tension hai office ka, but I am managing somehow.';
+
+test('shipped risk lexicon is valid', () => {
+    assert.deepEqual(validateLexicon(rawLexicon), []);
+});
+
+describe('keyword scoring fixtures', () => {
+    for (const fixture of fixtures) {
+        test(`${fixture.language}: ${fixture.name}`, () => {
+            const result = scoreTranscriptKeywords(fixture.transcript, lexicon);
+            const { expected } = fixture;
+            assert.equal(result.tendency, expected.tendency);
+            assert.equal(result.needsCounselling, expected.needsCounselling);
+            assert.equal(result.immediateIntervention, expected.immediateIntervention);
+            assert.equal(result.lexiconVersion, rawLexicon.version);
+
+            const terms = result.detectedTerms.map(t => t.term);
+            if (expected.terms.length === 0) assert.deepEqual(terms, []);
+            for (const term of expected.terms) assert.ok(terms.includes(term), `expected "${term}" in [${terms.join(', ')}]`);
+            for (const term of expected.negatedTerms || []) {
+                assert.ok(result.negatedTerms.some(t => t.term === term), `expected "${term}" to be reported as negated`);
+            }
+        });
+    }
+});
+
+describe('transcript helpers', () => {
+    test('parseTranscript round-trips formatTranscript and keeps multi-line turns', () => {
+        const messages = [{ role: 'agent', text: 'Hello' }, { role: 'user', text: 'line one\nline two' }];
+        assert.deepEqual(parseTranscript(formatTranscript(messages)), messages);
+    });
+
+    test('normalizeForMatching folds Devanagari and Hinglish spelling variants', () => {
+        assert.equal(normalizeForMatching('हूँ'), normalizeForMatching('हूं'));
+        assert.equal(normalizeForMatching('ज़िंदगी'), normalizeForMatching('जिंदगी'));
+        assert.equal(normalizeForMatching('Main hoon, nahin'), 'main hun, nahi');
+    });
+
+    test('detected terms record the caller turn they came from', () => {
+        const result = scoreTranscriptKeywords('User: Hi\nAgent: Hello\nUser: I feel hopeless', lexicon);
+        assert.deepEqual(result.detectedTerms.find(t => t.term === 'hopeless'), { term: 'hopeless', category: 'high', turn: 3, turns: [3] });
+    });
+
+    test('accepts conversation turns as well as transcript strings', () => {
+        const messages = [{ role: 'agent', text: 'Do you feel hopeless?' }, { role: 'user', text: 'Yes, I feel hopeless' }];
+        assert.deepEqual(scoreTranscriptKeywords(messages, lexicon), scoreTranscriptKeywords(formatTranscript(messages), lexicon));
+    });
+});
+
+describe('classifyRiskAndCounselling', () => {
+    test('without a Gemini client it returns the keyword result only', async () => {
+        const { classifyRiskAndCounselling } = createClassifier({ getLexicon: () => lexicon });
+        const result = await classifyRiskAndCounselling(fixtures[0].transcript);
+        assert.equal(result.geminiAnalysis, null);
+        assert.equal(result.tendency, 'severe');
+        assert.equal(result.immediateIntervention, true);
+        assert.match(result.review, /SEVERE/);
+    });
+
+    test('skips Gemini for very short transcripts', async () => {
+        const gemini = fakeGemini(() => JSON.stringify(validAnalysis()));
+        const { classifyRiskAndCounselling } = createClassifier({ getLexicon: () => lexicon, analyzer: geminiAnalyzer(gemini) });
+        const result = await classifyRiskAndCounselling('User: hi');
+        assert.equal(gemini.calls.length, 0);
+        assert.equal(result.geminiAnalysis, null);
+    });
+
+    test('stores the validated Gemini analysis and honours its immediate-intervention call', async () => {
+        const gemini = fakeGemini(() => JSON.stringify(validAnalysis({ risk_level: 'high', immediate_intervention: 'yes' })));
+        const analyzer = geminiAnalyzer(gemini, { model: 'test-model' });
+        const { classifyRiskAndCounselling } = createClassifier({ getLexicon: () => lexicon, analyzer });
+        const result = await classifyRiskAndCounselling(LONG_TRANSCRIPT);
+        assert.ok(gemini.calls[0].prompt.includes(LONG_TRANSCRIPT));
+        assert.equal(result.geminiAnalysis.risk_level, 'high');
+        assert.equal(result.geminiAnalysis.provider, 'gemini');
+        assert.equal(result.geminiAnalysis.model, 'test-model');
+        assert.equal(result.geminiAnalysis.attempt, 1);
+        assert.equal(result.immediateIntervention, true);
+    });
+
+    test('reconciles the keyword and Gemini tiers and flags large disagreements', async () => {
+        const gemini = fakeGemini(() => JSON.stringify(validAnalysis({ risk_level: 'high' })));
+        const { classifyRiskAndCounselling } = createClassifier({ getLexicon: () => lexicon, analyzer: geminiAnalyzer(gemini) });
+        const result = await classifyRiskAndCounselling(LONG_TRANSCRIPT);
+        assert.equal(result.keywordTendency, 'low');
+        assert.equal(result.tendency, 'high');
+        assert.equal(result.needsCounselling, 'yes');
+        assert.equal(result.riskDecision.policy, 'max');
+        assert.equal(result.riskDecision.needsReview, true);
+    });
+
+    test('a failing Gemini analysis is recorded without losing the keyword result', async () => {
+        const gemini = fakeGemini(() => { throw new Error('quota exceeded'); });
+        const analyzer = geminiAnalyzer(gemini, { maxAttempts: 1 }, async () => {});
+        const { classifyRiskAndCounselling } = createClassifier({ getLexicon: () => lexicon, analyzer });
+        const result = await classifyRiskAndCounselling(LONG_TRANSCRIPT);
+        assert.equal(result.geminiAnalysis.error, 'quota exceeded');
+        assert.equal(result.tendency, 'low');
+        assert.equal(result.immediateIntervention, false);
+    });
+
+    test('analyzes long transcripts in overlapping parts and builds a risk timeline', async () => {
+        const filler = 'Agent: Tell me more about how things have been going lately.\nUser: ' + 'Work has been busy and I keep going over it all. '.repeat(8);
+        const transcript = [filler, filler, filler, 'Agent: And now?\nUser: I feel hopeless, there is no way out.', filler, filler, filler].join('\n');
+        const provider = fakeProvider(({ prompt }) => JSON.stringify(prompt.includes('no way out')
+            ? validAnalysis({ risk_level: 'high', counseling_needed: 'yes', concerning_phrases: ['no way out'] })
+            : validAnalysis()));
+        const analyzer = createLlmAnalyzer({ provider, config: { model: 'test-model' } });
+        const { classifyRiskAndCounselling } = createClassifier({ getLexicon: () => lexicon, analyzer, chunking: { maxChars: 1000, overlapTurns: 1 } });
+        const result = await classifyRiskAndCounselling(transcript);
+
+        assert.ok(result.riskTimeline.length > 1);
+        assert.equal(provider.calls.length, result.riskTimeline.length);
+        assert.match(provider.calls[0].prompt, new RegExp(`part 1 of ${result.riskTimeline.length}`));
+        const flagged = result.riskTimeline.filter(s => s.riskLevel === 'high');
+        assert.ok(flagged.length > 0 && flagged.length < result.riskTimeline.length);
+        assert.ok(flagged.every(s => s.concerningPhrases.includes('no way out')));
+        assert.equal(result.geminiAnalysis.risk_level, 'high');
+        assert.equal(result.geminiAnalysis.segmentCount, result.riskTimeline.length);
+        assert.equal(result.tendency, 'high');
+    });
+
+    test('splits a turn longer than a window instead of sending it whole', async () => {
+        const monologue = 'Everything at work keeps piling up and I cannot sleep at night. '.repeat(40);
+        const provider = fakeProvider(() => JSON.stringify(validAnalysis()));
+        const analyzer = createLlmAnalyzer({ provider, config: { model: 'test-model' } });
+        const { classifyRiskAndCounselling } = createClassifier({ getLexicon: () => lexicon, analyzer, chunking: { maxChars: 1000, overlapTurns: 0 } });
+        const result = await classifyRiskAndCounselling(`Agent: How are you?\nUser: ${monologue}`);
+
+        assert.ok(result.riskTimeline.length >= 3);
+        assert.equal(provider.calls.length, result.riskTimeline.length);
+        assert.ok(provider.calls.every(call => call.prompt.includes('of a longer call')));
+        assert.ok(result.riskTimeline.slice(1).every(segment => segment.startTurn === 2 && segment.endTurn === 2));
+    });
+
+    test('tells the LLM which language the caller chose', async () => {
+        const provider = fakeProvider(() => JSON.stringify(validAnalysis({ language_used: 'tamil' })));
+        const analyzer = createLlmAnalyzer({ provider, config: { model: 'test-model' } });
+        const { classifyRiskAndCounselling } = createClassifier({ getLexicon: () => lexicon, analyzer });
+        const result = await classifyRiskAndCounselling(LONG_TRANSCRIPT, { language: 'ta' });
+
+        assert.match(provider.calls[0].prompt, /The caller chose Tamil/);
+        assert.equal(result.geminiAnalysis.language_used, 'tamil');
+        await classifyRiskAndCounselling(LONG_TRANSCRIPT);
+        assert.match(provider.calls[1].prompt, /primarily in Hindi/);
+    });
+
+    test('scores against whichever lexicon is active at call time', async () => {
+        let active = lexicon;
+        const { scoreTranscriptKeywords: score } = createClassifier({ getLexicon: () => active });
+        assert.equal(score('User: I feel hopeless').lexiconVersion, rawLexicon.version);
+        active = compileLexicon({ ...rawLexicon, version: '9.9.9' });
+        assert.equal(score('User: I feel hopeless').lexiconVersion, '9.9.9');
+    });
+});
@@ -0,0 +1,31 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildConsentTwiml, consentConfigFromEnv, consentDecision } from '../lib/consent.js';
+
+const NOW = new Date('2026-10-19T10:00:00.000Z');
+
+test('consent prompt is off unless enabled', () => {
+    assert.equal(consentConfigFromEnv({}).enabled, false);
+    assert.equal(consentConfigFromEnv({ CONSENT_ENABLED: 'true' }).enabled, true);
+});
+
+test('the disclosure is read in the call language and posts the keypress', () => {
+    const twiml = buildConsentTwiml('ta', { action: '/incoming/consent?language=ta&languageSource=menu', timeoutSeconds: 5 });
+    assert.match(twiml, /<Gather numDigits="1" action="\/incoming\/consent\?language=ta&amp;languageSource=menu" method="POST" timeout="5">/);
+    assert.match(twiml, /<Say language="ta-IN"[^>]*>நீங்கள் ஒரு AI உதவியாளருடன்/);
+    assert.match(twiml, /<Redirect method="POST">\/incoming\/consent\?language=ta&amp;languageSource=menu<\/Redirect>/);
+    assert.match(buildConsentTwiml('xx', { action: '/c' }), /Press 1 to agree/);
+});
+
+describe('consentDecision', () => {
+    test('1 agrees to recording, anything else declines', () => {
+        assert.deepEqual(consentDecision('1', {}, NOW), { status: 'granted', recordingEnabled: true, digits: '1', decidedAt: NOW.toISOString() });
+        assert.equal(consentDecision('2', {}, NOW).status, 'declined');
+        assert.equal(consentDecision('9', {}, NOW).recordingEnabled, false);
+    });
+
+    test('no keypress is recorded only when configured', () => {
+        assert.deepEqual(consentDecision(undefined, {}, NOW), { status: 'no_response', recordingEnabled: false, digits: null, decidedAt: NOW.toISOString() });
+        assert.equal(consentDecision('', { recordOnNoResponse: true }, NOW).recordingEnabled, true);
+    });
+});
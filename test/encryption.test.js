@@ -0,0 +1,115 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONVERSATION_FIELDS, CALLER_FIELDS, createLocalKeyProvider, createFieldCipher, encryptedCollection, generateKey, encryptionConfigFromEnv } from '../lib/encryption.js';
+import { memoryStore } from './helpers.js';
+
+// Key provider over an in-memory key file that tests can rewrite
+function keyFile(initial) {
+    let contents = JSON.stringify(initial);
+    const provider = createLocalKeyProvider({ file: 'keys.json', readFile: () => contents });
+    return { provider, write: next => { contents = JSON.stringify(next); } };
+}
+
+const K1 = generateKey();
+const K2 = generateKey();
+const conversation = () => ({
+    id: 'call-1',
+    from: '+919876543210',
+    to: '+914400000001',
+    status: 'completed',
+    transcript: 'User: I feel hopeless',
+    raw: { twilioRequest: { From: '+919876543210' } },
+    tendency: 'high',
+    createdAt: '2026-10-19T10:00:00.000Z',
+});
+
+test('encryption is off without a key file', () => {
+    assert.equal(encryptionConfigFromEnv({}).keyFile, '');
+    assert.equal(encryptedCollection('plain', null), 'plain');
+});
+
+describe('createLocalKeyProvider', () => {
+    test('rejects short keys and a missing current key', () => {
+        assert.throws(() => createLocalKeyProvider({ file: 'k', readFile: () => JSON.stringify({ current: 'a', keys: { a: 'c2hvcnQ=' } }) }), /must be 32 bytes/);
+        assert.throws(() => createLocalKeyProvider({ file: 'k', readFile: () => JSON.stringify({ current: 'b', keys: { a: K1 } }) }), /no key for current id "b"/);
+    });
+});
+
+describe('encryptedCollection', () => {
+    async function setup() {
+        const keys = keyFile({ current: 'k1', keys: { k1: K1 } });
+        const raw = memoryStore();
+        const store = encryptedCollection(raw, createFieldCipher({ keyProvider: keys.provider, fields: CONVERSATION_FIELDS }));
+        await store.upsert(conversation());
+        return { keys, raw, store };
+    }
+
+    test('stores sensitive fields sealed and reads them back decrypted', async () => {
+        const { raw, store } = await setup();
+        const [stored] = await raw.find();
+        assert.match(stored.from, /^enc:v1:/);
+        assert.match(stored.transcript, /^enc:v1:/);
+        assert.equal(JSON.stringify(stored).includes('9876543210'), false);
+        assert.equal(stored.to, '+914400000001');
+        assert.equal(stored.tendency, 'high');
+        assert.equal(stored._encryption.keyId, 'k1');
+        assert.deepEqual(stored._encryption.fields, ['from', 'transcript', 'raw']);
+
+        assert.deepEqual(await store.findOne({ id: 'call-1' }), conversation());
+        assert.deepEqual(await store.find({ status: 'completed' }), [conversation()]);
+    });
+
+    test('seals agent flags, transfer reasons and the emotional states in caller profiles', async () => {
+        const { raw, store } = await setup();
+        await store.upsert({
+            ...conversation(),
+            agentRiskFlags: [{ level: 'severe', reason: 'Caller has pills saved up' }],
+            transfers: [{ id: 't1', reason: 'Caller has pills saved up', status: 'completed' }],
+            transferStatus: 'completed',
+        });
+        const [stored] = await raw.find();
+        assert.equal(JSON.stringify(stored).includes('pills'), false);
+        assert.equal(stored.transferStatus, 'completed');
+
+        const keys = keyFile({ current: 'k1', keys: { k1: K1 } });
+        const rawCallers = memoryStore();
+        const callers = encryptedCollection(rawCallers, createFieldCipher({ keyProvider: keys.provider, fields: CALLER_FIELDS }));
+        const profile = { id: 'caller-1', callCount: 1, calls: [{ conversationId: 'call-1', tendency: 'high', emotionalState: 'hopeless' }] };
+        await callers.upsert(profile);
+        assert.equal(JSON.stringify(rawCallers.list).includes('hopeless'), false);
+        assert.deepEqual(await callers.findOne({ id: 'caller-1' }), profile);
+    });
+
+    test('sealed fields are bound to their record and field', async () => {
+        const { raw, store } = await setup();
+        const [stored] = await raw.find();
+        await raw.upsert({ ...stored, transcript: stored.from });
+        const read = await store.findOne({ id: 'call-1' });
+        assert.equal(read.encryptionLocked, true);
+        assert.equal(read.from, undefined);
+        await assert.rejects(store.upsert(read), /could not be decrypted/);
+    });
+
+    test('rotation re-wraps data keys and encrypts plaintext records', async () => {
+        const { keys, raw, store } = await setup();
+        await raw.upsert({ id: 'legacy', from: '+911111111111', status: 'completed' });
+        const before = (await raw.findOne({ id: 'call-1' })).transcript;
+
+        keys.write({ current: 'k2', keys: { k1: K1, k2: K2 } });
+        keys.provider.reload();
+        assert.deepEqual(await store.rotate(), { rotated: 2, failed: 0, keyId: 'k2' });
+        assert.deepEqual(await store.rotate(), { rotated: 0, failed: 0, keyId: 'k2' });
+
+        const rotated = await raw.findOne({ id: 'call-1' });
+        assert.equal(rotated._encryption.keyId, 'k2');
+        assert.equal(rotated.transcript, before);
+        assert.match((await raw.findOne({ id: 'legacy' })).from, /^enc:v1:/);
+
+        // The old key can be retired once everything is on the new one
+        keys.write({ current: 'k2', keys: { k2: K2 } });
+        keys.provider.reload();
+        const fresh = encryptedCollection(raw, createFieldCipher({ keyProvider: keys.provider, fields: CONVERSATION_FIELDS }));
+        assert.deepEqual(await fresh.findOne({ id: 'call-1' }), conversation());
+        assert.equal((await fresh.findOne({ id: 'legacy' })).from, '+911111111111');
+    });
+});
@@ -0,0 +1,63 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { fallbackConfigFromEnv, createWithRetry, buildFallbackTwiml, buildVoicemailTwiml, buildGoodbyeTwiml, dialConnected } from '../lib/fallback.js';
+
+const config = (overrides = {}) => ({ ...fallbackConfigFromEnv({ FALLBACK_DIAL_NUMBER: '+911800000000' }), ...overrides });
+const actions = { dialAction: '/incoming/fallback/dial', voicemailAction: '/incoming/fallback/voicemail' };
+
+test('fallbackConfigFromEnv keeps the chain order and falls back to the transfer number', () => {
+    assert.deepEqual(fallbackConfigFromEnv({}).chain, ['retry', 'dial', 'voicemail']);
+    assert.deepEqual(fallbackConfigFromEnv({ FALLBACK_CHAIN: 'voicemail, retry, pager' }).chain, ['retry', 'voicemail']);
+    assert.deepEqual(fallbackConfigFromEnv({ FALLBACK_CHAIN: '' }).chain, []);
+    assert.equal(fallbackConfigFromEnv({ COUNSELLOR_TRANSFER_NUMBER: '+911100000000' }).dialNumber, '+911100000000');
+});
+
+describe('createWithRetry', () => {
+    test('retries once after a failure', async () => {
+        let calls = 0;
+        const waits = [];
+        const { result, attempts } = await createWithRetry(async () => {
+            calls += 1;
+            if (calls === 1) throw new Error('API error 503');
+            return 'call';
+        }, config({ retryDelayMs: 250 }), { wait: async ms => waits.push(ms) });
+        assert.equal(result, 'call');
+        assert.equal(attempts, 2);
+        assert.deepEqual(waits, [250]);
+    });
+
+    test('gives up after the retry, or straight away without the retry step', async () => {
+        const failing = async () => { throw new Error('API error 500'); };
+        await assert.rejects(createWithRetry(failing, config(), { wait: async () => {} }), { message: 'API error 500', attempts: 2 });
+        await assert.rejects(createWithRetry(failing, config({ chain: ['dial'] })), { attempts: 1 });
+    });
+});
+
+describe('fallback TwiML', () => {
+    test('dials the helpline with an apology in the call language', () => {
+        const twiml = buildFallbackTwiml('hi', config(), actions);
+        assert.match(twiml, /<Say language="hi-IN"[^>]*>माफ़ कीजिए/);
+        assert.match(twiml, /<Dial action="\/incoming\/fallback\/dial" method="POST" timeout="25">\+911800000000<\/Dial>/);
+    });
+
+    test('goes to voicemail without a helpline number, and hangs up with an empty chain', () => {
+        const voicemail = buildFallbackTwiml('en', config({ dialNumber: '' }), actions);
+        assert.match(voicemail, /Please leave a message after the tone/);
+        assert.match(voicemail, /<Record action="\/incoming\/fallback\/voicemail" method="POST" maxLength="120" playBeep="true"\/>/);
+        const none = buildFallbackTwiml('en', config({ chain: [] }), actions);
+        assert.match(none, /We are experiencing difficulty connecting your call/);
+        assert.match(none, /<Hangup\/>/);
+    });
+
+    test('voicemail and goodbye TwiML', () => {
+        assert.match(buildVoicemailTwiml('ta', config(), { action: '/vm' }), /<Say language="ta-IN"[^>]*>பீப்[^<]*<\/Say><Record action="\/vm"/);
+        assert.match(buildGoodbyeTwiml('en'), /Thank you for your message[^<]*<\/Say><Hangup\/>/);
+        assert.equal(buildGoodbyeTwiml('en', { voicemailLeft: false }).includes('<Say'), false);
+    });
+});
+
+test('dialConnected only for answered helpline calls', () => {
+    assert.equal(dialConnected('completed'), true);
+    assert.equal(dialConnected('no-answer'), false);
+    assert.equal(dialConnected(undefined), false);
+});
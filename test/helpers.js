@@ -0,0 +1,163 @@
+// Shared stand-ins for the test suite
+
+/**
+ * Stand-in for the GoogleGenerativeAI client. `respond(prompt, call)` returns the model's
+ * text or throws; every request is recorded in `calls`.
+ */
+export function fakeGemini(respond) {
+    const calls = [];
+    return {
+        calls,
+        getGenerativeModel: ({ model, generationConfig }) => ({
+            generateContent: async (prompt) => {
+                const call = { model, generationConfig, prompt };
+                calls.push(call);
+                const text = await respond(prompt, call);
+                return { response: { text: () => text } };
+            },
+        }),
+    };
+}
+
+// A Gemini reply that passes validation, with optional field overrides
+export function validAnalysis(overrides = {}) {
+    return {
+        risk_level: 'low',
+        counseling_needed: 'no',
+        immediate_intervention: 'no',
+        emotional_state: 'Mildly stressed',
+        concerning_phrases: [],
+        assessment_summary: 'Work-related stress without risk indicators.',
+        confidence_level: 'high',
+        language_used: 'hinglish',
+        support_recommendations: 'Continue to listen and provide support',
+        ...overrides,
+    };
+}
+
+/**
+ * Minimal LLM provider whose `respond(request)` returns the model text or throws.
+ */
+export function fakeProvider(respond, name = 'fake') {
+    const calls = [];
+    return {
+        name,
+        calls,
+        async generate(request) {
+            calls.push(request);
+            return respond(request);
+        },
+    };
+}
+
+/**
+ * Stand-in for `fetch`: `respond(url, init)` returns `{ status, body }`.
+ */
+export function fakeFetch(respond) {
+    const calls = [];
+    const fetchImpl = async (url, init) => {
+        calls.push({ url, init, body: init?.body ? JSON.parse(init.body) : undefined });
+        const { status = 200, body = {} } = await respond(url, init);
+        return { ok: status >= 200 && status < 300, status, json: async () => body };
+    };
+    fetchImpl.calls = calls;
+    return fetchImpl;
+}
+
+/**
+ * Stand-in for the Twilio REST client's `messages` and `calls`. `respond(kind, params)`
+ * returns the created resource or throws; every request is recorded in `requests`.
+ * Updating a live call (`calls(sid).update`) is recorded with kind `update` and its `sid`.
+ */
+export function fakeTwilioClient(respond = () => ({})) {
+    const requests = [];
+    let count = 0;
+    const create = kind => async params => {
+        requests.push({ kind, params });
+        count += 1;
+        return { sid: `${kind === 'sms' ? 'SM' : 'CA'}${count}`, ...(await respond(kind, params)) };
+    };
+    const calls = sid => ({
+        async update(params) {
+            requests.push({ kind: 'update', sid, params });
+            return { sid, ...(await respond('update', params)) };
+        },
+    });
+    calls.create = create('voice');
+    return { requests, messages: { create: create('sms') }, calls };
+}
+
+/**
+ * Stand-in for a nodemailer transport. `respond(mail)` returns the send info or throws.
+ */
+export function fakeMailer(respond = () => ({})) {
+    const sent = [];
+    return {
+        sent,
+        async sendMail(mail) {
+            sent.push(mail);
+            return { messageId: `<${sent.length}@test>`, ...(await respond(mail)) };
+        },
+    };
+}
+
+/**
+ * In-memory stand-in for a lib/store.js collection.
+ */
+export function memoryStore(records = []) {
+    const list = records.map(r => ({ ...r }));
+    const matches = (doc, filter) => Object.entries(filter || {}).every(([k, v]) => doc[k] === v);
+    return {
+        list,
+        async upsert(record) {
+            const idx = list.findIndex(x => x.id === record.id);
+            if (idx >= 0) list[idx] = record; else list.push(record);
+            return record;
+        },
+        async find(filter = {}, { limit } = {}) {
+            const found = list.filter(doc => matches(doc, filter));
+            return limit ? found.slice(0, limit) : found;
+        },
+        async findOne(filter) {
+            return list.find(doc => matches(doc, filter)) || null;
+        },
+        async remove(filter) {
+            const before = list.length;
+            for (let i = list.length - 1; i >= 0; i--) if (matches(list[i], filter)) list.splice(i, 1);
+            return before - list.length;
+        },
+    };
+}
+
+/**
+ * Manual clock for timer-driven code. `tick(ms)` advances time, running each timer that
+ * falls due in order and letting its async work settle before the next one.
+ */
+export function fakeClock(start = 0) {
+    let now = start;
+    let nextId = 1;
+    const timers = new Map();
+    return {
+        now: () => now,
+        setTimeout(fn, ms) {
+            timers.set(nextId, { at: now + ms, fn });
+            return nextId++;
+        },
+        clearTimeout(id) {
+            timers.delete(id);
+        },
+        pending: () => timers.size,
+        async tick(ms) {
+            const until = now + ms;
+            for (;;) {
+                const [id, timer] = [...timers].filter(([, t]) => t.at <= until).sort((a, b) => a[1].at - b[1].at)[0] || [];
+                if (!timer) break;
+                timers.delete(id);
+                now = timer.at;
+                timer.fn();
+                await new Promise(resolve => setImmediate(resolve));
+            }
+            now = until;
+        },
+    };
+}
@@ -0,0 +1,65 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    languageConfigFromEnv, languagePrompt, languageFromAnalysis, buildLanguageMenuTwiml, languageForDigit,
+} from '../lib/languages.js';
+
+describe('languageConfigFromEnv', () => {
+    test('offers the languages the default lexicon covers and starts in Hindi', () => {
+        const config = languageConfigFromEnv({});
+        assert.deepEqual(config.menu, ['hi', 'en']);
+        assert.equal(config.menuMode, 'new');
+        assert.equal(config.defaultLanguage, 'hi');
+        assert.deepEqual(config.voices, {});
+    });
+
+    test('reads the menu, per-language voices and lexicons', () => {
+        const config = languageConfigFromEnv({
+            LANGUAGE_MENU: 'TA, en, xx',
+            LANGUAGE_MENU_MODE: 'always',
+            LANGUAGE_DEFAULT: 'en',
+            ULTRAVOX_VOICE_ID_TA: 'voice-ta',
+            RISK_LEXICON_PATH_TA: 'config/risk-lexicon.ta.json',
+        });
+        assert.deepEqual(config.menu, ['ta', 'en']);
+        assert.equal(config.menuMode, 'always');
+        assert.equal(config.defaultLanguage, 'en');
+        assert.deepEqual(config.voices, { ta: 'voice-ta' });
+        assert.deepEqual(config.lexicons, { ta: 'config/risk-lexicon.ta.json' });
+    });
+
+    test('adds a language to the default menu once it has a lexicon', () => {
+        assert.deepEqual(languageConfigFromEnv({ RISK_LEXICON_PATH_TA: 'config/risk-lexicon.ta.json' }).menu, ['hi', 'ta', 'en']);
+    });
+});
+
+describe('language menu', () => {
+    test('reads each option in its own language and posts the keypress', () => {
+        const twiml = buildLanguageMenuTwiml(['ta', 'en'], { action: '/incoming/language', timeoutSeconds: 5 });
+        assert.match(twiml, /<Gather numDigits="1" action="\/incoming\/language" method="POST" timeout="5">/);
+        assert.match(twiml, /<Say language="ta-IN"[^>]*>தமிழுக்கு 1 ஐ அழுத்தவும்.<\/Say>/);
+        assert.match(twiml, /<Say language="en-IN"[^>]*>For English, press 2.<\/Say>/);
+        assert.match(twiml, /<\/Gather><Redirect method="POST">\/incoming\/language<\/Redirect>/);
+    });
+
+    test('maps keypresses to menu positions', () => {
+        assert.equal(languageForDigit(['ta', 'en'], '2'), 'en');
+        assert.equal(languageForDigit(['ta', 'en'], '3'), null);
+        assert.equal(languageForDigit(['ta', 'en'], '*'), null);
+        assert.equal(languageForDigit(['ta', 'en'], undefined), null);
+    });
+});
+
+test('languagePrompt appends the language instruction and greeting', () => {
+    const prompt = languagePrompt('You are a good listener.', 'en', { agentName: 'Kavya' });
+    assert.ok(prompt.startsWith('You are a good listener.\n\n'));
+    assert.match(prompt, /Speak in simple, warm English/);
+    assert.match(prompt, /"Hi, I'm Kavya\./);
+    assert.equal(languagePrompt('Base', 'xx'), 'Base');
+});
+
+test('languageFromAnalysis maps the LLM language label to a call language', () => {
+    assert.equal(languageFromAnalysis('tamil'), 'ta');
+    assert.equal(languageFromAnalysis('hinglish'), 'hi');
+    assert.equal(languageFromAnalysis('other'), null);
+});
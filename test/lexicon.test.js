@@ -0,0 +1,114 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLexiconManager, resolveLexiconPath } from '../lib/lexicon.js';
+
+const base = {
+    version: '1.0.0',
+    categories: { critical_severe: { weight: 8, terms: ['end my life'] } },
+    thresholds: { severe: 10, high: 6, medium: 3, low: 1 },
+};
+const withTerm = (version, term) => ({ ...base, version, categories: { critical_severe: { weight: 8, terms: ['end my life', term] } } });
+
+// A manager over a fresh copy of `base` in a temporary directory
+function setup() {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lexicon-')), 'risk-lexicon.json');
+    fs.writeFileSync(file, JSON.stringify(base), 'utf-8');
+    const changes = [];
+    const manager = createLexiconManager({ file, watchIntervalMs: 10, onChange: lexicon => changes.push(lexicon.version) });
+    return { file, manager, changes };
+}
+
+describe('lexicon manager', () => {
+    // The manager logs every load and failed reload
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+    afterEach(() => mock.restoreAll());
+
+    test('a validated update is written to the file and activated', () => {
+        const { file, manager, changes } = setup();
+        const result = manager.update(withTerm('1.1.0', 'no way out'));
+
+        assert.equal(result.ok, true);
+        assert.equal(manager.get().version, '1.1.0');
+        assert.deepEqual(manager.get().categories[0].terms, ['end my life', 'no way out']);
+        assert.equal(JSON.parse(fs.readFileSync(file, 'utf-8')).version, '1.1.0');
+        assert.deepEqual(changes, ['1.1.0']);
+    });
+
+    test('an invalid lexicon or an unchanged version is rejected and nothing is written', () => {
+        const { file, manager, changes } = setup();
+        const before = fs.readFileSync(file, 'utf-8');
+
+        assert.deepEqual(manager.update({ ...base, version: '', thresholds: { ...base.thresholds, low: 'one' } }), {
+            ok: false,
+            errors: ['"version" must be a non-empty string', 'thresholds.low must be a number'],
+        });
+        const [patternError] = manager.update({ ...base, version: '2.0.0', patterns: { weight: 5, category: 'critical_severe', list: ['(unclosed'] } }).errors;
+        assert.match(patternError, /^patterns\.list\[0\] is not a valid regular expression/);
+        assert.deepEqual(manager.update(withTerm('1.0.0', 'no way out')).errors, ['version must differ from the active version 1.0.0']);
+        assert.equal(fs.readFileSync(file, 'utf-8'), before);
+        assert.equal(manager.get().version, '1.0.0');
+        assert.deepEqual(changes, []);
+    });
+
+    test('reloads the file when its version changes', () => {
+        const { file, manager, changes } = setup();
+        fs.writeFileSync(file, JSON.stringify(withTerm('1.2.0', 'no way out')), 'utf-8');
+
+        assert.equal(manager.reload().ok, true);
+        assert.equal(manager.get().version, '1.2.0');
+        assert.deepEqual(changes, ['1.2.0']);
+    });
+
+    test('keeps the active lexicon when the file changes rules without a new version or breaks', () => {
+        const { file, manager } = setup();
+        fs.writeFileSync(file, JSON.stringify(withTerm('1.0.0', 'no way out')), 'utf-8');
+        assert.equal(manager.reload().error, 'rules changed but version is still 1.0.0; bump "version"');
+
+        fs.writeFileSync(file, '{ "version": ', 'utf-8');
+        assert.equal(manager.reload().ok, false);
+        assert.deepEqual(manager.get().categories[0].terms, ['end my life']);
+    });
+
+    test('watching picks up a new version written to the file', async () => {
+        const { file, manager } = setup();
+        manager.watch();
+        try {
+            // Older mtime first so the rewrite is always seen as a change
+            fs.utimesSync(file, new Date(0), new Date(0));
+            await new Promise(resolve => setTimeout(resolve, 50));
+            fs.writeFileSync(file, JSON.stringify(withTerm('1.3.0', 'no way out')), 'utf-8');
+            for (let i = 0; i < 100 && manager.get().version !== '1.3.0'; i++) await new Promise(resolve => setTimeout(resolve, 20));
+            assert.equal(manager.get().version, '1.3.0');
+        } finally {
+            fs.unwatchFile(file);
+        }
+    });
+});
+
+describe('resolveLexiconPath', () => {
+    test('accepts files inside the lexicon directory', () => {
+        assert.equal(resolveLexiconPath('config/risk-lexicon.ta.json', 'config'), path.resolve('config/risk-lexicon.ta.json'));
+        assert.equal(resolveLexiconPath(path.resolve('config/personas/kavya.json'), 'config'), path.resolve('config/personas/kavya.json'));
+    });
+
+    test('rejects paths that lead outside it', () => {
+        assert.equal(resolveLexiconPath('config/../package.json', 'config'), null);
+        assert.equal(resolveLexiconPath('../config/risk-lexicon.json', 'config'), null);
+        assert.equal(resolveLexiconPath('/etc/passwd', 'config'), null);
+        assert.equal(resolveLexiconPath('config', 'config'), null);
+        assert.equal(resolveLexiconPath('config-backup/risk-lexicon.json', 'config'), null);
+    });
+
+    test('rejects a symlink inside the directory that points outside', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexicons-'));
+        fs.writeFileSync(path.join(os.tmpdir(), `${path.basename(dir)}-secret.json`), '{}');
+        fs.symlinkSync(path.join(os.tmpdir(), `${path.basename(dir)}-secret.json`), path.join(dir, 'link.json'));
+        assert.equal(resolveLexiconPath(path.join(dir, 'link.json'), dir), null);
+    });
+});
@@ -0,0 +1,131 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLiveRiskMonitor } from '../lib/liveMonitor.js';
+import { fakeClock } from './helpers.js';
+
+const calm = { role: 'user', text: 'work has been stressful' };
+const plan = { role: 'user', text: 'I have the pills ready for tonight' };
+
+// A call whose transcript grows as the test appends to `messages`
+function setup({ fetchMessages } = {}) {
+    const clock = fakeClock();
+    const messages = [];
+    const updates = [];
+    const alerts = [];
+    const monitor = createLiveRiskMonitor({
+        fetchMessages: fetchMessages || (async () => [...messages]),
+        score: (seen) => {
+            const flagged = seen.some(m => m.text.includes('tonight'));
+            return { tendency: flagged ? 'high' : 'low', score: flagged ? 9 : 1, immediateIntervention: flagged };
+        },
+        onUpdate: async (callId, result, info) => { updates.push({ callId, tendency: result.tendency, ...info }); },
+        onAlert: async (callId, result) => { alerts.push({ callId, score: result.score, at: clock.now() }); },
+        intervalMs: 1000,
+        maxDurationMs: 10000,
+        clock,
+    });
+    return { monitor, clock, messages, updates, alerts };
+}
+
+describe('live risk monitor', () => {
+    // The monitor logs every start, stop and failed poll
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+    afterEach(() => mock.restoreAll());
+
+    test('re-scores on each poll only when new messages arrived', async () => {
+        const { monitor, clock, messages, updates } = setup();
+        monitor.start('call-1');
+        messages.push(calm);
+
+        await clock.tick(1000);
+        await clock.tick(1000);
+        assert.deepEqual(updates, [{ callId: 'call-1', tendency: 'low', messagesProcessed: 1 }]);
+
+        messages.push({ role: 'agent', text: 'tell me more' });
+        await clock.tick(1000);
+        assert.deepEqual(updates.map(u => u.messagesProcessed), [1, 2]);
+        monitor.stop('call-1');
+    });
+
+    test('alerts mid-call when the score first calls for immediate intervention', async () => {
+        const { monitor, clock, messages, updates, alerts } = setup();
+        monitor.start('call-1');
+        messages.push(calm);
+        await clock.tick(1000);
+        assert.equal(alerts.length, 0);
+
+        messages.push(plan);
+        await clock.tick(1000);
+        assert.deepEqual(alerts, [{ callId: 'call-1', score: 9, at: 2000 }]);
+        assert.equal(updates.at(-1).tendency, 'high');
+        assert.ok(monitor.isActive('call-1'));
+        monitor.stop('call-1');
+    });
+
+    test('alerts once per call while the score stays above the threshold', async () => {
+        const { monitor, clock, messages, updates, alerts } = setup();
+        monitor.start('call-1');
+        messages.push(plan);
+        await clock.tick(1000);
+        messages.push({ role: 'user', text: 'nobody will notice tonight' });
+        await clock.tick(1000);
+        await monitor.ingest('call-1', [...messages, calm]);
+
+        assert.equal(updates.length, 3);
+        assert.equal(alerts.length, 1);
+        monitor.stop('call-1');
+    });
+
+    test('pushed messages are scored at once and not again by the next poll', async () => {
+        const { monitor, clock, messages, updates, alerts } = setup();
+        monitor.start('call-1');
+        messages.push(calm, plan);
+
+        await monitor.ingest('call-1', [...messages]);
+        assert.equal(alerts.length, 1);
+        assert.equal(alerts[0].at, 0);
+        await clock.tick(1000);
+        assert.equal(updates.length, 1);
+        monitor.stop('call-1');
+    });
+
+    test('ignores calls that are not being monitored', async () => {
+        const { monitor, updates } = setup();
+        assert.equal(await monitor.ingest('call-2', [plan]), null);
+        assert.equal(updates.length, 0);
+    });
+
+    test('a failed poll is retried at the next interval', async () => {
+        let failures = 1;
+        const ctx = setup({
+            fetchMessages: async () => {
+                if (failures-- > 0) throw new Error('Ultravox unavailable');
+                return [plan];
+            },
+        });
+        ctx.monitor.start('call-1');
+        await ctx.clock.tick(1000);
+        assert.equal(ctx.updates.length, 0);
+        await ctx.clock.tick(1000);
+        assert.equal(ctx.alerts.length, 1);
+        ctx.monitor.stop('call-1');
+    });
+
+    test('stopping the call or reaching the maximum duration ends polling', async () => {
+        const { monitor, clock, messages, updates } = setup();
+        monitor.start('call-1');
+        monitor.start('call-2');
+        monitor.stop('call-1');
+        assert.equal(clock.pending(), 1);
+
+        await clock.tick(11000);
+        assert.equal(monitor.isActive('call-2'), false);
+        assert.equal(clock.pending(), 0);
+        messages.push(plan);
+        await clock.tick(1000);
+        assert.equal(updates.length, 0);
+    });
+});
@@ -0,0 +1,67 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLlmAnalyzer, validateAnalysis, ANALYSIS_RESPONSE_SCHEMA } from '../lib/llmAnalysis.js';
+import { fakeProvider, validAnalysis } from './helpers.js';
+
+describe('validateAnalysis', () => {
+    test('accepts a complete reply', () => {
+        assert.deepEqual(validateAnalysis(validAnalysis()), []);
+    });
+
+    test('rejects out-of-enum values, missing keys and bad phrase lists', () => {
+        const { emotional_state, ...missing } = validAnalysis({ risk_level: 'critical', concerning_phrases: ['a', 'b', 'c', 'd', 'e', 'f'] });
+        assert.deepEqual(validateAnalysis(missing), [
+            '"risk_level" must be one of: no, low, medium, high, severe',
+            '"emotional_state" must be a string',
+            '"concerning_phrases" must have at most 5 items',
+        ]);
+        assert.deepEqual(validateAnalysis([]), ['response must be a JSON object']);
+    });
+});
+
+describe('createLlmAnalyzer', () => {
+    test('sends the response schema and normalizes enum casing', async () => {
+        const provider = fakeProvider(() => JSON.stringify({ ...validAnalysis({ risk_level: 'High' }), extra: 'dropped' }));
+        const analysis = await createLlmAnalyzer({ provider, config: { model: 'primary' } }).analyze('prompt');
+        assert.deepEqual(provider.calls[0], { model: 'primary', prompt: 'prompt', schema: ANALYSIS_RESPONSE_SCHEMA });
+        assert.deepEqual(analysis, { ...validAnalysis({ risk_level: 'high' }), provider: 'fake', model: 'primary', attempt: 1, failures: [] });
+    });
+
+    test('retries invalid replies with exponential backoff', async () => {
+        const replies = ['not json', JSON.stringify(validAnalysis({ risk_level: 'extreme' })), JSON.stringify(validAnalysis())];
+        const provider = fakeProvider(() => replies.shift());
+        const delays = [];
+        const analyzer = createLlmAnalyzer({ provider, config: { model: 'primary', maxAttempts: 3, retryDelayMs: 100 }, sleep: async ms => { delays.push(ms); } });
+        const analysis = await analyzer.analyze('prompt');
+        assert.equal(analysis.attempt, 3);
+        assert.equal(analysis.model, 'primary');
+        assert.deepEqual(delays, [200, 400]);
+        assert.match(analysis.failures[0].error, /not valid JSON/);
+        assert.match(analysis.failures[1].error, /risk_level/);
+    });
+
+    test('falls back to the second model once the primary is exhausted', async () => {
+        const provider = fakeProvider(({ model }) => {
+            if (model === 'primary') throw new Error('503 overloaded');
+            return JSON.stringify(validAnalysis());
+        });
+        const analyzer = createLlmAnalyzer({ provider, config: { model: 'primary', fallbackModel: 'backup', maxAttempts: 2 }, sleep: async () => {} });
+        const analysis = await analyzer.analyze('prompt');
+        assert.deepEqual(provider.calls.map(c => c.model), ['primary', 'primary', 'backup']);
+        assert.equal(analysis.model, 'backup');
+        assert.equal(analysis.attempt, 3);
+        assert.equal(analysis.failures.length, 2);
+    });
+
+    test('reports every failure when all attempts fail', async () => {
+        const provider = fakeProvider(() => { throw new Error('unavailable'); });
+        const analyzer = createLlmAnalyzer({ provider, config: { model: 'primary', fallbackModel: 'backup', maxAttempts: 1 }, sleep: async () => {} });
+        const analysis = await analyzer.analyze('prompt');
+        assert.equal(analysis.error, 'unavailable');
+        assert.equal(analysis.provider, 'fake');
+        assert.deepEqual(analysis.failures, [
+            { model: 'primary', attempt: 1, error: 'unavailable' },
+            { model: 'backup', attempt: 2, error: 'unavailable' },
+        ]);
+    });
+});
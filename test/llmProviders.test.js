@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGeminiProvider, createOpenAIProvider, createOllamaProvider, createLlmProvider, llmProviderConfigFromEnv } from '../lib/llmProviders.js';
+import { ANALYSIS_RESPONSE_SCHEMA } from '../lib/llmAnalysis.js';
+import { fakeGemini, fakeFetch, validAnalysis } from './helpers.js';
+
+const request = { model: 'm', prompt: 'Assess this transcript', schema: ANALYSIS_RESPONSE_SCHEMA };
+const reply = JSON.stringify(validAnalysis());
+
+describe('llmProviderConfigFromEnv', () => {
+    test('defaults to Gemini and reads per-provider models', () => {
+        assert.equal(llmProviderConfigFromEnv({}).provider, 'gemini');
+        assert.equal(llmProviderConfigFromEnv({}).model, 'gemini-1.5-flash');
+        const ollama = llmProviderConfigFromEnv({ LLM_PROVIDER: 'Ollama', OLLAMA_BASE_URL: 'http://gpu-box:11434/', OLLAMA_MODEL: 'qwen2.5' });
+        assert.deepEqual(ollama, { provider: 'ollama', timeoutMs: 60000, baseUrl: 'http://gpu-box:11434', model: 'qwen2.5', fallbackModel: '' });
+        assert.equal(llmProviderConfigFromEnv({ LLM_TIMEOUT_MS: '5000' }).timeoutMs, 5000);
+    });
+});
+
+describe('providers', () => {
+    test('gemini uses JSON mode with enum-formatted schema', async () => {
+        const gemini = fakeGemini(() => reply);
+        assert.equal(await createGeminiProvider({ gemini }).generate(request), reply);
+        const { generationConfig, model } = gemini.calls[0];
+        assert.equal(model, 'm');
+        assert.equal(generationConfig.responseMimeType, 'application/json');
+        assert.deepEqual(generationConfig.responseSchema.properties.risk_level, { type: 'string', enum: ['no', 'low', 'medium', 'high', 'severe'], format: 'enum' });
+    });
+
+    test('openai-compatible posts a chat completion with a strict json_schema', async () => {
+        const fetchImpl = fakeFetch(() => ({ body: { choices: [{ message: { content: reply } }] } }));
+        const provider = createOpenAIProvider({ baseUrl: 'http://llm.local/v1', apiKey: 'sk-test', fetchImpl });
+        assert.equal(await provider.generate(request), reply);
+        const [call] = fetchImpl.calls;
+        assert.equal(call.url, 'http://llm.local/v1/chat/completions');
+        assert.equal(call.init.headers.Authorization, 'Bearer sk-test');
+        assert.equal(call.body.messages[0].content, request.prompt);
+        assert.equal(call.body.response_format.type, 'json_schema');
+        assert.equal(call.body.response_format.json_schema.schema.additionalProperties, false);
+    });
+
+    test('openai-compatible can fall back to plain JSON mode and surfaces HTTP errors', async () => {
+        const fetchImpl = fakeFetch(() => ({ status: 429 }));
+        const provider = createOpenAIProvider({ baseUrl: 'http://llm.local/v1', responseFormat: 'json_object', fetchImpl });
+        await assert.rejects(provider.generate(request), /responded 429/);
+        assert.deepEqual(fetchImpl.calls[0].body.response_format, { type: 'json_object' });
+        assert.equal(fetchImpl.calls[0].init.headers.Authorization, undefined);
+    });
+
+    test('ollama posts to /api/generate with the schema as format', async () => {
+        const fetchImpl = fakeFetch(() => ({ body: { response: reply } }));
+        const provider = createOllamaProvider({ baseUrl: 'http://localhost:11434', fetchImpl });
+        assert.equal(await provider.generate(request), reply);
+        const [call] = fetchImpl.calls;
+        assert.equal(call.url, 'http://localhost:11434/api/generate');
+        assert.deepEqual(call.body.format, ANALYSIS_RESPONSE_SCHEMA);
+        assert.equal(call.body.stream, false);
+    });
+
+    test('openai-compatible and ollama requests are aborted after the timeout', async () => {
+        // Answers only when the request is aborted, like an endpoint that never replies
+        const hang = (_url, init) => new Promise((_resolve, reject) => init.signal.addEventListener('abort', () => reject(init.signal.reason)));
+        const openai = createOpenAIProvider({ baseUrl: 'http://llm.local/v1', apiKey: 'sk-test', timeoutMs: 20, fetchImpl: fakeFetch(hang) });
+        const ollama = createOllamaProvider({ baseUrl: 'http://localhost:11434', timeoutMs: 20, fetchImpl: fakeFetch(hang) });
+        // AbortSignal.timeout doesn't keep the process alive on its own
+        const keepAlive = setTimeout(() => {}, 5000);
+        try {
+            await assert.rejects(openai.generate(request), { name: 'TimeoutError' });
+            await assert.rejects(ollama.generate(request), { name: 'TimeoutError' });
+        } finally {
+            clearTimeout(keepAlive);
+        }
+    });
+
+    test('gemini passes the timeout to the client', async () => {
+        const calls = [];
+        const gemini = { getGenerativeModel: (params, options) => { calls.push(options); return { generateContent: async () => ({ response: { text: () => reply } }) }; } };
+        await createGeminiProvider({ gemini, timeoutMs: 5000 }).generate(request);
+        assert.deepEqual(calls, [{ timeout: 5000 }]);
+    });
+
+    test('createLlmProvider picks the configured provider', () => {
+        assert.equal(createLlmProvider({ provider: 'gemini', apiKey: '' }), null);
+        assert.equal(createLlmProvider({ provider: 'gemini', apiKey: 'key' }).name, 'gemini');
+        assert.equal(createLlmProvider(llmProviderConfigFromEnv({ LLM_PROVIDER: 'openai' })), null);
+        assert.equal(createLlmProvider(llmProviderConfigFromEnv({ LLM_PROVIDER: 'openai', OPENAI_API_KEY: 'sk-test' })).name, 'openai');
+        assert.equal(createLlmProvider(llmProviderConfigFromEnv({ LLM_PROVIDER: 'ollama' })).name, 'ollama');
+        assert.throws(() => createLlmProvider({ provider: 'claude' }), /LLM_PROVIDER must be one of/);
+    });
+});
@@ -0,0 +1,75 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePersona, createPersonaRegistry } from '../lib/personas.js';
+import { memoryStore } from './helpers.js';
+
+const DEFAULT = { id: 'default', name: 'Default', numbers: [], systemPrompt: 'Default prompt' };
+const persona = (overrides = {}) => ({
+    id: 'tamil',
+    name: 'Tamil helpline',
+    numbers: ['+914400000001'],
+    systemPrompt: 'You are Kavya...',
+    voice: 'voice-ta',
+    firstSpeaker: 'FIRST_SPEAKER_AGENT',
+    alerts: { channels: ['sms'], tiers: [{ smsTo: ['+919800000001'] }] },
+    ...overrides,
+});
+
+describe('validatePersona', () => {
+    test('accepts a complete persona', () => {
+        assert.deepEqual(validatePersona(persona()), []);
+    });
+
+    test('reports every invalid field', () => {
+        const errors = validatePersona(persona({
+            id: 'Bad Id',
+            numbers: ['04400000001'],
+            temperature: 3,
+            firstSpeaker: 'ME',
+            alerts: { channels: ['pager'], tiers: [{ smsTo: '+91' }] },
+        }));
+        assert.equal(errors.length, 6);
+        assert.deepEqual(validatePersona(persona({ numbers: [] })), ['"numbers" must list at least one dialed number']);
+    });
+
+    test('checks the language menu, default language and per-language voices', () => {
+        assert.deepEqual(validatePersona(persona({ language: 'ta', languages: ['ta', 'en'], voices: { ta: 'voice-ta', en: 'voice-en' }, agentName: 'Kavya' })), []);
+        const errors = validatePersona(persona({ language: 'tamil', languages: ['ta', 'fr'], voices: { fr: 'voice-fr' } }));
+        assert.equal(errors.length, 3);
+    });
+});
+
+describe('createPersonaRegistry', () => {
+    async function setup() {
+        const registry = createPersonaRegistry({ personasStore: memoryStore(), defaultPersona: DEFAULT });
+        await registry.load();
+        return registry;
+    }
+
+    test('resolves the dialed number and falls back to the default persona', async () => {
+        const registry = await setup();
+        assert.equal((await registry.save(persona())).ok, true);
+        assert.equal(registry.resolve('+91 44000 00001').id, 'tamil');
+        assert.equal(registry.resolve('+914400000009').id, 'default');
+        assert.equal(registry.resolve(undefined).id, 'default');
+        assert.deepEqual(registry.list().map(p => p.id), ['default', 'tamil']);
+    });
+
+    test('rejects numbers claimed by another persona and the reserved id', async () => {
+        const registry = await setup();
+        await registry.save(persona());
+        const clash = await registry.save(persona({ id: 'hindi' }));
+        assert.deepEqual(clash.errors, ['+914400000001 is already assigned to another persona']);
+        assert.equal((await registry.save(persona({ id: 'default', numbers: ['+914400000002'] }))).ok, false);
+        assert.equal((await registry.save(persona({ name: 'Renamed' }))).created, false);
+    });
+
+    test('removing a persona hands its numbers back to the default', async () => {
+        const registry = await setup();
+        await registry.save(persona());
+        assert.equal(await registry.remove('tamil'), true);
+        assert.equal(await registry.remove('tamil'), false);
+        assert.equal(registry.resolve('+914400000001').id, 'default');
+        assert.equal(registry.get('tamil'), null);
+    });
+});
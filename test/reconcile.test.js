@@ -0,0 +1,53 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileRisk, counsellingFor } from '../lib/reconcile.js';
+
+const keyword = (tendency, score = 0) => ({ tendency, score });
+const gemini = (risk_level, confidence_level = 'high') => ({ risk_level, confidence_level });
+
+describe('reconcileRisk', () => {
+    test('uses the keyword tier when there is no usable Gemini analysis', () => {
+        for (const analysis of [null, { error: 'quota exceeded' }]) {
+            const decision = reconcileRisk(keyword('medium', 4), analysis);
+            assert.equal(decision.finalTendency, 'medium');
+            assert.equal(decision.source, 'keyword');
+            assert.equal(decision.geminiTendency, null);
+            assert.equal(decision.needsReview, false);
+        }
+        assert.match(reconcileRisk(keyword('low', 1), { error: 'x' }).explanation, /Gemini analysis failed/);
+    });
+
+    test('max-of takes the higher tier in either direction', () => {
+        assert.equal(reconcileRisk(keyword('no'), gemini('high')).finalTendency, 'high');
+        assert.equal(reconcileRisk(keyword('severe', 12), gemini('low')).finalTendency, 'severe');
+        assert.equal(reconcileRisk(keyword('severe', 12), gemini('low')).source, 'keyword');
+    });
+
+    test('weighted averages the tiers using the keyword weight', () => {
+        assert.equal(reconcileRisk(keyword('no'), gemini('severe'), { policy: 'weighted', keywordWeight: 0.5 }).finalTendency, 'medium');
+        assert.equal(reconcileRisk(keyword('no'), gemini('severe'), { policy: 'weighted', keywordWeight: 0.25 }).finalTendency, 'high');
+        assert.equal(reconcileRisk(keyword('low'), gemini('medium'), { policy: 'weighted', keywordWeight: 1 }).finalTendency, 'low');
+    });
+
+    test('gemini_confident overrides only at or above the minimum confidence', () => {
+        const config = { policy: 'gemini_confident', minConfidence: 'medium' };
+        assert.equal(reconcileRisk(keyword('high', 6), gemini('low', 'medium'), config).finalTendency, 'low');
+        const kept = reconcileRisk(keyword('high', 6), gemini('low', 'low'), config);
+        assert.equal(kept.finalTendency, 'high');
+        assert.match(kept.explanation, /below the medium confidence/);
+    });
+
+    test('flags tiers that are reviewGap or more levels apart for human review', () => {
+        assert.equal(reconcileRisk(keyword('low'), gemini('medium')).needsReview, false);
+        const flagged = reconcileRisk(keyword('no'), gemini('high'));
+        assert.equal(flagged.needsReview, true);
+        assert.equal(flagged.reviewReason, 'Keyword scoring says no but Gemini says high');
+        assert.equal(reconcileRisk(keyword('low'), gemini('medium'), { reviewGap: 1 }).needsReview, true);
+    });
+
+    test('derives counselling from the final tier and rejects unknown policies', () => {
+        assert.equal(reconcileRisk(keyword('no'), gemini('medium')).needsCounselling, 'advised');
+        assert.equal(counsellingFor('severe'), 'yes');
+        assert.throws(() => reconcileRisk(keyword('no'), null, { policy: 'average' }), /Unknown risk reconciliation policy/);
+    });
+});
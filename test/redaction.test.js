@@ -0,0 +1,56 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { findIntroducedNames, redactText, redactTurns, redactionConfigFromEnv } from '../lib/redaction.js';
+
+test('redaction is on by default and types can be narrowed', () => {
+    assert.deepEqual(redactionConfigFromEnv({}), { enabled: true, types: ['email', 'aadhaar', 'pan', 'phone', 'name'] });
+    assert.deepEqual(redactionConfigFromEnv({ REDACTION_TYPES: 'phone, Email,unknown' }).types, ['email', 'phone']);
+    assert.equal(redactionConfigFromEnv({ REDACTION_ENABLED: 'false' }).enabled, false);
+});
+
+describe('redactText', () => {
+    test('masks phone, Aadhaar, PAN and email', () => {
+        const { text, findings } = redactText('Call me on +91 98765 43210 or 09876543210. Aadhaar 2345 6789 0123, PAN ABCDE1234F, mail ravi.k@example.co.in');
+        assert.equal(text, 'Call me on [PHONE] or [PHONE]. Aadhaar [AADHAAR], PAN [PAN], mail [EMAIL]');
+        assert.deepEqual(findings, { email: 1, aadhaar: 1, pan: 1, phone: 2 });
+    });
+
+    test('leaves ordinary numbers and words alone', () => {
+        const input = 'I have not slept for 3 days, since 12 October 2026. Room 101.';
+        assert.deepEqual(redactText(input), { text: input, findings: {} });
+    });
+
+    test('only redacts the configured types', () => {
+        const { text } = redactText('9876543210 and a@b.com', { types: ['email'] });
+        assert.equal(text, '9876543210 and [EMAIL]');
+    });
+});
+
+test('introduced names are found in English, Hinglish and Hindi', () => {
+    assert.deepEqual(findIntroducedNames('Hi, my name is Rahul Sharma and I feel low'), ['Rahul', 'Sharma']);
+    assert.deepEqual(findIntroducedNames('mera naam priya hai'), ['priya']);
+    assert.deepEqual(findIntroducedNames('मेरा नाम राहुल है'), ['राहुल']);
+    assert.deepEqual(findIntroducedNames('my name is not important'), []);
+});
+
+describe('redactTurns', () => {
+    const turns = [
+        { role: 'agent', text: 'Hello, who am I speaking with?' },
+        { role: 'user', text: 'My name is Anita. My number is 9876543210.', startSeconds: 4 },
+        { role: 'agent', text: 'Thank you Anita, I am listening.' },
+    ];
+
+    test('names the caller gives are masked in every turn', () => {
+        const result = redactTurns(turns);
+        assert.equal(result.redacted, true);
+        assert.deepEqual(result.findings, { phone: 1, name: 2 });
+        assert.equal(result.turns[1].text, 'My name is [NAME]. My number is [PHONE].');
+        assert.equal(result.turns[1].startSeconds, 4);
+        assert.equal(result.turns[2].text, 'Thank you [NAME], I am listening.');
+    });
+
+    test('disabled or nothing found leaves the turns as they were', () => {
+        assert.deepEqual(redactTurns(turns, { enabled: false }), { turns, findings: {}, redacted: false });
+        assert.equal(redactTurns([{ role: 'user', text: 'I feel alone' }]).redacted, false);
+    });
+});
@@ -0,0 +1,140 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRetentionManager, expiredFields, retentionConfigFromEnv, signReceipt, verifyReceiptSignature } from '../lib/retention.js';
+import { memoryStore } from './helpers.js';
+
+const NOW = new Date('2026-10-19T10:00:00.000Z');
+const daysAgo = n => new Date(NOW.getTime() - n * 24 * 60 * 60 * 1000).toISOString();
+
+const conversation = (id, overrides = {}) => ({
+    id,
+    callerId: 'caller-a',
+    createdAt: daysAgo(40),
+    status: 'completed',
+    transcript: 'User: I feel alone',
+    originalTranscript: 'User: I feel alone, call me on 9876543210',
+    turnStartSeconds: [2],
+    recordingUrl: 'https://example.org/rec.wav',
+    raw: { endEvent: {} },
+    tendency: 'medium',
+    ...overrides,
+});
+
+test('retention keeps everything forever unless windows are set', () => {
+    const cfg = retentionConfigFromEnv({ RETENTION_TRANSCRIPT_DAYS: '30', RETENTION_RAW_DAYS: 'x' });
+    assert.deepEqual(cfg.days, { transcript: 30, recording: 0, raw: 0 });
+    assert.equal(expiredFields(conversation('c1'), retentionConfigFromEnv({}), NOW), null);
+});
+
+describe('expiredFields', () => {
+    const config = { days: { transcript: 30, recording: 90, raw: 7 } };
+
+    test('clears each kind of data once it is past its window', () => {
+        const update = expiredFields(conversation('c1'), config, NOW);
+        assert.equal(update.transcript, '');
+        assert.equal(update.originalTranscript, null);
+        assert.deepEqual(update.turnStartSeconds, []);
+        assert.equal(update.raw, null);
+        assert.equal('recordingUrl' in update, false);
+        assert.deepEqual(update.purged, { transcript: NOW.toISOString(), raw: NOW.toISOString() });
+        assert.equal(update.tendency, undefined);
+    });
+
+    test('already purged or recent data is left alone', () => {
+        const purged = { ...conversation('c1'), ...expiredFields(conversation('c1'), config, NOW) };
+        assert.equal(expiredFields(purged, config, NOW), null);
+        assert.equal(expiredFields(conversation('c2', { createdAt: daysAgo(3) }), config, NOW), null);
+    });
+
+    test('voicemail recordings expire with the recording window', () => {
+        const failed = conversation('failed_CA1', { recordingUrl: '', createdAt: daysAgo(100), fallback: { voicemail: { recordingUrl: 'https://example.org/vm.wav', durationSeconds: 12 } } });
+        const update = expiredFields(failed, { days: { transcript: 0, recording: 90, raw: 0 } }, NOW);
+        assert.deepEqual(update.fallback.voicemail, { recordingUrl: '', durationSeconds: 12 });
+        assert.equal(update.purged.recording, NOW.toISOString());
+    });
+});
+
+describe('createRetentionManager', () => {
+    function setup(overrides = {}) {
+        const stores = {
+            conversationsStore: memoryStore([
+                conversation('c1'),
+                conversation('c2', { createdAt: daysAgo(1) }),
+                conversation('c3', { callerId: 'caller-b' }),
+                conversation('c4', { status: 'active' }),
+                conversation('failed_CA1', { status: 'failed_connect' }),
+            ]),
+            alertsStore: memoryStore([{ id: 'a1', conversationId: 'c1' }, { id: 'a2', conversationId: 'c3' }]),
+            callersStore: memoryStore([{ id: 'caller-a' }, { id: 'caller-b' }]),
+            receiptsStore: memoryStore(),
+        };
+        const deleted = [];
+        const manager = createRetentionManager({
+            ...stores,
+            callerIdOf: c => c.callerId,
+            deleteRemoteCall: async callId => { deleted.push(callId); },
+            config: { days: { transcript: 30, recording: 0, raw: 0 }, receiptSecret: 'receipt-secret' },
+            ...overrides,
+        });
+        return { manager, stores, deleted };
+    }
+
+    test('purge clears expired transcripts but skips active calls', async () => {
+        const { manager, stores } = setup();
+        const summary = await manager.purge(NOW);
+        assert.deepEqual(summary, { checked: 5, purged: 3, failed: 0, kinds: { transcript: 3 } });
+        const c1 = await stores.conversationsStore.findOne({ id: 'c1' });
+        assert.equal(c1.transcript, '');
+        assert.equal(c1.recordingUrl, 'https://example.org/rec.wav');
+        assert.equal((await stores.conversationsStore.findOne({ id: 'c4' })).transcript, 'User: I feel alone');
+    });
+
+    test('erase removes every record for the caller and signs a receipt', async () => {
+        const { manager, stores, deleted } = setup();
+        const receipt = await manager.erase('caller-a', { by: 'asha', now: NOW });
+
+        assert.deepEqual(stores.conversationsStore.list.map(c => c.id), ['c3']);
+        assert.deepEqual(stores.alertsStore.list.map(a => a.id), ['a2']);
+        assert.deepEqual(stores.callersStore.list.map(c => c.id), ['caller-b']);
+        assert.deepEqual(deleted, ['c1', 'c2', 'c4']);
+
+        assert.equal(receipt.requestedBy, 'asha');
+        assert.deepEqual(receipt.deleted, { conversations: 4, conversationIds: ['c1', 'c2', 'c4', 'failed_CA1'], alerts: 1, callerProfile: true });
+        assert.equal(receipt.complete, true);
+        assert.equal(JSON.stringify(receipt).includes('9876543210'), false);
+        assert.equal(verifyReceiptSignature(receipt, 'receipt-secret'), true);
+        assert.equal(verifyReceiptSignature({ ...receipt, deleted: { ...receipt.deleted, alerts: 0 } }, 'receipt-secret'), false);
+        assert.deepEqual([...await manager.erasedCallIds()], ['c1', 'c2', 'c4', 'failed_CA1']);
+    });
+
+    test('verify reports a tampered receipt and records that came back', async () => {
+        const { manager, stores } = setup();
+        const receipt = await manager.erase('caller-a', { now: NOW });
+        assert.deepEqual(await manager.verify(receipt.id), { receipt, signatureValid: true, recordsRemaining: 0, callerProfileRemaining: false });
+
+        await stores.conversationsStore.upsert(conversation('c9'));
+        stores.receiptsStore.list[0].remainingRecords = 5;
+        const check = await manager.verify(receipt.id);
+        assert.equal(check.signatureValid, false);
+        assert.equal(check.recordsRemaining, 1);
+        assert.equal(await manager.verify('missing'), null);
+    });
+
+    test('nothing is erased and no receipt is issued without a receipt secret', async () => {
+        const { manager, stores, deleted } = setup({ config: { receiptSecret: '' } });
+        await assert.rejects(manager.erase('caller-a', { now: NOW }), /ERASURE_RECEIPT_SECRET/);
+        assert.equal(stores.conversationsStore.list.length, 5);
+        assert.equal(stores.callersStore.list.length, 2);
+        assert.deepEqual(deleted, []);
+        assert.deepEqual(stores.receiptsStore.list, []);
+        assert.equal(verifyReceiptSignature({ id: 'r1', signature: signReceipt({ id: 'r1' }, '') }, ''), false);
+    });
+
+    test('a failed remote deletion leaves the receipt incomplete', async () => {
+        const { manager } = setup({ deleteRemoteCall: async () => { throw new Error('API error 500'); } });
+        const receipt = await manager.erase('caller-b', { now: NOW });
+        assert.equal(receipt.complete, false);
+        assert.deepEqual(receipt.remoteCalls, [{ callId: 'c3', status: 'failed', error: 'API error 500' }]);
+        assert.equal(receipt.deleted.conversations, 1);
+    });
+});
@@ -0,0 +1,136 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createToolRegistry, createToolEndpoint, validateToolArgs } from '../lib/tools.js';
+import { authConfigFromEnv, createAuthMiddleware } from '../lib/auth.js';
+
+const flagRisk = {
+    name: 'flagRisk',
+    description: 'Flag the caller\'s risk level.',
+    parameters: [
+        { name: 'level', type: 'string', description: 'Risk level', required: true, enum: ['low', 'medium', 'high'] },
+        { name: 'reason', type: 'string', description: 'Why', required: true, maxLength: 20 },
+        { name: 'confidence', type: 'number', description: '0 to 1', validate: value => (value < 0 || value > 1 ? 'must be between 0 and 1' : null) },
+    ],
+    async handler({ level }) {
+        if (level === 'medium') throw new Error('review queue unavailable');
+        return { message: `Flagged ${level}`, data: { level } };
+    },
+};
+
+// Runs the endpoint against a stand-in request; resolves with the status and JSON body
+function setup() {
+    const registry = createToolRegistry({ baseUrl: 'https://helpline.example.org', secret: 'tool-secret' });
+    registry.register(flagRisk);
+    const recorded = [];
+    const endpoint = createToolEndpoint({
+        registry,
+        getConversation: async id => (id === 'c1' ? { id: 'c1' } : null),
+        recordToolCall: async (conversationId, entry) => { recorded.push({ conversationId, ...entry }); },
+    });
+    const call = (name, body) => new Promise(resolve => {
+        const res = {
+            code: 200,
+            status(code) { this.code = code; return this; },
+            json(payload) { resolve({ status: this.code, payload }); },
+        };
+        endpoint({ params: { name }, body }, res);
+    });
+    return { registry, recorded, call };
+}
+
+describe('tool argument validation', () => {
+    test('accepts arguments that match the declaration', () => {
+        assert.deepEqual(validateToolArgs(flagRisk, { level: 'high', reason: 'plan tonight', confidence: 0.9 }), []);
+    });
+
+    test('rejects missing, mistyped and out-of-range arguments', () => {
+        assert.deepEqual(validateToolArgs(flagRisk, { reason: '' }), ['"level" is required', '"reason" is required']);
+        assert.deepEqual(validateToolArgs(flagRisk, { level: 3, reason: 'x', confidence: '0.5' }), ['"level" must be a string', '"confidence" must be a number']);
+        assert.deepEqual(validateToolArgs(flagRisk, { level: 'severe', reason: 'x'.repeat(21), confidence: 2 }), [
+            '"level" must be one of: low, medium, high',
+            '"reason" must be at most 20 characters',
+            '"confidence" must be between 0 and 1',
+        ]);
+    });
+});
+
+describe('tool endpoint', () => {
+    // The endpoint logs every call and handler failure
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+    afterEach(() => mock.restoreAll());
+
+    test('runs the tool and records the call on the conversation', async () => {
+        const { call, recorded } = setup();
+        const result = await call('flagRisk', { callId: 'c1', level: 'high', reason: 'plan tonight' });
+        assert.deepEqual(result, { status: 200, payload: { ok: true, message: 'Flagged high', data: { level: 'high' } } });
+        assert.equal(recorded.length, 1);
+        assert.deepEqual(recorded[0].args, { level: 'high', reason: 'plan tonight' });
+        assert.equal(recorded[0].ok, true);
+    });
+
+    test('rejects arguments that fail the schema and records the rejection', async () => {
+        const { call, recorded } = setup();
+        const result = await call('flagRisk', { callId: 'c1', level: 'severe' });
+        assert.equal(result.status, 400);
+        assert.equal(result.payload.message, 'Invalid arguments: "level" must be one of: low, medium, high; "reason" is required');
+        assert.equal(recorded[0].ok, false);
+        assert.equal(recorded[0].error, '"level" must be one of: low, medium, high; "reason" is required');
+    });
+
+    test('an unknown tool or call is a 404 and nothing is recorded', async () => {
+        const { call, recorded } = setup();
+        assert.deepEqual(await call('deleteEverything', { callId: 'c1' }), { status: 404, payload: { ok: false, message: 'Unknown tool deleteEverything' } });
+        assert.deepEqual(await call('flagRisk', { callId: 'c404', level: 'high', reason: 'x' }), { status: 404, payload: { ok: false, message: 'Unknown call' } });
+        assert.deepEqual(await call('flagRisk', { level: 'high', reason: 'x' }), { status: 404, payload: { ok: false, message: 'Unknown call' } });
+        assert.equal(recorded.length, 0);
+    });
+
+    test('a failing handler returns a 500 the agent can recover from', async () => {
+        const { call, recorded } = setup();
+        const result = await call('flagRisk', { callId: 'c1', level: 'medium', reason: 'unsure' });
+        assert.equal(result.status, 500);
+        assert.equal(result.payload.message, 'The tool failed. Continue the conversation without it.');
+        assert.equal(recorded[0].error, 'review queue unavailable');
+    });
+
+    test('the call config sends the tool secret as a header', () => {
+        const { registry } = setup();
+        const [{ temporaryTool }] = registry.selectedTools(['flagRisk']);
+        assert.deepEqual(temporaryTool.staticParameters, [{ name: 'X-Tool-Secret', location: 'PARAMETER_LOCATION_HEADER', value: 'tool-secret' }]);
+        assert.equal(temporaryTool.http.baseUrlPattern, 'https://helpline.example.org/tools/flagRisk');
+    });
+});
+
+describe('tool secret', () => {
+    beforeEach(() => mock.method(console, 'warn', () => {}));
+    afterEach(() => mock.restoreAll());
+
+    // Resolves with the status the auth middleware gives a tool call (200 = passed on)
+    function authorize(config, headers = {}) {
+        const req = { method: 'POST', path: '/tools/flagRisk', originalUrl: '/tools/flagRisk', body: {}, get: name => headers[name] };
+        return new Promise(resolve => {
+            const res = {
+                set() { return this; },
+                status(code) { this.code = code; return this; },
+                json() { resolve(this.code); },
+            };
+            createAuthMiddleware(config)(req, res, () => resolve(200));
+        });
+    }
+
+    test('a missing or wrong X-Tool-Secret is rejected before the tool runs', async () => {
+        const config = authConfigFromEnv({ ULTRAVOX_TOOL_SECRET: 'tool-secret' });
+        assert.equal(await authorize(config, { 'X-Tool-Secret': 'tool-secret' }), 200);
+        assert.equal(await authorize(config), 403);
+        assert.equal(await authorize(config, { 'X-Tool-Secret': 'tool-secreT' }), 403);
+        assert.equal(await authorize(config, { 'X-Tool-Secret': '' }), 403);
+    });
+
+    test('tool calls are rejected when no secret is configured', async () => {
+        assert.equal(await authorize(authConfigFromEnv({})), 403);
+        assert.equal(await authorize(authConfigFromEnv({}), { 'X-Tool-Secret': '' }), 403);
+    });
+});
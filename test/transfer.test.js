@@ -0,0 +1,94 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTransferService, buildTransferTwiml, isValidTransferNumber } from '../lib/transfer.js';
+import { fakeTwilioClient, memoryStore } from './helpers.js';
+
+const config = { number: '+919811111111', announcement: 'Please hold.', timeoutSeconds: 20, baseUrl: 'https://helpline.example.org' };
+const conversation = { id: 'c1', twilioCallSid: 'CA100', status: 'active', transfers: [] };
+
+function setup(respond) {
+    const twilioClient = fakeTwilioClient(respond);
+    const service = createTransferService({ twilioClient, config });
+    const conversations = memoryStore([conversation]);
+    // Mirrors index.js: re-read the stored record and append the attempt to it
+    const hooks = {
+        load: id => conversations.findOne({ id }),
+        persist: async attempt => {
+            const existing = await conversations.findOne({ id: 'c1' });
+            await conversations.upsert({ ...existing, transfers: [...existing.transfers, attempt] });
+        },
+    };
+    return { service, twilioClient, conversations, hooks };
+}
+
+describe('warm transfer', () => {
+    // The service logs every transfer and failure
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+    afterEach(() => mock.restoreAll());
+
+    test('redirects the live call to the counsellor with a whisper briefing', async () => {
+        const { service, twilioClient } = setup();
+        const transfer = await service.transfer(conversation, { reason: 'caller asked for a person', initiatedBy: 'agent' });
+
+        assert.equal(transfer.status, 'initiated');
+        assert.equal(transfer.target, '+919811111111');
+        const [update] = twilioClient.requests;
+        assert.equal(update.sid, 'CA100');
+        assert.match(update.params.twiml, /<Dial [^>]*timeout="20"/);
+        assert.match(update.params.twiml, /transfer-whisper\?conversationId=c1&amp;transferId=/);
+    });
+
+    test('records a failed transfer instead of throwing', async () => {
+        const { service } = setup(() => { throw new Error('Call is not in-progress'); });
+        const transfer = await service.transfer(conversation, { initiatedBy: 'agent' });
+        assert.equal(transfer.status, 'failed');
+        assert.equal(transfer.error, 'Call is not in-progress');
+
+        const invalid = await service.transfer(conversation, { target: '98111', initiatedBy: 'dashboard' });
+        assert.equal(invalid.error, 'Invalid counsellor number: 98111');
+        assert.equal(isValidTransferNumber('+919811111111'), true);
+    });
+
+    test('queues the caller when only a queue is configured', () => {
+        const twiml = buildTransferTwiml({ conversationId: 'c1', transferId: 't1', target: 'counsellors', mode: 'queue', config });
+        assert.match(twiml, /<Enqueue [^>]*>counsellors<\/Enqueue>/);
+    });
+
+    test('two requests in a row start one transfer', async () => {
+        const { service, twilioClient, conversations, hooks } = setup();
+        const stale = structuredClone(conversation);
+
+        const first = await service.transferOnce(stale, { reason: 'crisis', initiatedBy: 'agent' }, hooks);
+        const second = await service.transferOnce(stale, { reason: 'crisis', initiatedBy: 'agent' }, hooks);
+        assert.equal(first.transfer.status, 'initiated');
+        assert.equal(second.inProgress.id, first.transfer.id);
+        assert.equal(twilioClient.requests.length, 1);
+        assert.equal((await conversations.findOne({ id: 'c1' })).transfers.length, 1);
+    });
+
+    test('concurrent requests start one transfer', async () => {
+        const { service, twilioClient, conversations, hooks } = setup();
+        const [first, second] = await Promise.all([
+            service.transferOnce(conversation, { initiatedBy: 'agent' }, hooks),
+            service.transferOnce(conversation, { initiatedBy: 'agent' }, hooks),
+        ]);
+        assert.ok(first.transfer);
+        assert.equal(second.inProgress.id, first.transfer.id);
+        assert.equal(twilioClient.requests.length, 1);
+        assert.equal((await conversations.findOne({ id: 'c1' })).transfers.length, 1);
+    });
+
+    test('a new transfer can start once the previous one has finished', async () => {
+        const { service, twilioClient, conversations, hooks } = setup();
+        const { transfer } = await service.transferOnce(conversation, { initiatedBy: 'agent' }, hooks);
+        const stored = await conversations.findOne({ id: 'c1' });
+        await conversations.upsert({ ...stored, transfers: [{ ...transfer, status: 'failed', outcome: 'no-answer' }] });
+
+        const retry = await service.transferOnce(conversation, { initiatedBy: 'dashboard' }, hooks);
+        assert.equal(retry.transfer.status, 'initiated');
+        assert.equal(twilioClient.requests.length, 2);
+    });
+});
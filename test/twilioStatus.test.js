@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import twilio from 'twilio';
+import { authConfigFromEnv, createAuthMiddleware } from '../lib/auth.js';
+import { createTwilioStatusHandler } from '../lib/twilioStatus.js';
+
+const config = authConfigFromEnv({ TWILIO_AUTH_TOKEN: 'twilio-token', BASE_URL: 'https://helpline.example.org' });
+
+// Sends a status callback through the auth middleware and the handler
+async function deliver(body, signature) {
+    const ended = [];
+    const handler = createTwilioStatusHandler({ onCallEnded: async (callSid, params) => { ended.push({ callSid, params }); } });
+    const req = { method: 'POST', path: '/twilio/status', originalUrl: '/twilio/status', body, get: name => (name === 'X-Twilio-Signature' ? signature : undefined) };
+    const result = await new Promise(resolve => {
+        const res = {
+            status(code) { this.code = code; return this; },
+            json(payload) { resolve({ status: this.code, payload }); },
+        };
+        createAuthMiddleware(config)(req, res, () => resolve({ next: true, res }));
+    });
+    if (!result.next) return { status: result.status, ended };
+    let status;
+    await handler(req, { status(code) { status = code; return this; }, json() {} });
+    return { status, ended };
+}
+
+test('a signed Twilio status callback triggers post-call processing', async () => {
+    const body = { CallSid: 'CA1', CallStatus: 'completed' };
+    const signature = twilio.getExpectedTwilioSignature('twilio-token', 'https://helpline.example.org/twilio/status', body);
+    const { status, ended } = await deliver(body, signature);
+    assert.equal(status, 200);
+    assert.deepEqual(ended, [{ callSid: 'CA1', params: body }]);
+});
+
+test('unsigned callbacks are refused and other statuses are only acknowledged', async () => {
+    const unsigned = await deliver({ CallSid: 'CA1', CallStatus: 'completed' }, 'forged');
+    assert.equal(unsigned.status, 403);
+    assert.deepEqual(unsigned.ended, []);
+
+    const body = { CallSid: 'CA1', CallStatus: 'ringing' };
+    const ringing = await deliver(body, twilio.getExpectedTwilioSignature('twilio-token', 'https://helpline.example.org/twilio/status', body));
+    assert.equal(ringing.status, 200);
+    assert.deepEqual(ringing.ended, []);
+});